@@ -8,18 +8,52 @@ class WigglegramApp {
         // Core components
         this.mpoParser = new MPOParser();
         this.depthProcessor = new DepthProcessor();
+        this.stereoSplitter = new StereoSplitter();
+        this.depthMapLoader = new DepthMapLoader();
+        this.splatLoader = new SplatLoader();
+        this.splatBuilder = new SplatBuilder(this.depthProcessor);
+        this.splatWriter = new SplatWriter();
         this.viewer = null;
+        this.depthEditor = null;
+
+        // Splats get their own viewer; images come first when navigating
+        this.splatViewer = null;
+        this.showingSplats = false;
+
+        // Learned single-image depth - enabled when the model file is served
+        // (see README), otherwise flat images use DepthProcessor's heuristics
+        this.depthEstimator = new OnnxDepthEstimator({
+            modelURL: 'models/depth-model.onnx',
+            runtimeURL: 'vendor/onnxruntime-web/ort.min.js',
+            inputSize: 256
+        });
+
+        // Cancels the batch currently being processed
+        this.abortController = null;
 
         // DOM elements
         this.elements = {
             dropZone: document.getElementById('dropZone'),
             fileInput: document.getElementById('fileInput'),
+            pairInput: document.getElementById('pairInput'),
+            pairFilesBtn: document.getElementById('pairFilesBtn'),
             viewerArea: document.getElementById('viewerArea'),
             threeContainer: document.getElementById('threeContainer'),
+            splatContainer: document.getElementById('splatContainer'),
             gyroIndicator: document.getElementById('gyroIndicator'),
             gyroDot: document.querySelector('.gyro-dot'),
             processingOverlay: document.getElementById('processingOverlay'),
             processingText: document.getElementById('processingText'),
+            processingProgress: document.getElementById('processingProgress'),
+            cancelProcessingBtn: document.getElementById('cancelProcessingBtn'),
+            imageInfo: document.getElementById('imageInfo'),
+            depthLegend: document.getElementById('depthLegend'),
+            depthLegendScale: document.getElementById('depthLegendScale'),
+            depthLegendBar: document.getElementById('depthLegendBar'),
+            depthLegendFar: document.getElementById('depthLegendFar'),
+            depthLegendNear: document.getElementById('depthLegendNear'),
+            validityLegend: document.getElementById('validityLegend'),
+            splitHandle: document.getElementById('splitHandle'),
 
             // Navigation
             prevBtn: document.getElementById('prevBtn'),
@@ -31,6 +65,21 @@ class WigglegramApp {
             calibrateBtn: document.getElementById('calibrateBtn'),
             toggleModeBtn: document.getElementById('toggleModeBtn'),
             addMoreBtn: document.getElementById('addMoreBtn'),
+            pairBtn: document.getElementById('pairBtn'),
+            focusBtn: document.getElementById('focusBtn'),
+            editDepthBtn: document.getElementById('editDepthBtn'),
+            exportSplatsBtn: document.getElementById('exportSplatsBtn'),
+
+            // Depth editor
+            depthEditorPanel: document.getElementById('depthEditorPanel'),
+            brushSizeSlider: document.getElementById('brushSizeSlider'),
+            brushSizeValue: document.getElementById('brushSizeValue'),
+            brushStrengthSlider: document.getElementById('brushStrengthSlider'),
+            brushStrengthValue: document.getElementById('brushStrengthValue'),
+            undoDepthBtn: document.getElementById('undoDepthBtn'),
+            redoDepthBtn: document.getElementById('redoDepthBtn'),
+            resetDepthBtn: document.getElementById('resetDepthBtn'),
+            doneDepthBtn: document.getElementById('doneDepthBtn'),
 
             // Settings
             settingsBtn: document.getElementById('settingsBtn'),
@@ -42,8 +91,30 @@ class WigglegramApp {
             smoothingValue: document.getElementById('smoothingValue'),
             depthSlider: document.getElementById('depthSlider'),
             depthValue: document.getElementById('depthValue'),
+            depthGammaSlider: document.getElementById('depthGammaSlider'),
+            depthGammaValue: document.getElementById('depthGammaValue'),
+            nearClipSlider: document.getElementById('nearClipSlider'),
+            nearClipValue: document.getElementById('nearClipValue'),
+            farClipSlider: document.getElementById('farClipSlider'),
+            farClipValue: document.getElementById('farClipValue'),
+            focusSlider: document.getElementById('focusSlider'),
+            focusValue: document.getElementById('focusValue'),
             meshResSelect: document.getElementById('meshResSelect'),
+            viewModeSelect: document.getElementById('viewModeSelect'),
+            displayModeSelect: document.getElementById('displayModeSelect'),
+            exportFormatSelect: document.getElementById('exportFormatSelect'),
+            stereoLayoutSelect: document.getElementById('stereoLayoutSelect'),
+            algorithmSelect: document.getElementById('algorithmSelect'),
+            depthFilterSelect: document.getElementById('depthFilterSelect'),
+            depthResolutionSelect: document.getElementById('depthResolutionSelect'),
+            scenePresetSelect: document.getElementById('scenePresetSelect'),
+            depthSourceSelect: document.getElementById('depthSourceSelect'),
+            layeredDepthToggle: document.getElementById('layeredDepthToggle'),
+            autoPairToggle: document.getElementById('autoPairToggle'),
+            swapEyesToggle: document.getElementById('swapEyesToggle'),
+            invertDepthToggle: document.getElementById('invertDepthToggle'),
             showGyroToggle: document.getElementById('showGyroToggle'),
+            showInfoToggle: document.getElementById('showInfoToggle'),
 
             // Permission modal
             permissionModal: document.getElementById('permissionModal'),
@@ -67,7 +138,10 @@ class WigglegramApp {
         this.setupNavigation();
         this.setupToolbar();
         this.setupSettings();
+        this.setupDepthEditor();
+        this.setupSplitHandle();
         this.setupPermissionModal();
+        this.setupDepthEstimator();
 
         console.log('Wigglegram 3D App initialized');
     }
@@ -109,56 +183,139 @@ class WigglegramApp {
             this.handleFiles(files);
             e.target.value = ''; // Reset for re-selection
         });
+
+        // Explicit "pair these" picker - selected files are always treated as L/R pairs
+        this.elements.pairInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            if (files.length === 1) {
+                this.showToast('Select two images to pair', 'warning');
+            }
+            this.handleFiles(files, { forcePair: true });
+            e.target.value = '';
+        });
+
+        this.elements.pairFilesBtn.addEventListener('click', (e) => {
+            e.stopPropagation(); // Don't open the regular picker behind it
+            this.elements.pairInput.click();
+        });
     }
 
     /**
      * Setup navigation buttons
      */
     setupNavigation() {
-        this.elements.prevBtn.addEventListener('click', () => {
-            if (this.viewer) {
-                this.viewer.prev();
-                this.updateCounter();
-            }
-        });
-
-        this.elements.nextBtn.addEventListener('click', () => {
-            if (this.viewer) {
-                this.viewer.next();
-                this.updateCounter();
-            }
-        });
+        this.elements.prevBtn.addEventListener('click', () => this.navigate(-1));
+        this.elements.nextBtn.addEventListener('click', () => this.navigate(1));
 
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
             if (this.elements.viewerArea.classList.contains('hidden')) return;
 
+            // Undo/redo depth edits
+            if (this.depthEditor?.active && (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.depthEditor.redo();
+                } else {
+                    this.depthEditor.undo();
+                }
+                return;
+            }
+
             if (e.key === 'ArrowLeft') {
-                this.viewer?.prev();
-                this.updateCounter();
+                this.navigate(-1);
             } else if (e.key === 'ArrowRight') {
-                this.viewer?.next();
-                this.updateCounter();
+                this.navigate(1);
             }
         });
     }
 
+    /**
+     * Step through the loaded images, then the loaded splats, and around
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    navigate(step) {
+        const viewer = this.getActiveViewer();
+        if (!viewer) return;
+
+        const other = this.showingSplats ? this.viewer : this.splatViewer;
+        const index = viewer.getCurrentIndex() + step;
+        const leaving = index < 0 || index >= viewer.getTotalCount();
+
+        if (leaving && other && other.getTotalCount() > 0) {
+            const otherIndex = step > 0 ? 0 : other.getTotalCount() - 1;
+            if (this.showingSplats) {
+                this.viewer.showImageSet(otherIndex);
+            } else {
+                this.splatViewer.showSplatSet(otherIndex);
+            }
+            this.switchViewer(!this.showingSplats);
+        } else if (step > 0) {
+            viewer.next();
+        } else {
+            viewer.prev();
+        }
+
+        this.updateCounter();
+    }
+
+    /**
+     * The viewer on screen - the wiggle viewer or the splat viewer
+     */
+    getActiveViewer() {
+        return this.showingSplats ? this.splatViewer : this.viewer;
+    }
+
+    /**
+     * Swap between the wiggle and splat viewers
+     * Only the one on screen runs; input moves over in the same mode.
+     * @param {boolean} showSplats
+     */
+    switchViewer(showSplats) {
+        const next = showSplats ? this.splatViewer : this.viewer;
+        if (!next || showSplats === this.showingSplats) return;
+
+        const previous = this.getActiveViewer();
+        this.showingSplats = showSplats;
+
+        this.elements.threeContainer.classList.toggle('hidden', showSplats);
+        this.elements.splatContainer.classList.toggle('hidden', !showSplats);
+        this.elements.viewerArea.classList.toggle('showing-splats', showSplats);
+        if (showSplats) {
+            this.closeDepthEditor();
+        }
+
+        // Its container was hidden, so it may have missed resizes
+        next.handleResize();
+
+        if (previous && previous.isRunning) {
+            const useGyro = previous.isGyroMode();
+            previous.stop();
+            next.start();
+            if (useGyro) {
+                next.startGyroscope();
+            } else {
+                next.startMouseInput();
+            }
+        }
+    }
+
     /**
      * Setup toolbar buttons
      */
     setupToolbar() {
         // Calibrate
         this.elements.calibrateBtn.addEventListener('click', () => {
-            if (this.viewer) {
-                this.viewer.calibrate();
+            if (this.getActiveViewer()) {
+                this.getActiveViewer().calibrate();
                 this.showToast('Gyroscope calibrated!', 'success');
             }
         });
 
         // Toggle mode
         this.elements.toggleModeBtn.addEventListener('click', () => {
-            if (this.viewer) {
-                const isGyro = this.viewer.toggleMode();
+            if (this.getActiveViewer()) {
+                const isGyro = this.getActiveViewer().toggleMode();
                 this.elements.toggleModeBtn.querySelector('span').textContent = isGyro ? 'Gyro' : 'Touch';
                 this.elements.toggleModeBtn.classList.toggle('active', isGyro);
                 this.showToast(`${isGyro ? 'Gyroscope' : 'Touch/Mouse'} mode`, 'success');
@@ -169,6 +326,32 @@ class WigglegramApp {
         this.elements.addMoreBtn.addEventListener('click', () => {
             this.elements.fileInput.click();
         });
+
+        // Pick the focal plane by tapping the image
+        this.elements.focusBtn.addEventListener('click', () => {
+            if (this.viewer) {
+                this.armFocusPick();
+            }
+        });
+
+        // Back-project the current image to splats
+        this.elements.exportSplatsBtn.addEventListener('click', () => {
+            if (this.viewer && !this.showingSplats) {
+                this.exportSplats();
+            }
+        });
+
+        // Pair two files
+        this.elements.pairBtn.addEventListener('click', () => {
+            this.elements.pairInput.click();
+        });
+
+        // Cancel processing
+        this.elements.cancelProcessingBtn.addEventListener('click', () => {
+            if (this.abortController) {
+                this.abortController.abort();
+            }
+        });
     }
 
     /**
@@ -180,7 +363,7 @@ class WigglegramApp {
             sensitivitySlider, sensitivityValue,
             smoothingSlider, smoothingValue,
             depthSlider, depthValue,
-            meshResSelect, showGyroToggle
+            meshResSelect, viewModeSelect, layeredDepthToggle, showGyroToggle, showInfoToggle
         } = this.elements;
 
         // Open/close settings
@@ -197,6 +380,7 @@ class WigglegramApp {
             const value = parseFloat(e.target.value);
             sensitivityValue.textContent = `${value.toFixed(1)}x`;
             if (this.viewer) this.viewer.setSensitivity(value);
+            if (this.splatViewer) this.splatViewer.setSensitivity(value);
         });
 
         // Smoothing
@@ -204,6 +388,7 @@ class WigglegramApp {
             const value = parseFloat(e.target.value);
             smoothingValue.textContent = value.toFixed(2);
             if (this.viewer) this.viewer.setSmoothing(value);
+            if (this.splatViewer) this.splatViewer.setSmoothing(value);
         });
 
         // Depth intensity
@@ -213,16 +398,307 @@ class WigglegramApp {
             if (this.viewer) this.viewer.setDepthIntensity(value);
         });
 
+        // Per-image depth curve, clipping and focal plane
+        const adjustments = {
+            gamma: this.elements.depthGammaSlider,
+            near: this.elements.nearClipSlider,
+            far: this.elements.farClipSlider,
+            focus: this.elements.focusSlider
+        };
+        Object.entries(adjustments).forEach(([key, slider]) => {
+            slider.addEventListener('input', (e) => {
+                if (this.viewer) {
+                    this.viewer.setDepthAdjustment({ [key]: parseFloat(e.target.value) });
+                }
+                this.updateDepthAdjustmentControls();
+            });
+        });
+
         // Mesh resolution
         meshResSelect.addEventListener('change', (e) => {
             const value = parseInt(e.target.value);
             if (this.viewer) this.viewer.setMeshResolution(value);
         });
 
+        // Wiggle source: depth mesh or captured views
+        viewModeSelect.addEventListener('change', (e) => {
+            if (this.viewer) {
+                this.viewer.setViewMode(e.target.value);
+                this.refreshDepthEditor();
+                this.updateDisplayLegend();
+                if (e.target.value !== 'depth' && this.viewer.getCurrentViewCount() < 2) {
+                    this.showToast('This image has no captured views, showing depth', 'warning');
+                }
+            }
+        });
+
+        // Photo or depth map diagnostics
+        this.elements.displayModeSelect.addEventListener('change', (e) => {
+            if (this.viewer) {
+                this.viewer.setDisplayMode(e.target.value);
+            }
+            this.updateDisplayLegend();
+        });
+
+        // Tear depth edges over an inpainted background
+        layeredDepthToggle.addEventListener('change', (e) => {
+            if (this.viewer) this.viewer.setLayeredDepth(e.target.checked);
+        });
+
         // Gyro indicator toggle
         showGyroToggle.addEventListener('change', (e) => {
             this.elements.gyroIndicator.classList.toggle('hidden', !e.target.checked);
         });
+
+        // Camera info toggle
+        showInfoToggle.addEventListener('change', () => {
+            this.updateImageInfo();
+        });
+    }
+
+    /**
+     * Setup dragging the split view's wipe
+     */
+    setupSplitHandle() {
+        const { splitHandle, threeContainer } = this.elements;
+
+        const moveTo = (clientX) => {
+            const rect = threeContainer.getBoundingClientRect();
+            const position = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+            splitHandle.style.left = `${position * 100}%`;
+            this.viewer?.setSplitPosition(position);
+        };
+
+        splitHandle.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            splitHandle.setPointerCapture(e.pointerId);
+            // Hold the wiggle still while dragging
+            if (this.viewer) this.viewer.inputPaused = true;
+            moveTo(e.clientX);
+        });
+
+        splitHandle.addEventListener('pointermove', (e) => {
+            if (splitHandle.hasPointerCapture(e.pointerId)) {
+                moveTo(e.clientX);
+            }
+        });
+
+        const release = () => {
+            if (this.viewer) this.viewer.inputPaused = false;
+        };
+        splitHandle.addEventListener('pointerup', release);
+        splitHandle.addEventListener('pointercancel', release);
+    }
+
+    /**
+     * Show the legend and wipe handle that go with the display mode
+     */
+    updateDisplayLegend() {
+        const {
+            displayModeSelect, depthLegend, depthLegendScale, depthLegendBar,
+            depthLegendFar, depthLegendNear, validityLegend, splitHandle
+        } = this.elements;
+
+        const mode = displayModeSelect.value;
+        const onDepthMesh = !!this.viewer && this.viewer.isShowingDepthMesh();
+        const showScale = onDepthMesh && ['depth', 'false-color', 'split'].includes(mode);
+        const showValidity = onDepthMesh && mode === 'validity' && this.viewer.hasCurrentValidity();
+
+        depthLegend.classList.toggle('hidden', !showScale && !showValidity);
+        depthLegendScale.classList.toggle('hidden', !showScale);
+        validityLegend.classList.toggle('hidden', !showValidity);
+        splitHandle.classList.toggle('hidden', !onDepthMesh || mode !== 'split');
+
+        if (showScale) {
+            depthLegendBar.style.background = mode === 'false-color'
+                ? this.viewer.getFalseColorGradient()
+                : 'linear-gradient(to right, #000, #fff)';
+
+            const range = this.viewer.getCurrentDepthRange();
+            const label = (name, value) => range ? `${name} (${value.toFixed(1)} ${range.unit})` : name;
+            depthLegendFar.textContent = label('Far', range?.far);
+            depthLegendNear.textContent = label('Near', range?.near);
+        }
+
+        if (onDepthMesh && mode === 'validity' && !this.viewer.hasCurrentValidity()) {
+            this.showToast('No match confidence for this image - it wasn\'t stereo matched', 'warning');
+        }
+    }
+
+    /**
+     * Show the current image's depth adjustment on the sliders
+     * The viewer keeps the clip points apart, so this also puts back a
+     * slider that was dragged past the other.
+     */
+    updateDepthAdjustmentControls() {
+        if (!this.viewer) return;
+
+        const { gamma, near, far, focus } = this.viewer.getDepthAdjustment();
+        const controls = [
+            ['depthGammaSlider', 'depthGammaValue', gamma],
+            ['nearClipSlider', 'nearClipValue', near],
+            ['farClipSlider', 'farClipValue', far],
+            ['focusSlider', 'focusValue', focus]
+        ];
+
+        for (const [sliderId, valueId, value] of controls) {
+            this.elements[sliderId].value = value;
+            this.elements[valueId].textContent = value.toFixed(2);
+        }
+    }
+
+    /**
+     * Make the next tap on the image set the focal plane
+     */
+    armFocusPick() {
+        const { threeContainer, focusBtn } = this.elements;
+        if (threeContainer.classList.contains('picking-focus')) return;
+
+        // Capture phase, so the tap doesn't also reach the depth editor
+        const pick = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            threeContainer.classList.remove('picking-focus');
+            focusBtn.classList.remove('active');
+
+            const focus = this.viewer.setFocusAt(e.clientX, e.clientY);
+            if (focus === null) {
+                this.showToast('Tap on the image to set the focal plane', 'warning');
+                return;
+            }
+
+            this.updateDepthAdjustmentControls();
+            this.showToast(`Focal plane set to depth ${focus.toFixed(2)}`, 'success');
+        };
+
+        threeContainer.addEventListener('pointerdown', pick, { capture: true, once: true });
+        threeContainer.classList.add('picking-focus');
+        focusBtn.classList.add('active');
+    }
+
+    /**
+     * Setup the depth editor panel
+     */
+    setupDepthEditor() {
+        const {
+            editDepthBtn, depthEditorPanel,
+            brushSizeSlider, brushSizeValue,
+            brushStrengthSlider, brushStrengthValue,
+            undoDepthBtn, redoDepthBtn, resetDepthBtn, doneDepthBtn
+        } = this.elements;
+
+        editDepthBtn.addEventListener('click', () => {
+            if (this.depthEditor?.active) {
+                this.closeDepthEditor();
+            } else {
+                this.openDepthEditor();
+            }
+        });
+
+        // Tools
+        depthEditorPanel.querySelectorAll('[data-tool]').forEach(button => {
+            button.addEventListener('click', () => {
+                depthEditorPanel.querySelectorAll('[data-tool]').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+                this.depthEditor?.setTool(button.dataset.tool);
+            });
+        });
+
+        // Brush size
+        brushSizeSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            brushSizeValue.textContent = `${Math.round(value * 100)}%`;
+            this.depthEditor?.setBrushSize(value);
+        });
+
+        // Brush strength
+        brushStrengthSlider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            brushStrengthValue.textContent = value.toFixed(2);
+            this.depthEditor?.setStrength(value);
+        });
+
+        undoDepthBtn.addEventListener('click', () => this.depthEditor?.undo());
+        redoDepthBtn.addEventListener('click', () => this.depthEditor?.redo());
+        resetDepthBtn.addEventListener('click', () => this.depthEditor?.reset());
+        doneDepthBtn.addEventListener('click', () => this.closeDepthEditor());
+    }
+
+    /**
+     * Create the depth editor for a new viewer, using the panel's settings
+     */
+    createDepthEditor() {
+        const { depthEditorPanel, brushSizeSlider, brushStrengthSlider } = this.elements;
+
+        this.depthEditor = new DepthEditor(this.viewer);
+        this.depthEditor.setTool(depthEditorPanel.querySelector('[data-tool].active').dataset.tool);
+        this.depthEditor.setBrushSize(parseFloat(brushSizeSlider.value));
+        this.depthEditor.setStrength(parseFloat(brushStrengthSlider.value));
+
+        this.depthEditor.onHistoryChange = (canUndo, canRedo) => {
+            this.elements.undoDepthBtn.disabled = !canUndo;
+            this.elements.redoDepthBtn.disabled = !canRedo;
+        };
+    }
+
+    /**
+     * Start editing the current image's depth
+     */
+    openDepthEditor() {
+        if (!this.depthEditor) return;
+
+        if (!this.depthEditor.open()) {
+            this.showToast('Switch Wiggle Source to depth to edit the depth map', 'warning');
+            this.closeDepthEditor();
+            return;
+        }
+
+        this.elements.depthEditorPanel.classList.remove('hidden');
+        this.elements.editDepthBtn.classList.add('active');
+    }
+
+    /**
+     * Stop editing, keeping the edits
+     */
+    closeDepthEditor() {
+        this.depthEditor?.close();
+        this.elements.depthEditorPanel.classList.add('hidden');
+        this.elements.editDepthBtn.classList.remove('active');
+    }
+
+    /**
+     * Follow the viewer to another image or mesh while editing
+     */
+    refreshDepthEditor() {
+        if (this.depthEditor?.active) {
+            this.openDepthEditor();
+        }
+    }
+
+    /**
+     * Offer the depth model if its file is there, and plug it in when chosen
+     */
+    async setupDepthEstimator() {
+        const { depthSourceSelect } = this.elements;
+        const modelOption = depthSourceSelect.querySelector('option[value="model"]');
+
+        const apply = () => {
+            const useModel = depthSourceSelect.value === 'model';
+            this.depthProcessor.setDepthEstimator(useModel ? this.depthEstimator : null);
+        };
+
+        depthSourceSelect.addEventListener('change', apply);
+
+        if (await this.depthEstimator.isAvailable()) {
+            apply();
+            console.log(`Depth model found at ${this.depthEstimator.modelURL}`);
+        } else {
+            modelOption.disabled = true;
+            modelOption.textContent += ' (not installed)';
+            depthSourceSelect.value = 'heuristic';
+            apply();
+        }
     }
 
     /**
@@ -234,14 +710,15 @@ class WigglegramApp {
         requestPermBtn.addEventListener('click', async () => {
             permissionModal.classList.add('hidden');
 
-            if (this.viewer) {
-                const granted = await this.viewer.startGyroscope();
+            const viewer = this.getActiveViewer();
+            if (viewer) {
+                const granted = await viewer.startGyroscope();
 
                 if (granted) {
                     this.showToast('Gyroscope enabled!', 'success');
                 } else {
                     this.showToast('Permission denied, using touch mode', 'warning');
-                    this.viewer.startMouseInput();
+                    viewer.startMouseInput();
                     this.elements.toggleModeBtn.querySelector('span').textContent = 'Touch';
                     this.elements.toggleModeBtn.classList.remove('active');
                 }
@@ -250,8 +727,8 @@ class WigglegramApp {
 
         skipPermBtn.addEventListener('click', () => {
             permissionModal.classList.add('hidden');
-            if (this.viewer) {
-                this.viewer.startMouseInput();
+            if (this.getActiveViewer()) {
+                this.getActiveViewer().startMouseInput();
                 this.elements.toggleModeBtn.querySelector('span').textContent = 'Touch';
                 this.elements.toggleModeBtn.classList.remove('active');
             }
@@ -264,7 +741,42 @@ class WigglegramApp {
      */
     showProcessing(text) {
         this.elements.processingText.textContent = text;
-        this.elements.processingOverlay.classList.remove('hidden');
+        this.elements.processingOverlay.classList.remove('hidden', 'streaming');
+        this.setProgress(null);
+    }
+
+    /**
+     * Update the processing progress bar
+     * @param {number|null} progress - 0 to 1, or null to hide the bar
+     */
+    setProgress(progress) {
+        const { processingProgress } = this.elements;
+        processingProgress.classList.toggle('hidden', progress === null);
+
+        if (progress !== null) {
+            processingProgress.firstElementChild.style.width = `${Math.round(progress * 100)}%`;
+        }
+    }
+
+    /**
+     * Show depth computation progress from DepthProcessor
+     * @param {{stage: string, progress: number}} event
+     */
+    showDepthProgress({ stage, progress }) {
+        const labels = {
+            rectifying: 'Aligning stereo pair...',
+            range: 'Measuring depth range...',
+            estimating: 'Estimating depth from scene cues...',
+            matching: 'Matching stereo pair...',
+            consistency: 'Checking left/right consistency...',
+            filtering: 'Filtering depth map...',
+            smoothing: 'Smoothing depth map...'
+        };
+
+        this.elements.processingText.textContent = labels[stage] || 'Computing depth map...';
+        // Single-task stages have no progress to show
+        const indeterminate = ['rectifying', 'range', 'estimating'].includes(stage);
+        this.setProgress(indeterminate ? null : progress);
     }
 
     /**
@@ -272,12 +784,16 @@ class WigglegramApp {
      */
     hideProcessing() {
         this.elements.processingOverlay.classList.add('hidden');
+        this.elements.processingOverlay.classList.remove('streaming');
     }
 
     /**
      * Handle uploaded files
+     * @param {File[]} files
+     * @param {Object} options
+     * @param {boolean} [options.forcePair] - Treat the images as left/right pairs in name order
      */
-    async handleFiles(files) {
+    async handleFiles(files, options = {}) {
         if (files.length === 0) return;
 
         // Initialize viewer if not already
@@ -286,94 +802,451 @@ class WigglegramApp {
                 meshResolution: parseInt(this.elements.meshResSelect.value),
                 sensitivity: parseFloat(this.elements.sensitivitySlider.value),
                 smoothing: parseFloat(this.elements.smoothingSlider.value),
-                depthIntensity: parseFloat(this.elements.depthSlider.value)
+                depthIntensity: parseFloat(this.elements.depthSlider.value),
+                viewMode: this.elements.viewModeSelect.value,
+                displayMode: this.elements.displayModeSelect.value,
+                layeredDepth: this.elements.layeredDepthToggle.checked
             });
 
             // Set up rotation update callback for gyro indicator
             this.viewer.onRotationUpdate = (x, y) => {
                 this.updateGyroIndicator(x, y);
             };
+
+            this.createDepthEditor();
         }
 
         // Show viewer area
         this.elements.dropZone.classList.add('hidden');
         this.elements.viewerArea.classList.remove('hidden');
 
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        // Show whichever kind of file came last
+        let showSplats = this.showingSplats;
+
         try {
-            for (const file of files) {
+            for (const item of this.buildQueue(files, options.forcePair)) {
+                if (signal.aborted) {
+                    throw new DOMException('Processing cancelled', 'AbortError');
+                }
+
+                if (item.pair) {
+                    await this.processFilePair(item.pair, signal);
+                    showSplats = false;
+                    continue;
+                }
+
+                if (item.depthPair) {
+                    await this.processDepthPair(item.depthPair);
+                    showSplats = false;
+                    continue;
+                }
+
+                const file = item.file;
                 const ext = file.name.toLowerCase().split('.').pop();
 
                 if (ext === 'mpo') {
-                    await this.processMPOFile(file);
-                } else if (['jpg', 'jpeg', 'png'].includes(ext)) {
-                    await this.processSingleImage(file);
+                    await this.processMPOFile(file, signal);
+                    showSplats = false;
+                } else if (['jpg', 'jpeg', 'png', 'jps'].includes(ext)) {
+                    await this.processSingleImage(file, signal);
+                    showSplats = false;
+                } else if (['splat', 'ply', 'csplat'].includes(ext)) {
+                    await this.processSplatFile(file, signal);
+                    showSplats = true;
+                } else if (['heic', 'heif'].includes(ext)) {
+                    this.showToast(`Can't read ${file.name} - export portrait photos as JPEG`, 'warning');
+                }
+            }
+
+            this.startViewer(showSplats);
+
+        } catch (error) {
+            this.hideProcessing();
+
+            if (error.name === 'AbortError') {
+                console.log('Processing cancelled');
+                this.showToast('Processing cancelled', 'warning');
+                this.finishCancelledBatch();
+            } else {
+                console.error('Error processing files:', error);
+                this.showToast('Error: ' + error.message, 'error');
+            }
+        } finally {
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * Group dropped files into work items, pairing color images with their
+     * depth maps and left images with right ones
+     * @returns {Array<{file: File}|{pair: File[]}|{depthPair: {color: File, depth: File}}>} In drop order
+     */
+    buildQueue(files, forcePair = false) {
+        let images = files.filter(file =>
+            ['jpg', 'jpeg', 'png'].includes(file.name.toLowerCase().split('.').pop()));
+
+        // Precomputed depth comes first - photo.jpg + photo_depth.png is never a stereo pair
+        const depthPairs = this.mpoParser.pairDepthFiles(images);
+        const depthPaired = new Map();
+        for (const depthPair of depthPairs) {
+            depthPaired.set(depthPair.color, depthPair);
+            depthPaired.set(depthPair.depth, depthPair);
+        }
+        images = images.filter(file => !depthPaired.has(file));
+
+        let pairs = [];
+        if (forcePair) {
+            pairs = this.mpoParser.pairFilesInOrder(images);
+        } else if (this.elements.autoPairToggle.checked) {
+            pairs = this.mpoParser.pairFilesByName(images);
+        }
+
+        // Each pair is queued where its first file was dropped
+        const paired = new Map();
+        for (const pair of pairs) {
+            paired.set(pair[0], pair);
+            paired.set(pair[1], pair);
+        }
+
+        const queue = [];
+        const queued = new Set();
+        for (const file of files) {
+            const depthPair = depthPaired.get(file);
+            if (depthPair) {
+                if (!queued.has(depthPair)) {
+                    queued.add(depthPair);
+                    queue.push({ depthPair });
                 }
+                continue;
             }
 
-            // Update counter
-            this.updateCounter();
+            const pair = paired.get(file);
+            if (!pair) {
+                queue.push({ file });
+            } else if (!queued.has(pair)) {
+                queued.add(pair);
+                queue.push({ pair });
+            }
+        }
+
+        return queue;
+    }
+
+    /**
+     * Show the loaded images or splats and start input handling
+     * @param {boolean} [showSplats] - Switch to the splat viewer
+     */
+    startViewer(showSplats = this.showingSplats) {
+        this.switchViewer(showSplats);
+
+        // Update counter
+        this.updateCounter();
 
-            // Start viewer
-            this.viewer.start();
+        const viewer = this.getActiveViewer();
+        if (viewer.isRunning) return;
+
+        // Start viewer
+        viewer.start();
+
+        // Check for gyroscope permission
+        this.checkGyroscope();
+    }
+
+    /**
+     * Keep whatever loaded before a cancel, or go back to the drop zone
+     */
+    finishCancelledBatch() {
+        const imageCount = this.viewer.getTotalCount();
+        const splatCount = this.splatViewer ? this.splatViewer.getTotalCount() : 0;
+
+        if (imageCount + splatCount > 0) {
+            this.startViewer(this.showingSplats ? splatCount > 0 : imageCount === 0);
+        } else {
+            this.elements.viewerArea.classList.add('hidden');
+            this.elements.dropZone.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Load a Gaussian splat file (.splat, .ply or compact .csplat)
+     * The file streams in: splats are shown as they arrive, with the
+     * progress bar kept along the bottom so they stay visible.
+     */
+    async processSplatFile(file, signal) {
+        this.showProcessing(`Reading ${file.name}...`);
+
+        if (!this.splatViewer) {
+            this.splatViewer = new SplatViewer(this.elements.splatContainer, {
+                sensitivity: parseFloat(this.elements.sensitivitySlider.value),
+                smoothing: parseFloat(this.elements.smoothingSlider.value)
+            });
+
+            this.splatViewer.onRotationUpdate = (x, y) => {
+                this.updateGyroIndicator(x, y);
+            };
+        }
 
-            // Check for gyroscope permission
-            this.checkGyroscope();
+        let index = null;
+        let splats;
 
+        try {
+            splats = await this.splatLoader.loadFile(file, {
+                signal,
+                onProgress: ({ progress }) => this.setProgress(progress),
+                onChunk: ({ splats: chunk, start, end, total }) => {
+                    if (index === null) {
+                        index = this.splatViewer.beginSplatSet(total);
+                        this.splatViewer.showSplatSet(index);
+                        this.switchViewer(true);
+                        this.elements.processingOverlay.classList.add('streaming');
+                        this.elements.processingText.textContent = `Loading ${file.name}...`;
+                    }
+                    this.splatViewer.appendSplats(index, chunk, start, end);
+                }
+            });
         } catch (error) {
-            console.error('Error processing files:', error);
-            this.showToast('Error: ' + error.message, 'error');
-            this.hideProcessing();
+            // Don't keep half a scene
+            if (index !== null) {
+                this.splatViewer.removeSplatSet(index);
+            }
+            throw error;
         }
+
+        this.hideProcessing();
+        this.updateCounter();
+        this.showToast(`Loaded ${file.name} (${splats.count.toLocaleString()} splats)`, 'success');
     }
 
     /**
      * Process an MPO file
      */
-    async processMPOFile(file) {
+    async processMPOFile(file, signal) {
         this.showProcessing('Extracting stereo pair...');
 
         // Parse MPO file
-        const images = await this.mpoParser.parseFile(file);
+        const images = await this.mpoParser.parseFile(file, {
+            signal,
+            onProgress: ({ stage, progress }) => {
+                this.elements.processingText.textContent = stage === 'reading'
+                    ? `Reading ${file.name}...`
+                    : 'Extracting stereo pair...';
+                this.setProgress(progress);
+            }
+        });
 
-        if (images.length < 2) {
+        // Load every captured view - the first two are the stereo pair for depth
+        const views = await Promise.all(images.map(image => this.loadImage(image.url)));
+        this.mpoParser.revokeURLs(images);
+
+        if (views.length < 2) {
             // Only one image - use fallback depth
-            const img = await this.loadImage(images[0].url);
-            await this.processWithFallbackDepth(img, file.name);
+            await this.processWithFallbackDepth(views[0], file.name, signal);
         } else {
-            // Load both images
-            const leftImg = await this.loadImage(images[0].url);
-            const rightImg = await this.loadImage(images[1].url);
-
-            this.showProcessing('Computing depth map from stereo pair...');
+            const [leftImg, rightImg] = views;
 
-            // Compute depth map from stereo pair
-            const { depthCanvas } = await this.depthProcessor.computeDepthMap(leftImg, rightImg, {
-                blockSize: 11,
-                maxDisparity: 64,
-                smoothing: true
+            await this.processStereoPair(leftImg, rightImg, file.name, {
+                metadata: images[0].metadata,
+                views,
+                signal
             });
+        }
+
+        this.hideProcessing();
+    }
+
+    /**
+     * Compute depth from a left/right pair and add it to the viewer
+     * @param {HTMLImageElement|HTMLCanvasElement} leftImg
+     * @param {HTMLImageElement|HTMLCanvasElement} rightImg
+     * @param {string} filename
+     * @param {Object} options
+     * @param {Object} [options.metadata] - Stereo metadata from MPOParser
+     * @param {Array} [options.views] - All captured views, for multi-view files
+     * @param {AbortSignal} [options.signal] - Cancels the depth computation
+     */
+    async processStereoPair(leftImg, rightImg, filename, options = {}) {
+        const { metadata = null, signal = null } = options;
+        let { views = [leftImg, rightImg] } = options;
+
+        // Mislabelled or cross-eyed sources come in with the eyes swapped
+        if (this.elements.swapEyesToggle.checked) {
+            [leftImg, rightImg] = [rightImg, leftImg];
+            views = [...views].reverse();
+        }
 
-            this.showProcessing('Creating 3D mesh...');
+        this.showProcessing('Computing depth map from stereo pair...');
 
-            // Add to viewer (use left image as color)
-            await this.viewer.addImageSet(leftImg, depthCanvas);
+        // Disparity search from the camera's baseline and focal length - used when
+        // the pair has too few features for DepthProcessor to measure its own
+        const { blockSize, maxDisparity } = this.depthProcessor.suggestStereoOptions(metadata, leftImg.width);
 
-            this.showToast(`Loaded ${file.name}`, 'success');
+        // Compute depth map from stereo pair
+        const {
+            depthCanvas, validityCanvas, rectification, processingScale, disparityExtent
+        } = await this.depthProcessor.computeDepthMap(leftImg, rightImg, {
+            algorithm: this.elements.algorithmSelect.value,
+            blockSize,
+            maxDisparity,
+            smoothing: true,
+            smoothingFilter: this.elements.depthFilterSelect.value,
+            maxResolution: parseInt(this.elements.depthResolutionSelect.value),
+            signal,
+            onProgress: (event) => this.showDepthProgress(event)
+        });
+
+        this.showProcessing('Creating 3D mesh...');
+
+        // Add to viewer (use left image as color)
+        await this.viewer.addImageSet(leftImg, depthCanvas, {
+            name: filename,
+            metadata,
+            views,
+            validityMask: validityCanvas,
+            // Disparity in original image pixels, for the depth legend
+            depthRange: {
+                near: disparityExtent.max / processingScale,
+                far: disparityExtent.min / processingScale,
+                unit: 'px'
+            }
+        });
+
+        const notes = [];
+        if (views.length > 2) {
+            notes.push(`${views.length} views`);
+        }
+        if (rectification && rectification.applied) {
+            // Report the shift in original image pixels
+            const shift = rectification.verticalShift / processingScale;
+            notes.push(`aligned ${shift.toFixed(1)}px, ${rectification.rotation.toFixed(1)}°`);
+        }
+        const suffix = notes.length ? ` (${notes.join(', ')})` : '';
+        this.showToast(`Loaded ${filename}${suffix}`, 'success');
+    }
+
+    /**
+     * Process two separate files as a left/right stereo pair
+     * @param {File[]} pair - [left, right]
+     * @param {AbortSignal} signal
+     */
+    async processFilePair(pair, signal) {
+        this.showProcessing('Loading stereo pair...');
+
+        const images = await this.mpoParser.createPairFromFiles(pair);
+        const [leftImg, rightImg] = await Promise.all(images.map(image => this.loadImage(image.url)));
+
+        if (leftImg.width !== rightImg.width || leftImg.height !== rightImg.height) {
+            console.warn(`Pair sizes differ: ${leftImg.width}x${leftImg.height} vs ${rightImg.width}x${rightImg.height}`);
+        }
+
+        await this.processStereoPair(leftImg, rightImg, `${pair[0].name} + ${pair[1].name}`, { signal });
+
+        this.mpoParser.revokeURLs(images);
+        this.hideProcessing();
+    }
+
+    /**
+     * Show a color image with its precomputed depth map, skipping estimation
+     * @param {{color: File, depth: File}} depthPair
+     */
+    async processDepthPair({ color, depth }) {
+        this.showProcessing('Loading image and depth map...');
+
+        const url = URL.createObjectURL(color);
+        const [img, depthMap] = await Promise.all([
+            this.loadImage(url),
+            this.depthMapLoader.load(depth, { invert: this.elements.invertDepthToggle.checked })
+        ]);
+
+        if (Math.abs(img.width / img.height - depthMap.width / depthMap.height) > 0.01) {
+            console.warn(`${depth.name} doesn't match the aspect ratio of ${color.name}`);
         }
 
+        await this.viewer.addImageSet(img, depthMap.depthCanvas, { name: color.name });
+
+        URL.revokeObjectURL(url);
         this.hideProcessing();
+
+        this.showToast(`Loaded ${color.name} (depth from ${depth.name})`, 'success');
     }
 
     /**
-     * Process a single image (use fallback depth estimation)
+     * Show an image with the depth map its camera embedded
+     * @param {HTMLImageElement} img
+     * @param {Object} embedded - From MPOParser.extractEmbeddedDepth
+     * @param {string} filename
      */
-    async processSingleImage(file) {
+    async processEmbeddedDepth(img, embedded, filename) {
+        this.showProcessing('Reading embedded depth...');
+
+        const { depthCanvas } = await this.depthMapLoader.load(embedded.blob, {
+            format: embedded.format,
+            near: embedded.near,
+            far: embedded.far,
+            invert: this.elements.invertDepthToggle.checked
+        });
+
+        await this.viewer.addImageSet(img, depthCanvas, { name: filename });
+
+        const sources = {
+            'dynamic-depth': 'Dynamic Depth',
+            'gdepth': 'Google depth',
+            'apple-disparity': 'iPhone disparity'
+        };
+        this.showToast(`Loaded ${filename} (${sources[embedded.source]})`, 'success');
+    }
+
+    /**
+     * Process a single image - split it if it's a stereo layout (SBS, over/under,
+     * JPS), otherwise use fallback depth estimation
+     */
+    async processSingleImage(file, signal) {
         this.showProcessing('Loading image...');
 
-        const url = URL.createObjectURL(file);
+        const ext = file.name.toLowerCase().split('.').pop();
+
+        // JPS files carry their layout in a header; browsers only decode them as JPEG
+        let jps = null;
+        let url;
+        if (ext === 'jps') {
+            jps = this.mpoParser.readJPSDescriptor(new Uint8Array(await file.arrayBuffer()));
+            url = URL.createObjectURL(new Blob([file], { type: 'image/jpeg' }));
+        } else {
+            url = URL.createObjectURL(file);
+        }
+
         const img = await this.loadImage(url);
 
-        await this.processWithFallbackDepth(img, file.name);
+        // Settings override wins, then the JPS header, then auto-detection
+        let layout = this.elements.stereoLayoutSelect.value;
+
+        // Phone portrait shots carry their own depth - better than anything we'd estimate
+        if (!jps && (layout === 'auto' || layout === 'mono')) {
+            const embedded = await this.mpoParser.extractEmbeddedDepth(file);
+            if (embedded) {
+                await this.processEmbeddedDepth(img, embedded, file.name);
+                URL.revokeObjectURL(url);
+                this.hideProcessing();
+                return;
+            }
+        }
+
+        if (layout === 'auto') {
+            layout = jps ? (jps.layout || 'mono') : this.stereoSplitter.detectLayout(img);
+        }
+
+        if (layout === 'mono') {
+            await this.processWithFallbackDepth(img, file.name, signal);
+        } else {
+            console.log(`Splitting ${file.name} as ${layout}`);
+            const { left, right } = this.stereoSplitter.split(img, layout, {
+                halfWidth: jps ? jps.halfWidth : false,
+                halfHeight: jps ? jps.halfHeight : false
+            });
+            await this.processStereoPair(left, right, file.name, { signal });
+        }
 
         URL.revokeObjectURL(url);
         this.hideProcessing();
@@ -382,21 +1255,88 @@ class WigglegramApp {
     /**
      * Process image with fallback depth estimation
      */
-    async processWithFallbackDepth(img, filename) {
+    async processWithFallbackDepth(img, filename, signal) {
         this.showProcessing('Estimating depth...');
 
-        // Use fallback depth (edge + radial gradient)
-        const { depthCanvas } = this.depthProcessor.createFallbackDepthMap(img, {
-            centerBias: 0.4,
-            edgeWeight: 0.6
+        // Single-image depth (depth model, or monocular cues weighted by scene type)
+        const { depthCanvas, source, preset } = await this.depthProcessor.createFallbackDepthMap(img, {
+            preset: this.elements.scenePresetSelect.value,
+            smoothingFilter: this.elements.depthFilterSelect.value,
+            maxResolution: parseInt(this.elements.depthResolutionSelect.value),
+            signal,
+            onProgress: (event) => this.showDepthProgress(event)
         });
 
         this.showProcessing('Creating 3D mesh...');
 
         // Add to viewer
-        await this.viewer.addImageSet(img, depthCanvas);
+        await this.viewer.addImageSet(img, depthCanvas, { name: filename });
 
-        this.showToast(`Loaded ${filename} (estimated depth)`, 'success');
+        this.showToast(`Loaded ${filename} (estimated depth, ${preset || source})`, 'success');
+    }
+
+    /**
+     * Back-project the current image set and download it in the chosen format
+     */
+    async exportSplats() {
+        const set = this.viewer.getCurrentImageSet();
+        if (!set) return;
+
+        const format = this.elements.exportFormatSelect.value;
+        this.showProcessing('Building splats...');
+
+        try {
+            // Let the overlay show before the main thread is busy
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const { splats, focalSource, depthSource } = this.splatBuilder.build(set);
+            let data;
+            if (format === 'splat') {
+                data = this.splatWriter.writeSplat(splats);
+            } else if (format === 'csplat') {
+                data = this.splatWriter.writeCompact(splats);
+            } else {
+                data = this.splatWriter.writePLY(splats, { pointCloud: format === 'points' });
+            }
+
+            const extension = { splat: 'splat', csplat: 'csplat' }[format] || 'ply';
+            const base = set.name
+                ? set.name.replace(/\.[^.]+$/, '')
+                : `wigglegram-${this.viewer.getCurrentIndex() + 1}`;
+            this.downloadFile(data, `${base}.${extension}`);
+
+            // Without stereo depth and EXIF the shape is right but the scale isn't
+            const assumed = [
+                depthSource === 'assumed' && 'depth',
+                focalSource === 'assumed' && 'focal length'
+            ].filter(Boolean);
+            const noun = format === 'points' ? 'points' : 'splats';
+            const suffix = assumed.length ? `, assumed ${assumed.join(' and ')}` : '';
+            this.showToast(`Exported ${splats.count.toLocaleString()} ${noun}${suffix}`, 'success');
+        } catch (error) {
+            console.error('Error exporting splats:', error);
+            this.showToast('Export failed: ' + error.message, 'error');
+        } finally {
+            this.hideProcessing();
+        }
+    }
+
+    /**
+     * Save data through the browser's downloads
+     * @param {ArrayBuffer} data
+     * @param {string} filename
+     */
+    downloadFile(data, filename) {
+        const url = URL.createObjectURL(new Blob([data], { type: 'application/octet-stream' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the download a moment to start before letting go of the data
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     /**
@@ -420,7 +1360,7 @@ class WigglegramApp {
 
         if (!hasOrientation) {
             // No gyroscope available - use mouse
-            this.viewer.startMouseInput();
+            this.getActiveViewer().startMouseInput();
             this.elements.toggleModeBtn.querySelector('span').textContent = 'Touch';
             this.elements.toggleModeBtn.classList.remove('active');
             return;
@@ -432,9 +1372,10 @@ class WigglegramApp {
             this.elements.permissionModal.classList.remove('hidden');
         } else {
             // Permission not required - start gyro
-            const success = await this.viewer.startGyroscope();
+            const viewer = this.getActiveViewer();
+            const success = await viewer.startGyroscope();
             if (!success) {
-                this.viewer.startMouseInput();
+                viewer.startMouseInput();
                 this.elements.toggleModeBtn.querySelector('span').textContent = 'Touch';
                 this.elements.toggleModeBtn.classList.remove('active');
             }
@@ -445,10 +1386,66 @@ class WigglegramApp {
      * Update image counter display
      */
     updateCounter() {
-        if (this.viewer) {
-            this.elements.currentIndex.textContent = this.viewer.getCurrentIndex() + 1;
-            this.elements.totalCount.textContent = this.viewer.getTotalCount();
+        const viewer = this.getActiveViewer();
+        if (!viewer) return;
+
+        // Images then splats, counted together
+        const imageCount = this.viewer ? this.viewer.getTotalCount() : 0;
+        const splatCount = this.splatViewer ? this.splatViewer.getTotalCount() : 0;
+        const offset = this.showingSplats ? imageCount : 0;
+
+        this.elements.currentIndex.textContent = offset + viewer.getCurrentIndex() + 1;
+        this.elements.totalCount.textContent = imageCount + splatCount;
+        this.updateImageInfo();
+
+        if (!this.showingSplats) {
+            this.updateDepthAdjustmentControls();
+            this.updateDisplayLegend();
+            this.refreshDepthEditor();
+        }
+    }
+
+    /**
+     * Update camera info display for the current image
+     */
+    updateImageInfo() {
+        const { imageInfo, showInfoToggle } = this.elements;
+        const viewer = this.getActiveViewer();
+        const text = viewer ? this.formatCameraInfo(viewer.getCurrentMetadata()) : '';
+
+        imageInfo.textContent = text;
+        imageInfo.classList.toggle('hidden', !text || !showInfoToggle.checked);
+    }
+
+    /**
+     * Format stereo metadata as a one-line summary
+     * e.g. "FUJIFILM FinePix REAL 3D W3 · 6.3mm (35mm eq.) · 75mm baseline"
+     */
+    formatCameraInfo(metadata) {
+        if (!metadata) return '';
+
+        const { camera } = metadata;
+        const parts = [];
+
+        const name = [camera.make, camera.model]
+            .filter(Boolean)
+            .join(' ');
+        if (name) parts.push(name);
+
+        if (camera.focalLength) {
+            const equiv = camera.focalLength35mm ? ` (${camera.focalLength35mm}mm eq.)` : '';
+            parts.push(`${camera.focalLength.toFixed(1)}mm${equiv}`);
         }
+
+        if (metadata.baselineLength) {
+            parts.push(`${(metadata.baselineLength * 1000).toFixed(0)}mm baseline`);
+        }
+
+        if (metadata.convergenceAngle) {
+            parts.push(`${metadata.convergenceAngle.toFixed(1)}° convergence`);
+        }
+
+        return parts.join(' · ');
     }
 
     /**
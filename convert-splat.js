@@ -0,0 +1,63 @@
+// Convert a Gaussian splat .ply (e.g. ML Sharp's point_cloud.ply) or .splat
+// to the compact .csplat format, for committing to samples/ and serving to phones
+// Run with: node convert-splat.js input.ply [output.csplat] [--sh 0-3]
+
+const fs = require('fs');
+const path = require('path');
+
+// The loader and writer are browser scripts that export onto window
+global.window = global;
+require('./splat-loader.js');
+require('./splat-writer.js');
+
+function parseArgs(argv) {
+    const args = { input: null, output: null, shDegree: 0 };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--sh') {
+            args.shDegree = parseInt(argv[++i]);
+        } else {
+            positional.push(argv[i]);
+        }
+    }
+
+    [args.input, args.output] = positional;
+    return args;
+}
+
+function formatSize(bytes) {
+    return bytes >= 1048576
+        ? `${(bytes / 1048576).toFixed(1)} MB`
+        : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+const { input, output, shDegree } = parseArgs(process.argv.slice(2));
+
+if (!input || !(shDegree >= 0 && shDegree <= 3)) {
+    console.log('Usage: node convert-splat.js input.ply [output.csplat] [--sh 0-3]');
+    console.log('  --sh  Spherical harmonic degree to keep (default 0, base color only)');
+    process.exit(1);
+}
+
+// ML Sharp names every output point_cloud.ply - name the result after its folder
+let outputPath = output;
+if (!outputPath) {
+    const parsed = path.parse(input);
+    const name = parsed.name === 'point_cloud' ? path.basename(parsed.dir) || parsed.name : parsed.name;
+    outputPath = path.join(parsed.dir, `${name}.csplat`);
+}
+
+const file = fs.readFileSync(input);
+const buffer = file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+
+const splats = new SplatLoader().parse(buffer, path.basename(input), { shDegree });
+if (splats.shDegree < shDegree) {
+    console.warn(`${input} only has spherical harmonics up to degree ${splats.shDegree}`);
+}
+
+const compact = new SplatWriter().writeCompact(splats, { shDegree });
+fs.writeFileSync(outputPath, Buffer.from(compact));
+
+console.log(`Wrote ${outputPath}: ${formatSize(compact.byteLength)} ` +
+    `(from ${formatSize(file.byteLength)}, ${(file.byteLength / compact.byteLength).toFixed(1)}x smaller)`);
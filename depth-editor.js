@@ -0,0 +1,831 @@
+/**
+ * Depth Editor
+ * Brush tools for fixing depth maps by hand, painted straight onto the
+ * wiggling mesh. Edits go to the current image set's depth canvas and are
+ * re-uploaded to its texture as you paint.
+ */
+
+class DepthEditor {
+    /**
+     * @param {WiggleViewer} viewer
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+
+        // Available tools
+        this.TOOLS = ['push', 'pull', 'smooth', 'flatten', 'gradient', 'plane'];
+
+        // Brush settings
+        this.tool = 'push';
+        this.brushSize = 0.05;  // Radius as a fraction of image width
+        this.strength = 0.3;    // 0-1, how much one dab changes the depth
+
+        // Most a single push/pull dab moves depth, in 0-255 depth units
+        this.maxPushAmount = 25;
+
+        // Dabs are laid down every this fraction of the radius along a stroke,
+        // so strokes don't depend on how often pointer events arrive
+        this.dabSpacing = 0.25;
+
+        // Undo steps kept per image
+        this.maxUndo = 20;
+
+        // Editing state for the open image set
+        this.active = false;
+        this.set = null;
+        this.ctx = null;
+        this.width = 0;
+        this.height = 0;
+        this.depth = null;   // Float32Array, 0-255, 255 nearest
+
+        // Per image set: { original, undo: [], redo: [] } of Uint8ClampedArray snapshots
+        this.histories = new WeakMap();
+
+        // Current stroke
+        this.stroke = null;
+        this.pointer = null;
+
+        // Pending texture upload
+        this.dirty = null;
+        this.flushId = null;
+
+        // Brush outline, lasso and gradient line are drawn on top of the viewer
+        this.overlay = document.createElement('canvas');
+        this.overlay.className = 'depth-editor-overlay';
+        this.overlayCtx = this.overlay.getContext('2d');
+
+        // Callbacks
+        this.onHistoryChange = null;
+
+        // Bind methods
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.flush = this.flush.bind(this);
+    }
+
+    /**
+     * Start editing the viewer's current image set
+     * Calling it again after the viewer changes image switches to the new one.
+     * @returns {boolean} False if the current image isn't shown as a depth mesh
+     */
+    open() {
+        const set = this.viewer.getCurrentImageSet();
+        const uniforms = this.viewer.material?.uniforms;
+
+        if (!set || !uniforms || !uniforms.depthMap) {
+            this.close();
+            return false;
+        }
+
+        if (!this.active) {
+            const canvas = this.viewer.renderer.domElement;
+            canvas.addEventListener('pointerdown', this.handlePointerDown);
+            canvas.addEventListener('pointermove', this.handlePointerMove);
+            canvas.addEventListener('pointerup', this.handlePointerUp);
+            canvas.addEventListener('pointercancel', this.handlePointerUp);
+            canvas.addEventListener('pointerleave', this.handlePointerLeave);
+
+            this.viewer.container.appendChild(this.overlay);
+            this.viewer.container.classList.add('editing-depth');
+            this.active = true;
+        }
+
+        if (set !== this.set) {
+            this.load(set);
+        }
+
+        this.notifyHistory();
+        return true;
+    }
+
+    /**
+     * Stop editing, keeping the edits
+     */
+    close() {
+        if (!this.active) return;
+
+        this.endStroke();
+        this.flushNow();
+
+        const canvas = this.viewer.renderer.domElement;
+        canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        canvas.removeEventListener('pointermove', this.handlePointerMove);
+        canvas.removeEventListener('pointerup', this.handlePointerUp);
+        canvas.removeEventListener('pointercancel', this.handlePointerUp);
+        canvas.removeEventListener('pointerleave', this.handlePointerLeave);
+
+        this.overlay.remove();
+        this.viewer.container.classList.remove('editing-depth');
+
+        this.active = false;
+        this.set = null;
+        this.ctx = null;
+        this.depth = null;
+        this.pointer = null;
+    }
+
+    /**
+     * Read an image set's depth canvas into the working buffer
+     */
+    load(set) {
+        this.flushNow();
+
+        const canvas = set.depthTexture.image;
+        this.set = set;
+        this.ctx = canvas.getContext('2d', { willReadFrequently: true });
+        this.width = canvas.width;
+        this.height = canvas.height;
+
+        const data = this.ctx.getImageData(0, 0, this.width, this.height).data;
+        this.depth = new Float32Array(this.width * this.height);
+        for (let i = 0; i < this.depth.length; i++) {
+            this.depth[i] = data[i * 4];
+        }
+
+        // The first time an image is edited, what's there now is the estimate
+        if (!this.histories.has(set)) {
+            this.histories.set(set, { original: this.snapshot(), undo: [], redo: [] });
+        }
+    }
+
+    setTool(tool) {
+        if (!this.TOOLS.includes(tool)) {
+            throw new Error(`Unknown depth tool: ${tool}`);
+        }
+        this.endStroke();
+        this.tool = tool;
+        this.drawOverlay();
+    }
+
+    setBrushSize(value) {
+        this.brushSize = value;
+        this.drawOverlay();
+    }
+
+    setStrength(value) {
+        this.strength = value;
+    }
+
+    // =========================================
+    // History
+    // =========================================
+
+    /**
+     * Copy the working depth to an 8-bit snapshot
+     */
+    snapshot() {
+        return Uint8ClampedArray.from(this.depth);
+    }
+
+    /**
+     * Replace the working depth with a snapshot and upload all of it
+     */
+    restore(snapshot) {
+        this.depth.set(snapshot);
+        this.markDirty(0, 0, this.width - 1, this.height - 1);
+        this.flushNow();
+    }
+
+    /**
+     * Save the current depth as an undo step, before changing it
+     * @param {Uint8ClampedArray} [snapshot] - Depth taken earlier, e.g. when a
+     *        stroke started
+     */
+    pushUndo(snapshot = this.snapshot()) {
+        const history = this.histories.get(this.set);
+        history.undo.push(snapshot);
+        if (history.undo.length > this.maxUndo) {
+            history.undo.shift();
+        }
+        history.redo = [];
+        this.notifyHistory();
+    }
+
+    undo() {
+        if (!this.canUndo()) return;
+        this.endStroke();
+
+        const history = this.histories.get(this.set);
+        history.redo.push(this.snapshot());
+        this.restore(history.undo.pop());
+        this.notifyHistory();
+    }
+
+    redo() {
+        if (!this.canRedo()) return;
+        this.endStroke();
+
+        const history = this.histories.get(this.set);
+        history.undo.push(this.snapshot());
+        this.restore(history.redo.pop());
+        this.notifyHistory();
+    }
+
+    /**
+     * Go back to the depth the image had before it was first edited
+     * This is itself a step that can be undone.
+     */
+    reset() {
+        if (!this.set) return;
+        this.endStroke();
+
+        this.pushUndo();
+        this.restore(this.histories.get(this.set).original);
+    }
+
+    canUndo() {
+        return !!this.set && this.histories.get(this.set).undo.length > 0;
+    }
+
+    canRedo() {
+        return !!this.set && this.histories.get(this.set).redo.length > 0;
+    }
+
+    notifyHistory() {
+        if (this.onHistoryChange) {
+            this.onHistoryChange(this.canUndo(), this.canRedo());
+        }
+    }
+
+    // =========================================
+    // Pointer input
+    // =========================================
+
+    handlePointerDown(event) {
+        if (event.button !== 0 || this.stroke) return;
+
+        const point = this.toPixel(event);
+        if (!point || !point.inside) return;
+
+        event.preventDefault();
+        this.viewer.renderer.domElement.setPointerCapture(event.pointerId);
+
+        // Hold the view still while painting, or the image slides under the brush
+        this.viewer.inputPaused = true;
+
+        // Becomes an undo step only if the stroke changes something - a tap
+        // with the gradient tool or a too-short lasso doesn't
+        this.stroke = {
+            pointerId: event.pointerId,
+            before: this.snapshot(),
+            changed: false,
+            last: point,
+            start: point,
+            startScreen: { x: event.clientX, y: event.clientY },
+            target: this.sample(point.x, point.y),
+            base: this.tool === 'gradient' ? this.depth.slice() : null,
+            lasso: this.tool === 'plane' ? [point] : null,
+            lassoScreen: this.tool === 'plane' ? [{ x: event.clientX, y: event.clientY }] : null
+        };
+
+        if (this.tool !== 'gradient' && this.tool !== 'plane') {
+            this.dab(point.x, point.y);
+        }
+
+        this.pointer = { x: event.clientX, y: event.clientY };
+        this.drawOverlay();
+    }
+
+    handlePointerMove(event) {
+        this.pointer = { x: event.clientX, y: event.clientY };
+
+        const stroke = this.stroke;
+        if (stroke && event.pointerId === stroke.pointerId) {
+            const point = this.toPixel(event);
+            if (point) {
+                if (this.tool === 'plane') {
+                    stroke.lasso.push(point);
+                    stroke.lassoScreen.push({ x: event.clientX, y: event.clientY });
+                } else if (this.tool === 'gradient') {
+                    this.applyGradient(stroke.start, point, stroke.base);
+                } else {
+                    this.strokeTo(point);
+                }
+                stroke.last = point;
+            }
+        }
+
+        this.drawOverlay();
+    }
+
+    handlePointerUp(event) {
+        if (!this.stroke || event.pointerId !== this.stroke.pointerId) return;
+
+        if (this.tool === 'plane') {
+            this.fillPlane(this.stroke.lasso);
+        }
+        this.endStroke();
+    }
+
+    handlePointerLeave() {
+        if (!this.stroke) {
+            this.pointer = null;
+            this.drawOverlay();
+        }
+    }
+
+    /**
+     * Finish the current stroke, if any
+     */
+    endStroke() {
+        if (this.stroke) {
+            if (this.stroke.changed) {
+                this.pushUndo(this.stroke.before);
+            }
+            this.stroke = null;
+            this.viewer.inputPaused = false;
+            this.flushNow();
+        }
+        this.drawOverlay();
+    }
+
+    /**
+     * Map a pointer event to depth map pixel coordinates
+     * @returns {{x: number, y: number, inside: boolean}|null} Coordinates clamped to
+     *          the image; inside is false if the pointer was off it
+     */
+    toPixel(event) {
+        const uv = this.viewer.screenToUV(event.clientX, event.clientY,
+            (u, v) => this.sample(u * this.width, (1 - v) * this.height) / 255);
+        if (!uv) return null;
+
+        const inside = uv.u >= 0 && uv.u <= 1 && uv.v >= 0 && uv.v <= 1;
+
+        // Textures are flipped - v = 1 is the top row
+        return {
+            x: Math.max(0, Math.min(this.width - 1, uv.u * this.width)),
+            y: Math.max(0, Math.min(this.height - 1, (1 - uv.v) * this.height)),
+            inside
+        };
+    }
+
+    /**
+     * Depth at a pixel position (nearest)
+     */
+    sample(x, y) {
+        const px = Math.max(0, Math.min(this.width - 1, Math.round(x)));
+        const py = Math.max(0, Math.min(this.height - 1, Math.round(y)));
+        return this.depth[py * this.width + px];
+    }
+
+    // =========================================
+    // Brushes
+    // =========================================
+
+    /**
+     * Brush radius in depth map pixels
+     */
+    getRadius() {
+        return Math.max(1, this.brushSize * this.width);
+    }
+
+    /**
+     * Brush weight at a distance from its center, as a fraction of the radius
+     * Smoothstep, so dabs blend without a visible rim
+     */
+    falloff(distance) {
+        const t = 1 - Math.min(1, distance);
+        return t * t * (3 - 2 * t);
+    }
+
+    /**
+     * Lay dabs from the last stroke point to a new one
+     */
+    strokeTo(point) {
+        const { last } = this.stroke;
+        const spacing = Math.max(1, this.getRadius() * this.dabSpacing);
+        const dx = point.x - last.x;
+        const dy = point.y - last.y;
+        const steps = Math.floor(Math.hypot(dx, dy) / spacing);
+
+        if (steps === 0) {
+            // Not far enough for a new dab - keep measuring from the last one
+            point.x = last.x;
+            point.y = last.y;
+            return;
+        }
+
+        for (let i = 1; i <= steps; i++) {
+            this.dab(last.x + dx * i / steps, last.y + dy * i / steps);
+        }
+    }
+
+    /**
+     * Apply the current brush once, centered on a pixel
+     */
+    dab(cx, cy) {
+        const radius = this.getRadius();
+        const x0 = Math.max(0, Math.floor(cx - radius));
+        const x1 = Math.min(this.width - 1, Math.ceil(cx + radius));
+        const y0 = Math.max(0, Math.floor(cy - radius));
+        const y1 = Math.min(this.height - 1, Math.ceil(cy + radius));
+
+        const depth = this.depth;
+        const width = this.width;
+        const regionW = x1 - x0 + 1;
+
+        // Local mean for smoothing, from a box blur of the dab's area
+        const blurred = this.tool === 'smooth'
+            ? this.blurRegion(x0, y0, x1, y1, Math.max(1, Math.round(radius * 0.25)))
+            : null;
+
+        const pushAmount = this.maxPushAmount * this.strength;
+        const target = this.stroke.target;
+
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                const distance = Math.hypot(x - cx, y - cy) / radius;
+                if (distance >= 1) continue;
+
+                const weight = this.falloff(distance);
+                const i = y * width + x;
+
+                switch (this.tool) {
+                    case 'push':
+                        depth[i] = Math.min(255, depth[i] + pushAmount * weight);
+                        break;
+                    case 'pull':
+                        depth[i] = Math.max(0, depth[i] - pushAmount * weight);
+                        break;
+                    case 'smooth': {
+                        const mean = blurred[(y - y0) * regionW + (x - x0)];
+                        depth[i] += (mean - depth[i]) * weight * this.strength;
+                        break;
+                    }
+                    case 'flatten':
+                        depth[i] += (target - depth[i]) * weight * this.strength;
+                        break;
+                }
+            }
+        }
+
+        this.markDirty(x0, y0, x1, y1);
+    }
+
+    /**
+     * Box blur a rectangle of the depth map (separable, running sums)
+     * Reads outside the rectangle so its edges are averaged properly.
+     * @returns {Float32Array} Blurred values for the rectangle
+     */
+    blurRegion(x0, y0, x1, y1, radius) {
+        const { width, height, depth } = this;
+
+        // Rows above and below are needed for the vertical pass
+        const top = Math.max(0, y0 - radius);
+        const bottom = Math.min(height - 1, y1 + radius);
+        const regionW = x1 - x0 + 1;
+        const rows = bottom - top + 1;
+
+        const horizontal = new Float32Array(regionW * rows);
+        for (let y = top; y <= bottom; y++) {
+            const row = y * width;
+            let sum = 0;
+            let count = 0;
+            for (let x = Math.max(0, x0 - radius); x <= Math.min(width - 1, x0 + radius); x++) {
+                sum += depth[row + x];
+                count++;
+            }
+            for (let x = x0; x <= x1; x++) {
+                horizontal[(y - top) * regionW + (x - x0)] = sum / count;
+
+                const leaving = x - radius;
+                const entering = x + radius + 1;
+                if (leaving >= 0) { sum -= depth[row + leaving]; count--; }
+                if (entering < width) { sum += depth[row + entering]; count++; }
+            }
+        }
+
+        const result = new Float32Array(regionW * (y1 - y0 + 1));
+        for (let x = 0; x < regionW; x++) {
+            let sum = 0;
+            let count = 0;
+            for (let y = y0 - radius; y <= y0 + radius; y++) {
+                if (y < top || y > bottom) continue;
+                sum += horizontal[(y - top) * regionW + x];
+                count++;
+            }
+            for (let y = y0; y <= y1; y++) {
+                result[(y - y0) * regionW + x] = sum / count;
+
+                const leaving = y - radius;
+                const entering = y + radius + 1;
+                if (leaving >= top) { sum -= horizontal[(leaving - top) * regionW + x]; count--; }
+                if (entering <= bottom) { sum += horizontal[(entering - top) * regionW + x]; count++; }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Blend a linear ramp between the depths at a and b into the pixels within
+     * a brush radius of the line between them
+     * Redrawn from the stroke's starting depth on every move, so the ramp can
+     * be dragged around before letting go.
+     */
+    applyGradient(a, b, base) {
+        const radius = this.getRadius();
+        const from = this.sampleFrom(base, a.x, a.y);
+        const to = this.sampleFrom(base, b.x, b.y);
+
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+
+        // Undo the previous preview
+        if (this.stroke.bounds) {
+            const { x0, y0, x1, y1 } = this.stroke.bounds;
+            for (let y = y0; y <= y1; y++) {
+                const row = y * this.width;
+                this.depth.set(base.subarray(row + x0, row + x1 + 1), row + x0);
+            }
+            this.markDirty(x0, y0, x1, y1);
+        }
+
+        const x0 = Math.max(0, Math.floor(Math.min(a.x, b.x) - radius));
+        const x1 = Math.min(this.width - 1, Math.ceil(Math.max(a.x, b.x) + radius));
+        const y0 = Math.max(0, Math.floor(Math.min(a.y, b.y) - radius));
+        const y1 = Math.min(this.height - 1, Math.ceil(Math.max(a.y, b.y) + radius));
+
+        for (let y = y0; y <= y1; y++) {
+            for (let x = x0; x <= x1; x++) {
+                // Position along the line (0 at a, 1 at b) and distance from it
+                const t = lengthSq > 0
+                    ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq))
+                    : 0;
+                const distance = Math.hypot(x - (a.x + dx * t), y - (a.y + dy * t)) / radius;
+                if (distance >= 1) continue;
+
+                const i = y * this.width + x;
+                const ramp = from + (to - from) * t;
+                this.depth[i] = base[i] + (ramp - base[i]) * this.falloff(distance);
+            }
+        }
+
+        this.stroke.bounds = { x0, y0, x1, y1 };
+        this.markDirty(x0, y0, x1, y1);
+    }
+
+    /**
+     * Depth at a pixel position of another buffer
+     */
+    sampleFrom(buffer, x, y) {
+        return buffer[Math.round(y) * this.width + Math.round(x)];
+    }
+
+    /**
+     * Set the inside of a lasso to the plane that best fits the depth along
+     * its outline
+     * @param {Array<{x: number, y: number}>} polygon - Lasso points in pixels
+     */
+    fillPlane(polygon) {
+        if (polygon.length < 3) return;
+
+        const plane = this.fitPlane(this.sampleOutline(polygon));
+
+        // Scanline fill, even-odd rule
+        let minY = Infinity;
+        let maxY = -Infinity;
+        for (const point of polygon) {
+            minY = Math.min(minY, point.y);
+            maxY = Math.max(maxY, point.y);
+        }
+
+        const y0 = Math.max(0, Math.ceil(minY - 0.5));
+        const y1 = Math.min(this.height - 1, Math.floor(maxY - 0.5));
+        let minX = this.width;
+        let maxX = -1;
+
+        for (let y = y0; y <= y1; y++) {
+            const scanY = y + 0.5;
+            const crossings = [];
+
+            for (let i = 0; i < polygon.length; i++) {
+                const p = polygon[i];
+                const q = polygon[(i + 1) % polygon.length];
+                if ((p.y <= scanY) !== (q.y <= scanY)) {
+                    crossings.push(p.x + (scanY - p.y) / (q.y - p.y) * (q.x - p.x));
+                }
+            }
+            crossings.sort((a, b) => a - b);
+
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                const start = Math.max(0, Math.ceil(crossings[i] - 0.5));
+                const end = Math.min(this.width - 1, Math.floor(crossings[i + 1] - 0.5));
+                for (let x = start; x <= end; x++) {
+                    const value = plane.a * x + plane.b * y + plane.c;
+                    this.depth[y * this.width + x] = Math.max(0, Math.min(255, value));
+                }
+                if (start <= end) {
+                    minX = Math.min(minX, start);
+                    maxX = Math.max(maxX, end);
+                }
+            }
+        }
+
+        if (maxX >= minX) {
+            this.markDirty(minX, y0, maxX, y1);
+        }
+    }
+
+    /**
+     * Depth samples about every pixel along a closed outline
+     * @returns {Array<{x: number, y: number, z: number}>}
+     */
+    sampleOutline(polygon) {
+        const samples = [];
+
+        for (let i = 0; i < polygon.length; i++) {
+            const p = polygon[i];
+            const q = polygon[(i + 1) % polygon.length];
+            const steps = Math.max(1, Math.ceil(Math.hypot(q.x - p.x, q.y - p.y)));
+
+            for (let s = 0; s < steps; s++) {
+                const x = p.x + (q.x - p.x) * s / steps;
+                const y = p.y + (q.y - p.y) * s / steps;
+                samples.push({ x, y, z: this.sample(x, y) });
+            }
+        }
+
+        return samples;
+    }
+
+    /**
+     * Least-squares plane z = a*x + b*y + c through the samples
+     * Falls back to a flat plane at their mean if they are (nearly) collinear.
+     * @returns {{a: number, b: number, c: number}}
+     */
+    fitPlane(samples) {
+        const n = samples.length;
+
+        // Center the points so the normal equations are well conditioned
+        let mx = 0, my = 0, mz = 0;
+        for (const { x, y, z } of samples) {
+            mx += x;
+            my += y;
+            mz += z;
+        }
+        mx /= n;
+        my /= n;
+        mz /= n;
+
+        let sxx = 0, sxy = 0, syy = 0, sxz = 0, syz = 0;
+        for (const { x, y, z } of samples) {
+            const dx = x - mx;
+            const dy = y - my;
+            const dz = z - mz;
+            sxx += dx * dx;
+            sxy += dx * dy;
+            syy += dy * dy;
+            sxz += dx * dz;
+            syz += dy * dz;
+        }
+
+        const det = sxx * syy - sxy * sxy;
+        if (Math.abs(det) < 1e-6 * (sxx * syy + 1)) {
+            return { a: 0, b: 0, c: mz };
+        }
+
+        const a = (sxz * syy - syz * sxy) / det;
+        const b = (syz * sxx - sxz * sxy) / det;
+        return { a, b, c: mz - a * mx - b * my };
+    }
+
+    // =========================================
+    // Output
+    // =========================================
+
+    /**
+     * Grow the rectangle waiting to be uploaded and schedule the upload
+     * Any stroke under way has now changed the depth.
+     */
+    markDirty(x0, y0, x1, y1) {
+        if (this.stroke) {
+            this.stroke.changed = true;
+        }
+
+        if (this.dirty) {
+            this.dirty.x0 = Math.min(this.dirty.x0, x0);
+            this.dirty.y0 = Math.min(this.dirty.y0, y0);
+            this.dirty.x1 = Math.max(this.dirty.x1, x1);
+            this.dirty.y1 = Math.max(this.dirty.y1, y1);
+        } else {
+            this.dirty = { x0, y0, x1, y1 };
+        }
+
+        if (!this.flushId) {
+            this.flushId = requestAnimationFrame(this.flush);
+        }
+    }
+
+    /**
+     * Write the changed rectangle to the depth canvas and re-upload the texture
+     * Runs at most once per frame, however many dabs landed in it.
+     */
+    flush() {
+        this.flushId = null;
+        if (!this.dirty || !this.ctx) return;
+
+        const { x0, y0, x1, y1 } = this.dirty;
+        this.dirty = null;
+
+        const regionW = x1 - x0 + 1;
+        const regionH = y1 - y0 + 1;
+        const imageData = this.ctx.createImageData(regionW, regionH);
+        const data = imageData.data;
+
+        for (let y = 0; y < regionH; y++) {
+            const row = (y0 + y) * this.width + x0;
+            for (let x = 0; x < regionW; x++) {
+                const value = Math.round(this.depth[row + x]);
+                const idx = (y * regionW + x) * 4;
+                data[idx] = value;
+                data[idx + 1] = value;
+                data[idx + 2] = value;
+                data[idx + 3] = 255;
+            }
+        }
+
+        this.ctx.putImageData(imageData, x0, y0);
+        this.viewer.updateDepthTexture(this.set);
+    }
+
+    /**
+     * Upload any pending changes right away
+     */
+    flushNow() {
+        if (this.flushId) {
+            cancelAnimationFrame(this.flushId);
+        }
+        this.flush();
+    }
+
+    /**
+     * Draw the brush outline, lasso or gradient line
+     */
+    drawOverlay() {
+        const overlay = this.overlay;
+        const ctx = this.overlayCtx;
+        const rect = this.viewer.container.getBoundingClientRect();
+        const ratio = window.devicePixelRatio || 1;
+
+        const width = Math.round(rect.width * ratio);
+        const height = Math.round(rect.height * ratio);
+        if (overlay.width !== width || overlay.height !== height) {
+            overlay.width = width;
+            overlay.height = height;
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        if (!this.active || !this.pointer) return;
+
+        ctx.setTransform(ratio, 0, 0, ratio, -rect.left * ratio, -rect.top * ratio);
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+        ctx.shadowBlur = 2;
+
+        const stroke = this.stroke;
+
+        if (this.tool === 'plane') {
+            if (stroke) {
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                stroke.lassoScreen.forEach(({ x, y }, i) => {
+                    if (i === 0) ctx.moveTo(x, y);
+                    else ctx.lineTo(x, y);
+                });
+                ctx.closePath();
+                ctx.stroke();
+            }
+            return;
+        }
+
+        // Brush radius on screen, from the displayed width of the image
+        const left = this.viewer.uvToScreen(0, 0.5);
+        const right = this.viewer.uvToScreen(1, 0.5);
+        if (!left || !right) return;
+        const radius = this.brushSize * Math.hypot(right.x - left.x, right.y - left.y);
+
+        if (this.tool === 'gradient' && stroke) {
+            ctx.beginPath();
+            ctx.moveTo(stroke.startScreen.x, stroke.startScreen.y);
+            ctx.lineTo(this.pointer.x, this.pointer.y);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.arc(stroke.startScreen.x, stroke.startScreen.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        ctx.beginPath();
+        ctx.arc(this.pointer.x, this.pointer.y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
+
+// Export for use
+window.DepthEditor = DepthEditor;
@@ -0,0 +1,326 @@
+/**
+ * Depth Layers
+ * Splits a depth-displaced image into a foreground mesh that tears at depth
+ * edges and a background layer inpainted behind foreground objects, so a
+ * wiggle uncovers plausible background instead of stretching edges over it
+ */
+
+class DepthLayers {
+    constructor(options = {}) {
+        // Depth map steps (0-1) bigger than this are edges between objects
+        this.tearThreshold = options.tearThreshold || 0.05;
+
+        // Longest side of the background layer, in pixels
+        this.layerResolution = options.layerResolution || 1024;
+
+        // How far background is carried in behind foreground edges, as a
+        // fraction of the layer width - more than a strong wiggle uncovers
+        this.inpaintWidth = options.inpaintWidth || 0.08;
+
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    /**
+     * Build the background layer for an image
+     * Away from depth edges it's the image itself; just inside foreground
+     * objects, it's the background they hide, carried in from behind the edge.
+     * @param {HTMLImageElement|HTMLCanvasElement} colorImage
+     * @param {HTMLCanvasElement} depthCanvas - White is near
+     * @returns {{colorCanvas: HTMLCanvasElement, depthCanvas: HTMLCanvasElement,
+     *            depth: Float32Array, width: number, height: number, inpainted: number}}
+     *          depth is the original depth map at layer size, for tearGeometry;
+     *          inpainted counts the pixels filled with background
+     */
+    build(colorImage, depthCanvas) {
+        const scale = Math.min(1, this.layerResolution / Math.max(colorImage.width, colorImage.height));
+        const width = Math.max(1, Math.round(colorImage.width * scale));
+        const height = Math.max(1, Math.round(colorImage.height * scale));
+
+        const color = this.readPixels(colorImage, width, height, true);
+
+        // Nearest-neighbour, so edges stay steps rather than ramps
+        const depthPixels = this.readPixels(depthCanvas, width, height, false).data;
+        const depth = new Float32Array(width * height);
+        for (let i = 0; i < depth.length; i++) {
+            depth[i] = depthPixels[i * 4] / 255;
+        }
+
+        const occluders = this.findOccluders(depth, width, height);
+        const filledDepth = new Float32Array(depth);
+        const inpainted = this.inpaint(occluders, color.data, filledDepth, depth, width, height);
+
+        const colorCanvas = document.createElement('canvas');
+        colorCanvas.width = width;
+        colorCanvas.height = height;
+        colorCanvas.getContext('2d').putImageData(color, 0, 0);
+
+        const layerDepthCanvas = document.createElement('canvas');
+        layerDepthCanvas.width = width;
+        layerDepthCanvas.height = height;
+        const depthCtx = layerDepthCanvas.getContext('2d');
+        const depthImage = depthCtx.createImageData(width, height);
+        for (let i = 0; i < filledDepth.length; i++) {
+            const value = Math.round(filledDepth[i] * 255);
+            depthImage.data[i * 4] = value;
+            depthImage.data[i * 4 + 1] = value;
+            depthImage.data[i * 4 + 2] = value;
+            depthImage.data[i * 4 + 3] = 255;
+        }
+        depthCtx.putImageData(depthImage, 0, 0);
+
+        console.log(`Depth layers: ${occluders.count.toLocaleString()} occluding pixels, ` +
+            `${inpainted.toLocaleString()} inpainted (${width}x${height})`);
+
+        return { colorCanvas, depthCanvas: layerDepthCanvas, depth, width, height, inpainted };
+    }
+
+    /**
+     * Find foreground pixels that can hide background: those on the near
+     * side of a depth edge, and inward from it up to inpaintWidth while
+     * they're still in front of the background at the edge
+     * @param {Float32Array} depth - 0-1, 1 near
+     * @param {number} width
+     * @param {number} height
+     * @returns {{order: Int32Array, count: number, far: Float32Array}} The first count
+     *          entries of order are occluding pixels, nearest the edge first; far is
+     *          the depth of the background each one hides, or -1
+     */
+    findOccluders(depth, width, height) {
+        const threshold = this.tearThreshold;
+        const far = new Float32Array(width * height).fill(-1);
+        const order = new Int32Array(width * height);
+        let count = 0;
+
+        // Edges: something much farther within two pixels
+        const nearby = this.minFilter(depth, width, height, 2);
+        for (let p = 0; p < depth.length; p++) {
+            if (depth[p] - nearby[p] > threshold) {
+                far[p] = nearby[p];
+                order[count++] = p;
+            }
+        }
+
+        // Grow inward a ring at a time
+        const maxSteps = Math.ceil(width * this.inpaintWidth);
+        let start = 0;
+        for (let step = 0; step < maxSteps && start < count; step++) {
+            const end = count;
+            for (let i = start; i < end; i++) {
+                const p = order[i];
+                const x = p % width;
+                const y = (p - x) / width;
+
+                const neighbours = [
+                    x > 0 ? p - 1 : -1,
+                    x < width - 1 ? p + 1 : -1,
+                    y > 0 ? p - width : -1,
+                    y < height - 1 ? p + width : -1
+                ];
+                for (const q of neighbours) {
+                    if (q >= 0 && far[q] < 0 && depth[q] - far[p] > threshold) {
+                        far[q] = far[p];
+                        order[count++] = q;
+                    }
+                }
+            }
+            start = end;
+        }
+
+        return { order, count, far };
+    }
+
+    /**
+     * Fill occluding pixels with the background around them, edge first
+     * Each takes the average of its neighbours that are background - not
+     * occluding, and no nearer than what it hides - or already filled, so
+     * background texture and depth carry in from behind the edge. Pixels
+     * with nothing to take from keep their own color and depth.
+     * @param {{order: Int32Array, count: number, far: Float32Array}} occluders - From findOccluders
+     * @param {Uint8ClampedArray} color - RGBA, filled in place
+     * @param {Float32Array} filledDepth - Filled in place
+     * @param {Float32Array} depth - The original depth
+     * @param {number} width
+     * @param {number} height
+     * @returns {number} Pixels filled
+     */
+    inpaint(occluders, color, filledDepth, depth, width, height) {
+        const { order, count, far } = occluders;
+        const threshold = this.tearThreshold;
+        const filled = new Uint8Array(width * height);
+        let total = 0;
+
+        // Edges that are two pixels wide leave some pixels without a source on
+        // the first pass; a couple more reach them through their neighbours
+        for (let pass = 0; pass < 3; pass++) {
+            let progress = 0;
+
+            for (let i = 0; i < count; i++) {
+                const p = order[i];
+                if (filled[p]) continue;
+
+                const x = p % width;
+                const y = (p - x) / width;
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                let d = 0;
+                let n = 0;
+
+                for (let dy = -1; dy <= 1; dy++) {
+                    const ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const nx = x + dx;
+                        if (nx < 0 || nx >= width || (dx === 0 && dy === 0)) continue;
+
+                        const q = ny * width + nx;
+                        const background = far[q] < 0 && depth[q] <= far[p] + threshold;
+                        if (!filled[q] && !background) continue;
+
+                        r += color[q * 4];
+                        g += color[q * 4 + 1];
+                        b += color[q * 4 + 2];
+                        d += filledDepth[q];
+                        n++;
+                    }
+                }
+
+                if (n > 0) {
+                    color[p * 4] = r / n;
+                    color[p * 4 + 1] = g / n;
+                    color[p * 4 + 2] = b / n;
+                    filledDepth[p] = d / n;
+                    filled[p] = 1;
+                    progress++;
+                }
+            }
+
+            total += progress;
+            if (progress === 0 || total === count) break;
+        }
+
+        return total;
+    }
+
+    /**
+     * Tear a PlaneGeometry at depth edges
+     * A triangle spanning an edge would stretch across it when wiggled.
+     * Instead it gets its own copies of its vertices, pinned to its nearest
+     * corner's depth by a layerDepth attribute (-1 everywhere else), so it
+     * moves with the foreground; the shader drops the pixels in it that
+     * belong to the background layer.
+     * @param {THREE.BufferGeometry} geometry - Indexed, with uv; changed in place
+     * @param {{depth: Float32Array, width: number, height: number}} layers - From build
+     * @returns {number} Triangles torn
+     */
+    tearGeometry(geometry, layers) {
+        const { depth, width, height } = layers;
+        const uvs = geometry.attributes.uv.array;
+        const index = geometry.index.array;
+        const vertexCount = uvs.length / 2;
+
+        // Depth under each vertex; v is 1 at the top of the image
+        const vertexDepth = new Float32Array(vertexCount);
+        for (let i = 0; i < vertexCount; i++) {
+            const x = Math.min(width - 1, Math.floor(uvs[i * 2] * width));
+            const y = Math.min(height - 1, Math.floor((1 - uvs[i * 2 + 1]) * height));
+            vertexDepth[i] = depth[y * width + x];
+        }
+
+        const torn = [];
+        for (let t = 0; t < index.length; t += 3) {
+            const a = vertexDepth[index[t]];
+            const b = vertexDepth[index[t + 1]];
+            const c = vertexDepth[index[t + 2]];
+            if (Math.max(a, b, c) - Math.min(a, b, c) > this.tearThreshold) {
+                torn.push(t);
+            }
+        }
+        if (torn.length === 0) return 0;
+
+        // Every attribute grows by three vertices per torn triangle
+        const total = vertexCount + torn.length * 3;
+        const attributes = {};
+        Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+            const array = new Float32Array(total * attribute.itemSize);
+            array.set(attribute.array);
+            attributes[name] = { array, itemSize: attribute.itemSize };
+        });
+        const layerDepth = new Float32Array(total).fill(-1);
+        const newIndex = new Uint32Array(index);
+
+        torn.forEach((t, k) => {
+            const nearest = Math.max(vertexDepth[index[t]], vertexDepth[index[t + 1]], vertexDepth[index[t + 2]]);
+
+            for (let j = 0; j < 3; j++) {
+                const source = index[t + j];
+                const target = vertexCount + k * 3 + j;
+
+                Object.values(attributes).forEach(({ array, itemSize }) => {
+                    array.copyWithin(target * itemSize, source * itemSize, (source + 1) * itemSize);
+                });
+                layerDepth[target] = nearest;
+                newIndex[t + j] = target;
+            }
+        });
+
+        Object.entries(attributes).forEach(([name, { array, itemSize }]) => {
+            geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+        });
+        geometry.setAttribute('layerDepth', new THREE.BufferAttribute(layerDepth, 1));
+        geometry.setIndex(new THREE.BufferAttribute(newIndex, 1));
+
+        return torn.length;
+    }
+
+    /**
+     * Minimum over a (2r+1)² window, as two 1D passes
+     */
+    minFilter(data, width, height, radius) {
+        const rows = new Float32Array(data.length);
+        const result = new Float32Array(data.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let min = Infinity;
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width - 1, x + radius);
+                for (let nx = x0; nx <= x1; nx++) {
+                    min = Math.min(min, data[y * width + nx]);
+                }
+                rows[y * width + x] = min;
+            }
+        }
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height - 1, y + radius);
+            for (let x = 0; x < width; x++) {
+                let min = Infinity;
+                for (let ny = y0; ny <= y1; ny++) {
+                    min = Math.min(min, rows[ny * width + x]);
+                }
+                result[y * width + x] = min;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Draw an image to the work canvas at a size and read its pixels
+     * @returns {ImageData}
+     */
+    readPixels(image, width, height, smooth) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.imageSmoothingEnabled = smooth;
+        this.ctx.imageSmoothingQuality = 'high';
+        this.ctx.drawImage(image, 0, 0, width, height);
+        return this.ctx.getImageData(0, 0, width, height);
+    }
+}
+
+// Export for use
+window.DepthLayers = DepthLayers;
@@ -0,0 +1,265 @@
+/**
+ * Depth Map Loader
+ * Loads precomputed depth images (portrait mode exports, Photoshop, external
+ * tools). 16-bit PNGs are decoded at full precision and range-stretched
+ * before they're quantized to the 8-bit canvas the viewer uses.
+ */
+
+class DepthMapLoader {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        // PNG file signature
+        this.PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+        // Samples per pixel by PNG color type (palette images are always 8-bit)
+        this.PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+    }
+
+    /**
+     * Load a depth image
+     * Values are stretched to the full 0-255 range of the returned canvas, so
+     * 16-bit maps that only use part of their range keep their detail.
+     * @param {File|Blob} file
+     * @param {Object} options
+     * @param {boolean} [options.invert] - For maps where white is far
+     * @param {string} [options.format] - 'RangeLinear' for values linear in distance
+     *        (white = far); the default 'RangeInverse' is linear in 1/distance
+     * @param {number} [options.near] - Distance of value 0 (RangeLinear) or the
+     *        maximum value (RangeInverse), in any unit
+     * @param {number} [options.far] - Distance at the other end of the range
+     * @returns {Promise<{depthCanvas: HTMLCanvasElement, width: number, height: number,
+     *           bitDepth: number}>} bitDepth is that of the source file
+     */
+    async load(file, options = {}) {
+        const { invert = false, format = 'RangeInverse', near = null, far = null } = options;
+
+        const buffer = await file.arrayBuffer();
+        const data = new Uint8Array(buffer);
+
+        let decoded = null;
+        if (this.isPNG(data) && this.readPNGHeader(data).bitDepth === 16) {
+            try {
+                decoded = await this.decodePNG16(data);
+            } catch (error) {
+                console.warn(`Could not decode ${file.name || 'depth map'} at 16 bits, falling back to 8:`, error);
+            }
+        }
+        if (!decoded) {
+            decoded = await this.decodeImage(file);
+        }
+
+        const { values, width, height, bitDepth } = decoded;
+        if (format === 'RangeLinear') {
+            this.linearToInverse(values, 2 ** bitDepth - 1, near, far);
+        }
+        const depthCanvas = this.createCanvas(this.normalize(values, invert), width, height);
+
+        console.log(`Loaded ${bitDepth}-bit depth map ${width}x${height}${invert ? ' (inverted)' : ''}`);
+
+        return { depthCanvas, width, height, bitDepth };
+    }
+
+    /**
+     * Check for the PNG signature
+     */
+    isPNG(data) {
+        return this.PNG_SIGNATURE.every((byte, i) => data[i] === byte);
+    }
+
+    /**
+     * Read the IHDR chunk, which always comes first
+     * @returns {{width: number, height: number, bitDepth: number, colorType: number, interlace: number}}
+     */
+    readPNGHeader(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        return {
+            width: view.getUint32(16),
+            height: view.getUint32(20),
+            bitDepth: data[24],
+            colorType: data[25],
+            interlace: data[28]
+        };
+    }
+
+    /**
+     * Decode a 16-bit PNG to full-precision values
+     * Uses the first channel of color images - depth exports store the same
+     * value in each.
+     * @returns {Promise<{values: Float32Array, width: number, height: number, bitDepth: number}>}
+     */
+    async decodePNG16(data) {
+        const header = this.readPNGHeader(data);
+        const { width, height, colorType } = header;
+        const channels = this.PNG_CHANNELS[colorType];
+
+        if (!channels || colorType === 3) {
+            throw new Error(`Unsupported PNG color type ${colorType}`);
+        }
+        if (header.interlace !== 0) {
+            throw new Error('Interlaced PNGs are not supported');
+        }
+
+        // Concatenate the IDAT chunks and inflate them
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const chunks = [];
+        let pos = 8;
+        while (pos + 8 <= data.length) {
+            const length = view.getUint32(pos);
+            const type = String.fromCharCode(...data.subarray(pos + 4, pos + 8));
+            if (type === 'IDAT') {
+                chunks.push(data.subarray(pos + 8, pos + 8 + length));
+            } else if (type === 'IEND') {
+                break;
+            }
+            pos += 12 + length;
+        }
+
+        const stream = new Blob(chunks).stream().pipeThrough(new DecompressionStream('deflate'));
+        const raw = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        const bytesPerPixel = channels * 2;
+        const stride = width * bytesPerPixel;
+        if (raw.length < (stride + 1) * height) {
+            throw new Error('PNG image data is truncated');
+        }
+
+        const pixels = this.unfilterPNG(raw, stride, height, bytesPerPixel);
+        const values = new Float32Array(width * height);
+        for (let i = 0; i < values.length; i++) {
+            const offset = i * bytesPerPixel;
+            values[i] = (pixels[offset] << 8) | pixels[offset + 1];
+        }
+
+        return { values, width, height, bitDepth: 16 };
+    }
+
+    /**
+     * Undo PNG's per-row prediction filters
+     * @param {Uint8Array} raw - Inflated data, a filter-type byte before each row
+     * @returns {Uint8Array} Unfiltered rows without the filter bytes
+     */
+    unfilterPNG(raw, stride, height, bytesPerPixel) {
+        const pixels = new Uint8Array(stride * height);
+
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * (stride + 1)];
+            const src = y * (stride + 1) + 1;
+            const row = y * stride;
+            const prev = row - stride;
+
+            for (let x = 0; x < stride; x++) {
+                const a = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+                const b = y > 0 ? pixels[prev + x] : 0;
+                const c = x >= bytesPerPixel && y > 0 ? pixels[prev + x - bytesPerPixel] : 0;
+
+                let predictor;
+                switch (filter) {
+                    case 0: predictor = 0; break;
+                    case 1: predictor = a; break;
+                    case 2: predictor = b; break;
+                    case 3: predictor = (a + b) >> 1; break;
+                    case 4: {
+                        // Paeth
+                        const p = a + b - c;
+                        const pa = Math.abs(p - a);
+                        const pb = Math.abs(p - b);
+                        const pc = Math.abs(p - c);
+                        predictor = pa <= pb && pa <= pc ? a : (pb <= pc ? b : c);
+                        break;
+                    }
+                    default:
+                        throw new Error(`Unknown PNG filter type ${filter}`);
+                }
+
+                pixels[row + x] = (raw[src + x] + predictor) & 0xFF;
+            }
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Decode any browser-supported image to 8-bit values (red channel)
+     * @returns {Promise<{values: Float32Array, width: number, height: number, bitDepth: number}>}
+     */
+    async decodeImage(file) {
+        const bitmap = await createImageBitmap(file);
+        const { width, height } = bitmap;
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const data = this.ctx.getImageData(0, 0, width, height).data;
+        const values = new Float32Array(width * height);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = data[i * 4];
+        }
+
+        return { values, width, height, bitDepth: 8 };
+    }
+
+    /**
+     * Convert distance-linear values to inverse distance in place
+     * Parallax goes with 1/distance, so this is what the viewer wants. Without
+     * a near/far range the best we can do is flip white-is-far to white-is-near.
+     */
+    linearToInverse(values, maxValue, near, far) {
+        const hasRange = near > 0 && far > near;
+
+        for (let i = 0; i < values.length; i++) {
+            const t = values[i] / maxValue;
+            values[i] = hasRange ? 1 / (near + t * (far - near)) : 1 - t;
+        }
+    }
+
+    /**
+     * Stretch values to 0-1, optionally flipping near and far
+     */
+    normalize(values, invert) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] < min) min = values[i];
+            if (values[i] > max) max = values[i];
+        }
+
+        const range = max - min || 1;
+        const result = new Float32Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            const value = (values[i] - min) / range;
+            result[i] = invert ? 1 - value : value;
+        }
+
+        return result;
+    }
+
+    /**
+     * Draw 0-1 values to a grayscale canvas
+     */
+    createCanvas(depthArray, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+
+        for (let i = 0; i < depthArray.length; i++) {
+            const value = Math.round(depthArray[i] * 255);
+            imageData.data[i * 4] = value;
+            imageData.data[i * 4 + 1] = value;
+            imageData.data[i * 4 + 2] = value;
+            imageData.data[i * 4 + 3] = 255;
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        return canvas;
+    }
+}
+
+// Export for use
+window.DepthMapLoader = DepthMapLoader;
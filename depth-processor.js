@@ -4,144 +4,1683 @@
  */
 
 class DepthProcessor {
-    constructor() {
-        this.canvas = document.createElement('canvas');
-        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    constructor(options = {}) {
+        // This file is also loaded inside depth-worker.js, where there is no DOM
+        // and only the array routines are used
+        const inWorker = typeof document === 'undefined';
 
-        // Worker for heavy computation
-        this.worker = null;
+        if (!inWorker) {
+            this.canvas = document.createElement('canvas');
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+
+        // Worker pool for heavy computation
+        this.workerURL = options.workerURL || 'depth-worker.js';
+        this.workerCount = options.workerCount ||
+            Math.max(1, Math.min(4, ((typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2) - 1));
+        this.useWorkers = !inWorker && typeof Worker !== 'undefined';
+        this.workers = [];
+        this.taskQueue = [];
+
+        // Rows per band when splitting work across workers
+        this.minBandHeight = 16;
+
+        // Largest SGM cost volume (pixels x disparities) we'll allocate
+        this.maxCostVolume = 48 * 1024 * 1024;
+
+        // Coarse-to-fine matching: block matching starts at this size (longest
+        // side), no level gets smaller than minPyramidSize, and finer levels
+        // search +/- pyramidSearchRadius around the upsampled coarse disparity
+        this.pyramidBaseSize = 512;
+        this.minPyramidSize = 64;
+        this.pyramidSearchRadius = 2;
+
+        // Disparities per pixel when SGM refines a finer level - enough to
+        // span the prior's spread across small depth steps
+        this.refineDisparities = 11;
+
+        // Progress callback for the task currently running (set per task)
+        this.onTaskProgress = null;
+
+        // Validity mask values
+        this.VALID = 255;
+        this.OCCLUDED = 128;  // Visible in the left image only
+        this.MISMATCH = 0;    // Failed the left-right check for other reasons
+
+        // Smoothing filters for the final depth pass
+        this.SMOOTHING_FILTERS = ['guided', 'bilateral', 'gaussian'];
+
+        // Single-image depth: how much each cue says "near" per scene type.
+        // A negative center weight pushes the middle of the frame back, as at
+        // the far wall of a room.
+        this.SCENE_PRESETS = {
+            portrait: { ground: 0.15, haze: 0.05, defocus: 0.5, center: 0.3 },
+            landscape: { ground: 0.55, haze: 0.35, defocus: 0.1, center: 0 },
+            interior: { ground: 0.4, haze: 0, defocus: 0.25, center: -0.35 }
+        };
+
+        // Width single-image cues are computed at before upsampling
+        this.monocularAnalysisWidth = 400;
+
+        // Optional learned single-image depth - see setDepthEstimator
+        this.depthEstimator = null;
+    }
+
+    /**
+     * Plug in a single-image depth estimator for createFallbackDepthMap
+     * An estimator is any object with a `name` and
+     * `estimate(img, {signal})` resolving to `{depth, width, height}`, where
+     * depth is a Float32Array of relative inverse depth (larger = closer) at
+     * any resolution. Pass null to go back to the built-in heuristics.
+     * @param {{name: string, estimate: Function}|null} estimator
+     */
+    setDepthEstimator(estimator) {
+        this.depthEstimator = estimator;
     }
 
     /**
      * Compute a depth map from a stereo pair
+     * The heavy routines run in the worker pool, one row band per task.
      * @param {HTMLImageElement} leftImg - Left image
      * @param {HTMLImageElement} rightImg - Right image
      * @param {Object} options - Processing options
-     * @returns {Promise<{depthCanvas: HTMLCanvasElement, depthData: ImageData}>}
+     * @returns {Promise<{depthCanvas: HTMLCanvasElement, depthData: ImageData,
+     *           disparityArray: Uint8Array, rectification: Object|null,
+     *           validityMask: Uint8Array|null, validityCanvas: HTMLCanvasElement|null,
+     *           processingScale: number, disparityRange: {min: number, max: number,
+     *           estimated: boolean}, disparityExtent: {min: number, max: number}}>}
+     *           Arrays, canvases and disparities are at the processing resolution,
+     *           processingScale times the input size. disparityRange is what was
+     *           searched; disparityExtent is what the final map spans, i.e. the
+     *           disparities that depth 0 and 255 stand for.
      */
     async computeDepthMap(leftImg, rightImg, options = {}) {
         const {
-            blockSize = 9,          // Block size for matching
-            maxDisparity = 64,      // Maximum disparity to search
+            algorithm = 'sad',      // 'sad' (fast block matching) or 'sgm' (semi-global matching)
+            blockSize = 9,          // Block size for matching (SAD only)
+            minDisparity = 0,       // Search range, used when autoRange finds too little
+            maxDisparity = 64,      // to go on (negative = in front of the convergence plane)
+            autoRange = true,       // Estimate the search range from feature matches
             smoothing = true,       // Apply smoothing
-            normalize = true        // Normalize output
+            smoothingFilter = 'guided', // 'guided', 'bilateral' (both edge-aware) or 'gaussian'
+            normalize = true,       // Normalize output
+            rectify = true,         // Correct vertical offset, rotation and scale first
+            leftRightCheck = true,  // Match both ways, mark and fill inconsistent pixels
+            consistencyThreshold = 1, // Max left/right disparity difference (pixels)
+            pyramid = true,         // Match coarse-to-fine on large images
+            maxResolution = 0,      // Longest side to process at (0 = full size)
+            onProgress = null,      // Called with {stage, progress} as bands complete
+            signal = null           // AbortSignal to cancel the computation
         } = options;
 
-        const width = leftImg.width;
-        const height = leftImg.height;
+        // Depth is processed at a capped size; the viewer stretches it back
+        const processingScale = this.getProcessingScale(leftImg, maxResolution);
+        const width = Math.round(leftImg.width * processingScale);
+        const height = Math.round(leftImg.height * processingScale);
+        const task = { onProgress, signal };
+
+        // Disparities and blocks shrink with the image
+        const scaledBlockSize = Math.max(5, Math.round(blockSize * processingScale) | 1);
+        let scaledMinDisparity = Math.floor(minDisparity * processingScale);
+        let scaledMaxDisparity = Math.ceil(maxDisparity * processingScale);
 
         // Get image data
-        const leftData = this.getImageData(leftImg);
-        const rightData = this.getImageData(rightImg);
+        const leftData = this.getImageData(leftImg, width, height);
+        // Separately shot pairs can differ in size - match the right to the left
+        const rightData = this.getImageData(rightImg, width, height);
 
         // Convert to grayscale for matching
         const leftGray = this.toGrayscale(leftData);
-        const rightGray = this.toGrayscale(rightData);
+        let rightGray = this.toGrayscale(rightData);
+
+        // Handheld pairs are never perfectly rectified - align the right image
+        // vertically so the horizontal-only search below finds real matches
+        let rectification = null;
+        if (rectify) {
+            if (onProgress) onProgress({ stage: 'rectifying', progress: 0 });
+
+            rectification = await this.runTask('estimateRectification',
+                [leftGray, rightGray, width, height], { signal });
+            if (rectification.applied) {
+                rightGray = await this.runTask('warpImage',
+                    [rightGray, width, height, rectification.transform],
+                    { transfer: [rightGray.buffer], signal });
+            }
+        }
+
+        // A fixed range clips close-ups and wastes time on distant scenes -
+        // measure it from the pair instead
+        let rangeEstimated = false;
+        if (autoRange) {
+            if (onProgress) onProgress({ stage: 'range', progress: 0 });
+
+            const range = await this.runTask('estimateDisparityRange',
+                [leftGray, rightGray, width, height], { signal });
+            if (range) {
+                scaledMinDisparity = range.minDisparity;
+                scaledMaxDisparity = range.maxDisparity;
+                rangeEstimated = true;
+            }
+        }
+        const disparitySpan = scaledMaxDisparity - scaledMinDisparity;
+
+        // SGM holds a full cost volume in memory - it runs on a coarser pyramid
+        // level when that fits, otherwise we fall back to SAD
+        let method = algorithm;
+        let levels = pyramid ? this.getPyramidLevels(method, width, height, disparitySpan) : 0;
+        if (method === 'sgm' && !this.fitsCostVolume(width, height, disparitySpan, levels)) {
+            console.warn(`Image too large for SGM at ${width}x${height}, using SAD block matching`);
+            method = 'sad';
+            levels = pyramid ? this.getPyramidLevels(method, width, height, disparitySpan) : 0;
+        }
 
-        // Compute disparity map using block matching
-        const disparity = this.blockMatch(leftGray, rightGray, width, height, blockSize, maxDisparity);
+        // Compute disparity map
+        const matchParams = {
+            blockSize: scaledBlockSize,
+            minDisparity: scaledMinDisparity,
+            maxDisparity: scaledMaxDisparity,
+            levels
+        };
+        let disparity = await this.matchDisparity(method, leftGray, rightGray, width, height,
+            matchParams, { ...task, stage: 'matching' });
+
+        // Match right-to-left as well, and replace pixels where the two disagree
+        let validityMask = null;
+        if (leftRightCheck) {
+            // Flipping both images turns the right-to-left search into a normal one
+            const flippedDisparity = await this.matchDisparity(method,
+                this.flipHorizontal(rightGray, width, height), this.flipHorizontal(leftGray, width, height),
+                width, height, matchParams, { ...task, stage: 'consistency' });
+            const rightDisparity = this.flipHorizontal(flippedDisparity, width, height);
+
+            validityMask = await this.runTask('leftRightCheck',
+                [disparity, rightDisparity, width, height, consistencyThreshold], { signal });
+            disparity = await this.runTask('fillHoles',
+                [disparity, validityMask, leftData.data, width, height], { signal });
+        }
 
         // Smooth the disparity map
         let processedDisparity = disparity;
         if (smoothing) {
-            processedDisparity = this.medianFilter(disparity, width, height, 3);
-            processedDisparity = this.gaussianBlur(processedDisparity, width, height, 2);
+            processedDisparity = await this.runBanded('medianFilter', [disparity], width, height,
+                1, [3], { ...task, stage: 'filtering' });
+            processedDisparity = await this.smoothDepth(processedDisparity, leftGray, width, height,
+                smoothingFilter, 2, { ...task, stage: 'smoothing' });
         }
 
+        const disparityExtent = this.arrayExtent(processedDisparity);
+
         // Normalize to 0-255 range
         if (normalize) {
             processedDisparity = this.normalizeArray(processedDisparity);
         }
 
-        // Create depth canvas
-        const depthCanvas = document.createElement('canvas');
-        depthCanvas.width = width;
-        depthCanvas.height = height;
-        const depthCtx = depthCanvas.getContext('2d');
-        const depthImageData = depthCtx.createImageData(width, height);
+        const { depthCanvas, depthImageData } = this.createDepthCanvas(processedDisparity, width, height);
+        const validityCanvas = validityMask
+            ? this.createDepthCanvas(validityMask, width, height).depthCanvas
+            : null;
+
+        return {
+            depthCanvas,
+            depthData: depthImageData,
+            disparityArray: processedDisparity,
+            rectification,
+            validityMask,
+            validityCanvas,
+            processingScale,
+            disparityRange: { min: scaledMinDisparity, max: scaledMaxDisparity, estimated: rangeEstimated },
+            disparityExtent
+        };
+    }
+
+    /**
+     * Scale factor that brings an image's longest side down to maxResolution
+     * @param {{width: number, height: number}} img
+     * @param {number} maxResolution - 0 for no limit
+     * @returns {number} At most 1
+     */
+    getProcessingScale(img, maxResolution) {
+        const longest = Math.max(img.width, img.height);
+        if (!maxResolution || longest <= maxResolution) return 1;
+        return maxResolution / longest;
+    }
+
+    /**
+     * How many times to halve the pair before the full-range search
+     * Block matching gets cheap enough below pyramidBaseSize; SGM needs its
+     * cost volume to fit in maxCostVolume.
+     */
+    getPyramidLevels(method, width, height, disparitySpan) {
+        let levels = 0;
+
+        while ((Math.min(width, height) >> (levels + 1)) >= this.minPyramidSize) {
+            const done = method === 'sgm'
+                ? this.fitsCostVolume(width, height, disparitySpan, levels)
+                : Math.max(width, height) >> levels <= this.pyramidBaseSize;
+            if (done) break;
+            levels++;
+        }
+
+        return levels;
+    }
+
+    /**
+     * Whether an SGM cost volume fits once the pair is halved `levels` times
+     * @param {number} disparitySpan - maxDisparity - minDisparity
+     */
+    fitsCostVolume(width, height, disparitySpan, levels) {
+        const scale = 2 ** levels;
+        const disparities = Math.ceil(disparitySpan / scale) + 1;
+        return (width >> levels) * (height >> levels) * disparities <= this.maxCostVolume;
+    }
+
+    /**
+     * Match a pair coarse-to-fine
+     * The full disparity range is only searched at the coarsest level. Each
+     * finer level doubles that estimate and searches a few pixels around it,
+     * so large disparities cost no more than small ones. SGM refines with
+     * SGM, keeping its smoothness, wherever the narrowed cost volume fits.
+     * @param {string} method - 'sad' or 'sgm'
+     * @param {Uint8Array} leftGray
+     * @param {Uint8Array} rightGray
+     * @param {number} width
+     * @param {number} height
+     * @param {{blockSize: number, minDisparity: number, maxDisparity: number, levels: number}} params
+     * @param {{stage: string, onProgress: Function, signal: AbortSignal}} options
+     * @returns {Promise<Float32Array>}
+     */
+    async matchDisparity(method, leftGray, rightGray, width, height, params, options) {
+        const { blockSize, minDisparity = 0, maxDisparity, levels = 0 } = params;
+        const { stage, onProgress = null, signal = null } = options;
+
+        // Spread progress evenly over the levels
+        const levelTask = (step) => ({
+            stage,
+            signal,
+            onProgress: onProgress && ((event) => onProgress({
+                stage,
+                progress: (step + event.progress) / (levels + 1)
+            }))
+        });
+
+        // Finest level first
+        const pyramid = [{ left: leftGray, right: rightGray, width, height }];
+        for (let i = 0; i < levels; i++) {
+            const level = pyramid[i];
+            const left = this.downsample(level.left, level.width, level.height, 2);
+            const right = this.downsample(level.right, level.width, level.height, 2);
+            pyramid.push({ left: left.data, right: right.data, width: left.width, height: left.height });
+        }
+
+        const coarsest = pyramid[levels];
+        const scale = 2 ** levels;
+        let disparity = await this.matchLevel(method, coarsest.left, coarsest.right,
+            coarsest.width, coarsest.height, {
+                blockSize,
+                minDisparity: Math.floor(minDisparity / scale),
+                maxDisparity: Math.ceil(maxDisparity / scale)
+            }, levelTask(0));
+
+        for (let i = levels - 1; i >= 0; i--) {
+            const level = pyramid[i];
+            const prior = this.upsampleDisparity(disparity, pyramid[i + 1].width, pyramid[i + 1].height,
+                level.width, level.height);
+
+            const task = levelTask(levels - i);
+            const pixels = level.width * level.height;
+
+            if (method === 'sgm' && pixels * this.refineDisparities <= this.maxCostVolume) {
+                if (task.onProgress) task.onProgress({ stage, progress: 0 });
+
+                const args = [level.left, level.right, prior, level.width, level.height,
+                    this.refineDisparities, { searchRadius: this.pyramidSearchRadius }];
+                disparity = await this.runTask('refineSemiGlobalMatch', args, {
+                    signal,
+                    onProgress: task.onProgress && ((progress) => task.onProgress({ stage, progress }))
+                });
+            } else {
+                // Neighbouring priors are read two rows away
+                const margin = Math.max(Math.floor(blockSize / 2), 2);
+                disparity = await this.runBanded('refineBlockMatch', [level.left, level.right, prior],
+                    level.width, level.height, margin, [blockSize, this.pyramidSearchRadius], task);
+            }
+        }
+
+        return disparity;
+    }
+
+    /**
+     * Run the chosen stereo matcher over the full disparity range
+     * @param {string} method - 'sad' or 'sgm'
+     * @param {Uint8Array|Float32Array} leftGray
+     * @param {Uint8Array|Float32Array} rightGray
+     * @param {number} width
+     * @param {number} height
+     * @param {{blockSize: number, minDisparity: number, maxDisparity: number}} params
+     * @param {{stage: string, onProgress: Function, signal: AbortSignal}} options
+     * @returns {Promise<Float32Array>}
+     */
+    async matchLevel(method, leftGray, rightGray, width, height, params, options) {
+        const { blockSize, minDisparity = 0, maxDisparity } = params;
+        const { stage, onProgress = null, signal = null } = options;
+
+        if (method === 'sgm') {
+            if (onProgress) onProgress({ stage, progress: 0 });
+
+            // Aggregation runs along whole-image paths, so this is one task
+            const args = [leftGray, rightGray, width, height, maxDisparity, { minDisparity }];
+            return this.runTask('semiGlobalMatch', args, {
+                signal,
+                onProgress: onProgress && ((progress) => onProgress({ stage, progress }))
+            });
+        }
+
+        const halfBlock = Math.floor(blockSize / 2);
+        return this.runBanded('blockMatch', [leftGray, rightGray], width, height,
+            halfBlock, [blockSize, maxDisparity, minDisparity], options);
+    }
+
+    /**
+     * Mirror a row-major image left to right
+     */
+    flipHorizontal(data, width, height) {
+        const result = new data.constructor(data.length);
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                result[row + x] = data[row + width - 1 - x];
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Left-right consistency check
+     * A left pixel at x with disparity d should land on a right pixel at x - d
+     * whose own disparity is also d. Where it isn't, the pixel is either
+     * occluded (a closer surface hides it in the right view, so the right
+     * disparity there is larger) or a plain mismatch.
+     * @param {Float32Array} leftDisparity
+     * @param {Float32Array} rightDisparity - Disparity of each right-image pixel
+     * @param {number} width
+     * @param {number} height
+     * @param {number} threshold - Max allowed difference in pixels
+     * @returns {Uint8Array} VALID, OCCLUDED or MISMATCH per pixel
+     */
+    leftRightCheck(leftDisparity, rightDisparity, width, height, threshold = 1) {
+        const mask = new Uint8Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            for (let x = 0; x < width; x++) {
+                const d = leftDisparity[row + x];
+                const xr = Math.round(x - d);
+
+                if (xr < 0 || xr >= width) {
+                    // Matches off the edge of the right image - not visible there
+                    mask[row + x] = this.OCCLUDED;
+                    continue;
+                }
+
+                const dr = rightDisparity[row + xr];
+                if (Math.abs(d - dr) <= threshold) {
+                    mask[row + x] = this.VALID;
+                } else {
+                    mask[row + x] = dr > d ? this.OCCLUDED : this.MISMATCH;
+                }
+            }
+        }
+
+        return mask;
+    }
+
+    /**
+     * Fill invalid disparities from nearby valid ones without crossing edges
+     * Looks for the nearest valid pixel in 8 directions. Occluded pixels belong
+     * to the background, so they take the smallest disparity found. Mismatches
+     * take an average weighted by color similarity and distance, so values come
+     * from the same surface rather than across a silhouette.
+     * @param {Float32Array} disparity
+     * @param {Uint8Array} mask - From leftRightCheck
+     * @param {Uint8ClampedArray} color - RGBA pixels of the left image
+     * @param {number} width
+     * @param {number} height
+     * @param {number} maxRadius - How far to search in each direction
+     * @returns {Float32Array}
+     */
+    fillHoles(disparity, mask, color, width, height, maxRadius = 64) {
+        const result = new Float32Array(disparity);
+        const directions = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, -1], [1, -1], [-1, 1]];
+        const colorSigma = 24;
+        const distanceSigma = maxRadius / 2;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                if (mask[p] === this.VALID) continue;
+
+                const occluded = mask[p] === this.OCCLUDED;
+                let minDisparity = Infinity;
+                let weightSum = 0;
+                let valueSum = 0;
+
+                for (const [dx, dy] of directions) {
+                    let nx = x + dx;
+                    let ny = y + dy;
+
+                    for (let step = 1; step <= maxRadius; step++, nx += dx, ny += dy) {
+                        if (nx < 0 || nx >= width || ny < 0 || ny >= height) break;
+
+                        const q = ny * width + nx;
+                        if (mask[q] !== this.VALID) continue;
+
+                        const value = disparity[q];
+                        if (occluded) {
+                            if (value < minDisparity) minDisparity = value;
+                        } else {
+                            const colorDiff = (Math.abs(color[p * 4] - color[q * 4]) +
+                                Math.abs(color[p * 4 + 1] - color[q * 4 + 1]) +
+                                Math.abs(color[p * 4 + 2] - color[q * 4 + 2])) / 3;
+                            const weight = Math.exp(-colorDiff / colorSigma - step / distanceSigma);
+                            weightSum += weight;
+                            valueSum += weight * value;
+                        }
+                        break;
+                    }
+                }
+
+                if (occluded && minDisparity !== Infinity) {
+                    result[p] = minDisparity;
+                } else if (weightSum > 0) {
+                    result[p] = valueSum / weightSum;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Draw 0-255 depth values into a grayscale canvas
+     * @returns {{depthCanvas: HTMLCanvasElement, depthImageData: ImageData}}
+     */
+    createDepthCanvas(values, width, height) {
+        const depthCanvas = document.createElement('canvas');
+        depthCanvas.width = width;
+        depthCanvas.height = height;
+        const depthCtx = depthCanvas.getContext('2d');
+        const depthImageData = depthCtx.createImageData(width, height);
+
+        // Fill depth image data
+        for (let i = 0; i < values.length; i++) {
+            const val = values[i];
+            depthImageData.data[i * 4] = val;
+            depthImageData.data[i * 4 + 1] = val;
+            depthImageData.data[i * 4 + 2] = val;
+            depthImageData.data[i * 4 + 3] = 255;
+        }
+
+        depthCtx.putImageData(depthImageData, 0, 0);
+
+        return { depthCanvas, depthImageData };
+    }
+
+    /**
+     * Run a row-local routine over horizontal bands in parallel
+     * Each band is sent with `margin` extra rows above and below so results
+     * inside the band match a whole-image run exactly.
+     * @param {string} method - Routine taking (...inputs, width, height, ...params)
+     * @param {TypedArray[]} inputs - Full-size row-major arrays to slice per band
+     * @param {number} width
+     * @param {number} height
+     * @param {number} margin - Rows of context the routine needs on each side
+     * @param {Array} params - Extra arguments after width/height
+     * @param {Object} options
+     * @param {string} options.stage - Reported with progress
+     * @param {Function} [options.onProgress]
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Float32Array>}
+     */
+    async runBanded(method, inputs, width, height, margin, params, options = {}) {
+        const { stage, onProgress = null, signal = null } = options;
+
+        // A few bands per worker keeps them busy and gives smooth progress
+        const bandHeight = Math.max(this.minBandHeight,
+            Math.ceil(height / (this.workerCount * 8)));
+        const bandCount = Math.ceil(height / bandHeight);
+        const output = new Float32Array(width * height);
+        let completed = 0;
+
+        if (onProgress) onProgress({ stage, progress: 0 });
+
+        const tasks = [];
+        for (let y0 = 0; y0 < height; y0 += bandHeight) {
+            const y1 = Math.min(height, y0 + bandHeight);
+            const top = Math.max(0, y0 - margin);
+            const bottom = Math.min(height, y1 + margin);
+
+            const slices = inputs.map(input => input.slice(top * width, bottom * width));
+            const args = [...slices, width, bottom - top, ...params];
+
+            tasks.push(this.runTask(method, args, { transfer: slices.map(slice => slice.buffer), signal })
+                .then(result => {
+                    output.set(result.subarray((y0 - top) * width, (y1 - top) * width), y0 * width);
+                    completed++;
+                    if (onProgress) onProgress({ stage, progress: completed / bandCount });
+                }));
+        }
+
+        await Promise.all(tasks);
+        return output;
+    }
+
+    /**
+     * Run one DepthProcessor method in the worker pool
+     * Falls back to the main thread when workers aren't available (e.g. the
+     * page was opened from file://).
+     * @param {string} method
+     * @param {Array} args
+     * @param {Object} options
+     * @param {ArrayBuffer[]} [options.transfer] - Buffers to hand over instead of copying
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.onProgress] - Called with 0-1 if the method reports progress
+     * @returns {Promise<*>}
+     */
+    runTask(method, args, options = {}) {
+        const { transfer = [], signal = null, onProgress = null } = options;
+
+        return new Promise((resolve, reject) => {
+            const task = { method, args, transfer, signal, onProgress, resolve, reject };
+
+            if (signal) {
+                if (signal.aborted) {
+                    reject(this.createAbortError());
+                    return;
+                }
+                task.onAbort = () => this.cancelTask(task);
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+
+            this.taskQueue.push(task);
+            this.dispatchTasks();
+        });
+    }
+
+    /**
+     * Hand queued tasks to idle workers, starting workers up to the pool size
+     */
+    dispatchTasks() {
+        while (this.taskQueue.length > 0) {
+            if (!this.useWorkers) {
+                this.runLocally(this.taskQueue.shift());
+                continue;
+            }
+
+            let slot = this.workers.find(w => !w.task);
+            if (!slot && this.workers.length < this.workerCount) {
+                slot = this.createWorker();
+                if (!slot) continue; // Workers unavailable - loop runs locally
+            }
+            if (!slot) return;
+
+            // Until a worker has answered it may fail to load, and its task
+            // then reruns here - so copy the args rather than give them away
+            const task = this.taskQueue.shift();
+            slot.task = task;
+            slot.worker.postMessage({ method: task.method, args: task.args }, slot.ready ? task.transfer : []);
+        }
+    }
+
+    /**
+     * Start a pool worker
+     * @returns {{worker: Worker, task: Object|null, ready: boolean}|null}
+     */
+    createWorker() {
+        let worker;
+        try {
+            worker = new Worker(this.workerURL);
+        } catch (error) {
+            console.warn('Depth workers unavailable, computing on the main thread:', error.message);
+            this.useWorkers = false;
+            return null;
+        }
+
+        const slot = { worker, task: null, ready: false };
+
+        worker.onmessage = (event) => {
+            const { result, error, progress } = event.data;
+            const task = slot.task;
+            slot.ready = true;
+
+            // Progress messages arrive before the result
+            if (progress !== undefined) {
+                if (task && task.onProgress) task.onProgress(progress);
+                return;
+            }
+            slot.task = null;
+
+            if (task) {
+                this.finishTask(task);
+                if (error) {
+                    task.reject(new Error(error));
+                } else {
+                    task.resolve(result);
+                }
+            }
+
+            this.dispatchTasks();
+        };
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            const task = slot.task;
+            this.removeWorker(slot);
+
+            // A worker that never answered most likely failed to load at all
+            if (!slot.ready) {
+                console.warn('Depth worker failed to start, computing on the main thread');
+                this.useWorkers = false;
+                if (task) this.taskQueue.unshift(task);
+            } else if (task) {
+                this.finishTask(task);
+                task.reject(new Error(event.message || 'Depth worker failed'));
+            }
+
+            this.dispatchTasks();
+        };
+
+        this.workers.push(slot);
+        return slot;
+    }
+
+    /**
+     * Run a task synchronously on the main thread
+     */
+    runLocally(task) {
+        this.finishTask(task);
+        this.onTaskProgress = task.onProgress;
+
+        try {
+            task.resolve(this[task.method](...task.args));
+        } catch (error) {
+            task.reject(error);
+        } finally {
+            this.onTaskProgress = null;
+        }
+    }
+
+    /**
+     * Report progress from inside a long-running method
+     * Goes to the task's onProgress, via a message when running in a worker
+     */
+    reportTaskProgress(progress) {
+        if (this.onTaskProgress) this.onTaskProgress(progress);
+    }
+
+    /**
+     * Drop a task from the queue, or stop the worker running it
+     */
+    cancelTask(task) {
+        const queued = this.taskQueue.indexOf(task);
+        if (queued >= 0) {
+            this.taskQueue.splice(queued, 1);
+        }
+
+        // Workers can't be interrupted - terminate and let the pool restart one
+        const slot = this.workers.find(w => w.task === task);
+        if (slot) {
+            this.removeWorker(slot);
+        }
+
+        this.finishTask(task);
+        task.reject(this.createAbortError());
+        this.dispatchTasks();
+    }
+
+    /**
+     * Detach a task's abort listener once it has settled
+     */
+    finishTask(task) {
+        if (task.signal && task.onAbort) {
+            task.signal.removeEventListener('abort', task.onAbort);
+        }
+    }
+
+    /**
+     * Terminate a worker and remove it from the pool
+     */
+    removeWorker(slot) {
+        slot.worker.terminate();
+        slot.task = null;
+        this.workers = this.workers.filter(w => w !== slot);
+    }
+
+    createAbortError() {
+        return new DOMException('Depth computation cancelled', 'AbortError');
+    }
+
+    /**
+     * Terminate all workers
+     */
+    destroy() {
+        for (const slot of [...this.workers]) {
+            if (slot.task) {
+                this.finishTask(slot.task);
+                slot.task.reject(this.createAbortError());
+            }
+            this.removeWorker(slot);
+        }
+    }
+
+    /**
+     * Estimate the vertical misalignment between a stereo pair
+     * Detects corners in both images, matches them along roughly horizontal
+     * lines, and fits y_left = b*(x_right - cx) + a*(y_right - cy) + cy + dy
+     * with RANSAC - the vertical component of a similarity transform. Horizontal
+     * offsets are disparity and are left alone.
+     * @param {Uint8Array} leftGray
+     * @param {Uint8Array} rightGray
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options
+     * @returns {{applied: boolean, verticalShift: number, rotation: number, scale: number,
+     *           matches: number, inliers: number, transform: Object|null}}
+     *          Shift in pixels, rotation in degrees, transform maps right → left coordinates
+     */
+    estimateRectification(leftGray, rightGray, width, height, options = {}) {
+        const {
+            analysisWidth = 640,    // Features are detected on a downscaled copy
+            minInliers = 12,        // Fewer than this and we don't trust the fit
+            maxRotation = 5,        // Degrees - anything larger is a bad fit
+            maxScaleChange = 0.1,
+            maxVerticalShift = 0.1  // Fraction of image height
+        } = options;
+
+        const none = {
+            applied: false, verticalShift: 0, rotation: 0, scale: 1,
+            matches: 0, inliers: 0, transform: null
+        };
+
+        // Work at reduced resolution
+        const factor = Math.max(1, Math.ceil(width / analysisWidth));
+        const left = this.downsample(leftGray, width, height, factor);
+        const right = this.downsample(rightGray, width, height, factor);
+        const w = left.width;
+        const h = left.height;
+
+        const patchRadius = 5;
+        const leftFeatures = this.detectCorners(left.data, w, h, patchRadius);
+        const rightFeatures = this.detectCorners(right.data, w, h, patchRadius);
+
+        const matches = this.matchFeatures(left.data, right.data, w, leftFeatures, rightFeatures, {
+            patchRadius,
+            maxDx: w * 0.25,
+            maxDy: h * maxVerticalShift
+        });
+
+        if (matches.length < minInliers) {
+            console.log(`Rectification skipped: only ${matches.length} feature matches`);
+            return { ...none, matches: matches.length };
+        }
+
+        const cx = w / 2;
+        const cy = h / 2;
+        const fit = this.fitVerticalAlignment(matches, cx, cy, 1.0);
+
+        if (!fit || fit.inliers < minInliers) {
+            console.log('Rectification skipped: no consistent alignment');
+            return { ...none, matches: matches.length, inliers: fit ? fit.inliers : 0 };
+        }
+
+        const { a, b } = fit;
+        const rotation = Math.atan2(b, a) * 180 / Math.PI;
+        const scale = Math.sqrt(a * a + b * b);
+        const verticalShift = fit.dy * factor;
+
+        const result = {
+            applied: false,
+            verticalShift,
+            rotation,
+            scale,
+            matches: matches.length,
+            inliers: fit.inliers,
+            transform: { a, b, dy: verticalShift, cx: width / 2, cy: height / 2 }
+        };
+
+        if (Math.abs(rotation) > maxRotation || Math.abs(scale - 1) > maxScaleChange ||
+            Math.abs(verticalShift) > height * maxVerticalShift) {
+            console.warn('Rectification rejected as implausible:', result);
+            return result;
+        }
+
+        // Not worth resampling for sub-pixel corrections
+        const cornerError = Math.abs(verticalShift) +
+            Math.abs(b) * width / 2 + Math.abs(scale - 1) * height / 2;
+        result.applied = cornerError >= 0.5;
+
+        console.log(`Rectification: dy=${verticalShift.toFixed(2)}px, rotation=${rotation.toFixed(2)}°, scale=${scale.toFixed(4)} (${fit.inliers}/${matches.length} inliers)`);
+
+        return result;
+    }
+
+    /**
+     * Estimate the disparity search range of a rectified pair
+     * Matches corners along the same rows and takes robust percentiles of
+     * their horizontal offsets, padded for surfaces without corners on them.
+     * Content in front of the convergence plane comes out negative.
+     * @param {Uint8Array} leftGray
+     * @param {Uint8Array} rightGray
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options
+     * @returns {{minDisparity: number, maxDisparity: number, matches: number}|null}
+     *          Null when there are too few matches to go on
+     */
+    estimateDisparityRange(leftGray, rightGray, width, height, options = {}) {
+        const {
+            analysisWidth = 640,
+            minMatches = 16,
+            maxSearch = 0.25,   // Fraction of image width to look for matches in
+            percentile = 0.02   // Ignore this fraction of matches at each end
+        } = options;
+
+        const factor = Math.max(1, Math.ceil(width / analysisWidth));
+        const left = this.downsample(leftGray, width, height, factor);
+        const right = this.downsample(rightGray, width, height, factor);
+        const w = left.width;
+
+        const patchRadius = 5;
+        const leftFeatures = this.detectCorners(left.data, w, left.height, patchRadius);
+        const rightFeatures = this.detectCorners(right.data, w, right.height, patchRadius);
+
+        // The pair is rectified, so matches sit on (nearly) the same row
+        const matches = this.matchFeatures(left.data, right.data, w, leftFeatures, rightFeatures, {
+            patchRadius,
+            maxDx: w * maxSearch,
+            maxDy: 1
+        });
+
+        if (matches.length < minMatches) {
+            console.log(`Disparity range not estimated: only ${matches.length} feature matches`);
+            return null;
+        }
+
+        const disparities = matches.map(m => m.xl - m.xr).sort((a, b) => a - b);
+        const low = disparities[Math.floor(percentile * (disparities.length - 1))];
+        const high = disparities[Math.ceil((1 - percentile) * (disparities.length - 1))];
+
+        // Pad for the percentile cut and the analysis downscale
+        const padding = Math.max(2, (high - low) * 0.1) + 1;
+        const minDisparity = Math.floor((low - padding) * factor);
+        const maxDisparity = Math.max(minDisparity + 16, Math.ceil((high + padding) * factor));
+
+        console.log(`Disparity range: ${minDisparity} to ${maxDisparity}px (${matches.length} matches)`);
+
+        return { minDisparity, maxDisparity, matches: matches.length };
+    }
+
+    /**
+     * Box-filter downsample by an integer factor
+     * @returns {{data: Float32Array, width: number, height: number}}
+     */
+    downsample(gray, width, height, factor) {
+        const w = Math.floor(width / factor);
+        const h = Math.floor(height / factor);
+        const data = new Float32Array(w * h);
+        const area = factor * factor;
+
+        for (let y = 0; y < h; y++) {
+            for (let x = 0; x < w; x++) {
+                let sum = 0;
+                for (let fy = 0; fy < factor; fy++) {
+                    const row = (y * factor + fy) * width + x * factor;
+                    for (let fx = 0; fx < factor; fx++) {
+                        sum += gray[row + fx];
+                    }
+                }
+                data[y * w + x] = sum / area;
+            }
+        }
+
+        return { data, width: w, height: h };
+    }
+
+    /**
+     * Harris corner detection with grid-based non-maximum suppression
+     * @returns {Array<{x: number, y: number}>}
+     */
+    detectCorners(gray, width, height, margin, cellSize = 16) {
+        const response = new Float32Array(width * height);
+        const k = 0.04;
+        let maxResponse = 0;
+
+        const border = margin + 2;
+        for (let y = border; y < height - border; y++) {
+            for (let x = border; x < width - border; x++) {
+                // Structure tensor over a 5x5 window
+                let sxx = 0, syy = 0, sxy = 0;
+                for (let wy = -2; wy <= 2; wy++) {
+                    for (let wx = -2; wx <= 2; wx++) {
+                        const idx = (y + wy) * width + (x + wx);
+                        const ix = (gray[idx + 1] - gray[idx - 1]) * 0.5;
+                        const iy = (gray[idx + width] - gray[idx - width]) * 0.5;
+                        sxx += ix * ix;
+                        syy += iy * iy;
+                        sxy += ix * iy;
+                    }
+                }
+
+                const r = sxx * syy - sxy * sxy - k * (sxx + syy) * (sxx + syy);
+                response[y * width + x] = r;
+                if (r > maxResponse) maxResponse = r;
+            }
+        }
+
+        // Keep the strongest corner in each grid cell
+        const threshold = maxResponse * 0.01;
+        const corners = [];
+
+        for (let gy = border; gy < height - border; gy += cellSize) {
+            for (let gx = border; gx < width - border; gx += cellSize) {
+                let best = null;
+                let bestR = threshold;
+
+                const yEnd = Math.min(gy + cellSize, height - border);
+                const xEnd = Math.min(gx + cellSize, width - border);
+                for (let y = gy; y < yEnd; y++) {
+                    for (let x = gx; x < xEnd; x++) {
+                        const r = response[y * width + x];
+                        if (r > bestR) {
+                            bestR = r;
+                            best = { x, y };
+                        }
+                    }
+                }
+
+                if (best) corners.push(best);
+            }
+        }
+
+        return corners;
+    }
+
+    /**
+     * Match corners between images using normalized patch correlation
+     * @returns {Array<{xl: number, yl: number, xr: number, yr: number}>}
+     */
+    matchFeatures(left, right, width, leftFeatures, rightFeatures, options) {
+        const { patchRadius, maxDx, maxDy } = options;
+
+        const describe = (gray, f) => this.patchDescriptor(gray, width, f.x, f.y, patchRadius);
+        const leftDesc = leftFeatures.map(f => describe(left, f));
+        const rightDesc = rightFeatures.map(f => describe(right, f));
+
+        const matches = [];
+
+        for (let i = 0; i < leftFeatures.length; i++) {
+            const lf = leftFeatures[i];
+            let best = -1, second = -1, bestJ = -1;
+
+            for (let j = 0; j < rightFeatures.length; j++) {
+                const rf = rightFeatures[j];
+                if (Math.abs(rf.y - lf.y) > maxDy || Math.abs(rf.x - lf.x) > maxDx) continue;
+
+                // Descriptors are zero-mean, unit-length - dot product is NCC
+                const a = leftDesc[i];
+                const b = rightDesc[j];
+                let score = 0;
+                for (let k = 0; k < a.length; k++) score += a[k] * b[k];
+
+                if (score > best) {
+                    second = best;
+                    best = score;
+                    bestJ = j;
+                } else if (score > second) {
+                    second = score;
+                }
+            }
+
+            // Strong and unambiguous matches only
+            if (bestJ >= 0 && best > 0.85 && best - second > 0.05) {
+                const rf = rightFeatures[bestJ];
+                matches.push({ xl: lf.x, yl: lf.y, xr: rf.x, yr: rf.y });
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Zero-mean, unit-length patch around a point
+     */
+    patchDescriptor(gray, width, cx, cy, radius) {
+        const size = radius * 2 + 1;
+        const desc = new Float32Array(size * size);
+        let mean = 0;
+
+        let k = 0;
+        for (let y = -radius; y <= radius; y++) {
+            for (let x = -radius; x <= radius; x++) {
+                desc[k] = gray[(cy + y) * width + (cx + x)];
+                mean += desc[k++];
+            }
+        }
+        mean /= desc.length;
+
+        let norm = 0;
+        for (let i = 0; i < desc.length; i++) {
+            desc[i] -= mean;
+            norm += desc[i] * desc[i];
+        }
+        norm = Math.sqrt(norm) || 1;
+        for (let i = 0; i < desc.length; i++) desc[i] /= norm;
+
+        return desc;
+    }
+
+    /**
+     * RANSAC fit of the vertical alignment model to feature matches
+     * @returns {{a: number, b: number, dy: number, inliers: number}|null}
+     */
+    fitVerticalAlignment(matches, cx, cy, threshold) {
+        // Each match gives one equation: yl - cy = b*(xr - cx) + a*(yr - cy) + dy
+        const rows = matches.map(m => [m.yr - cy, m.xr - cx, 1]);
+        const targets = matches.map(m => m.yl - cy);
+
+        const residual = (p, i) => Math.abs(
+            rows[i][0] * p[0] + rows[i][1] * p[1] + rows[i][2] * p[2] - targets[i]);
+
+        // Deterministic sampling so the same pair always gives the same result
+        let seed = 12345;
+        const random = () => {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            return seed / 0x7fffffff;
+        };
+
+        let bestInliers = [];
+
+        for (let iter = 0; iter < 200; iter++) {
+            const sample = new Set();
+            while (sample.size < 3) sample.add(Math.floor(random() * matches.length));
+            const idx = [...sample];
+
+            const params = this.solveLinearSystem(idx.map(i => rows[i]), idx.map(i => targets[i]));
+            if (!params) continue;
+
+            const inliers = [];
+            for (let i = 0; i < matches.length; i++) {
+                if (residual(params, i) < threshold) inliers.push(i);
+            }
+
+            if (inliers.length > bestInliers.length) bestInliers = inliers;
+        }
+
+        if (bestInliers.length < 3) return null;
+
+        // Refine with least squares over all inliers
+        const params = this.fitLinearModel(bestInliers.map(i => rows[i]), bestInliers.map(i => targets[i]));
+        if (!params) return null;
+
+        return { a: params[0], b: params[1], dy: params[2], inliers: bestInliers.length };
+    }
+
+    /**
+     * Least-squares solution of rows · p ≈ targets via the normal equations
+     * @param {number[][]} rows
+     * @param {number[]} targets
+     * @returns {number[]|null}
+     */
+    fitLinearModel(rows, targets) {
+        const n = rows[0].length;
+        const ata = Array.from({ length: n }, () => new Array(n).fill(0));
+        const atb = new Array(n).fill(0);
+
+        for (let r = 0; r < rows.length; r++) {
+            const row = rows[r];
+            for (let i = 0; i < n; i++) {
+                atb[i] += row[i] * targets[r];
+                for (let j = 0; j < n; j++) {
+                    ata[i][j] += row[i] * row[j];
+                }
+            }
+        }
+
+        return this.solveLinearSystem(ata, atb);
+    }
+
+    /**
+     * Solve a small square linear system with Gaussian elimination
+     * @returns {number[]|null} null if the system is singular
+     */
+    solveLinearSystem(matrix, vector) {
+        const n = vector.length;
+        const m = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let col = 0; col < n; col++) {
+            // Partial pivoting
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+            }
+            if (Math.abs(m[pivot][col]) < 1e-10) return null;
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const f = m[row][col] / m[col][col];
+                for (let k = col; k <= n; k++) m[row][k] -= f * m[col][k];
+            }
+        }
+
+        const result = new Array(n);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = m[row][n];
+            for (let k = row + 1; k < n; k++) sum -= m[row][k] * result[k];
+            result[row] = sum / m[row][row];
+        }
+
+        return result;
+    }
+
+    /**
+     * Resample the right image into the left image's frame
+     * The transform maps right → left coordinates:
+     *   x' = a*(x - cx) - b*(y - cy) + cx
+     *   y' = b*(x - cx) + a*(y - cy) + cy + dy
+     * so each output pixel is sampled from the inverse mapping.
+     */
+    warpImage(gray, width, height, transform) {
+        const { a, b, dy, cx, cy } = transform;
+        const result = new Uint8Array(width * height);
+        const det = a * a + b * b;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const u = x - cx;
+                const v = y - cy - dy;
+                const sx = (a * u + b * v) / det + cx;
+                const sy = (-b * u + a * v) / det + cy;
+
+                // Bilinear sample, clamped to the edges
+                const x0 = Math.max(0, Math.min(width - 2, Math.floor(sx)));
+                const y0 = Math.max(0, Math.min(height - 2, Math.floor(sy)));
+                const fx = Math.max(0, Math.min(1, sx - x0));
+                const fy = Math.max(0, Math.min(1, sy - y0));
+                const idx = y0 * width + x0;
+
+                const top = gray[idx] * (1 - fx) + gray[idx + 1] * fx;
+                const bottom = gray[idx + width] * (1 - fx) + gray[idx + width + 1] * fx;
+                result[y * width + x] = Math.round(top * (1 - fy) + bottom * fy);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Pick block matching parameters from MPO stereo metadata
+     * Falls back to the old fixed defaults when the camera didn't record a baseline
+     * @param {Object|null} metadata - Metadata from MPOParser.parse
+     * @param {number} imageWidth - Width of the images being matched
+     * @param {Object} options
+     * @returns {{blockSize: number, maxDisparity: number}}
+     */
+    suggestStereoOptions(metadata, imageWidth, options = {}) {
+        const {
+            nearDistance = 1.0      // Closest subject we expect, in meters
+        } = options;
+
+        // Larger images need larger blocks to hold the same amount of texture
+        const blockSize = Math.max(5, Math.min(21, Math.round(imageWidth / 320) | 1));
+
+        const focalPx = this.getFocalLengthPixels(metadata, imageWidth);
+        const baseline = metadata ? metadata.baselineLength : null;
+
+        if (!focalPx || !baseline) {
+            return { blockSize, maxDisparity: 64 };
+        }
+
+        // Disparity of the nearest subject: d = f * B / Z
+        let disparity = focalPx * baseline / nearDistance;
+
+        // Converged cameras have zero disparity at the convergence distance
+        const angle = metadata.convergenceAngle;
+        if (angle > 0) {
+            const convergenceDistance = baseline / (2 * Math.tan((angle * Math.PI / 180) / 2));
+            disparity -= focalPx * baseline / convergenceDistance;
+        }
+
+        const maxDisparity = Math.max(16, Math.min(256, Math.ceil(disparity / 16) * 16));
+        console.log(`Stereo options from metadata: f=${focalPx.toFixed(0)}px, B=${(baseline * 1000).toFixed(0)}mm, maxDisparity=${maxDisparity}, blockSize=${blockSize}`);
+
+        return { blockSize, maxDisparity };
+    }
+
+    /**
+     * Focal length in pixels for an image of the given width
+     * @param {Object|null} metadata
+     * @param {number} imageWidth
+     * @returns {number|null}
+     */
+    getFocalLengthPixels(metadata, imageWidth) {
+        const camera = metadata && metadata.camera;
+        if (!camera) return null;
+
+        // 35mm equivalent is relative to a 36mm wide frame
+        if (camera.focalLength35mm) {
+            return camera.focalLength35mm / 36 * imageWidth;
+        }
+
+        // Otherwise use the sensor resolution, scaled if the image was resized
+        if (camera.focalLength && camera.focalPlaneXResolution) {
+            const scale = camera.pixelWidth ? imageWidth / camera.pixelWidth : 1;
+            return camera.focalLength * camera.focalPlaneXResolution * scale;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get image data from an image element, optionally resized
+     */
+    getImageData(img, width = img.width, height = img.height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.drawImage(img, 0, 0, width, height);
+        return this.ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * Convert image data to grayscale array
+     */
+    toGrayscale(imageData) {
+        const gray = new Uint8Array(imageData.width * imageData.height);
+        const data = imageData.data;
+
+        for (let i = 0; i < gray.length; i++) {
+            const idx = i * 4;
+            // Luminosity method
+            gray[i] = Math.round(0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]);
+        }
+
+        return gray;
+    }
+
+    /**
+     * Block matching stereo algorithm (SAD - Sum of Absolute Differences)
+     */
+    blockMatch(left, right, width, height, blockSize, maxDisparity, minDisparity = 0) {
+        const disparity = new Float32Array(width * height);
+        const halfBlock = Math.floor(blockSize / 2);
+
+        for (let y = halfBlock; y < height - halfBlock; y++) {
+            for (let x = halfBlock; x < width - halfBlock; x++) {
+                let minSAD = Infinity;
+
+                // Search for best match in right image, keeping the block inside it
+                const minD = Math.max(minDisparity, x + halfBlock - (width - 1));
+                const maxD = Math.min(maxDisparity, x - halfBlock);
+                let bestDisparity = Math.max(minDisparity, Math.min(0, maxDisparity));
+
+                for (let d = minD; d <= maxD; d++) {
+                    let sad = 0;
+
+                    // Compute SAD for this disparity
+                    for (let by = -halfBlock; by <= halfBlock; by++) {
+                        for (let bx = -halfBlock; bx <= halfBlock; bx++) {
+                            const leftIdx = (y + by) * width + (x + bx);
+                            const rightIdx = (y + by) * width + (x + bx - d);
+                            sad += Math.abs(left[leftIdx] - right[rightIdx]);
+                        }
+                    }
+
+                    if (sad < minSAD) {
+                        minSAD = sad;
+                        bestDisparity = d;
+                    }
+                }
+
+                disparity[y * width + x] = bestDisparity;
+            }
+        }
+
+        return disparity;
+    }
+
+    /**
+     * Scale a coarse disparity map up to the next pyramid level
+     * Nearest-neighbour, with values doubled to match the finer pixel grid.
+     */
+    upsampleDisparity(disparity, width, height, targetWidth, targetHeight) {
+        const result = new Float32Array(targetWidth * targetHeight);
+        const scale = targetWidth / width;
+
+        for (let y = 0; y < targetHeight; y++) {
+            const sy = Math.min(height - 1, Math.floor(y * height / targetHeight));
+            for (let x = 0; x < targetWidth; x++) {
+                const sx = Math.min(width - 1, Math.floor(x * width / targetWidth));
+                result[y * targetWidth + x] = disparity[sy * width + sx] * scale;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Block matching around a prior disparity estimate
+     * Searches from the smallest to the largest prior in a small neighbourhood,
+     * widened by searchRadius. That stays narrow on smooth surfaces and spans
+     * both sides of a depth edge, where the upsampled prior is least reliable.
+     * @param {Uint8Array|Float32Array} left
+     * @param {Uint8Array|Float32Array} right
+     * @param {Float32Array} prior - Upsampled disparity from the coarser level
+     * @param {number} width
+     * @param {number} height
+     * @param {number} blockSize
+     * @param {number} searchRadius
+     * @returns {Float32Array}
+     */
+    refineBlockMatch(left, right, prior, width, height, blockSize, searchRadius) {
+        const disparity = new Float32Array(prior);
+        const halfBlock = Math.floor(blockSize / 2);
+
+        for (let y = halfBlock; y < height - halfBlock; y++) {
+            for (let x = halfBlock; x < width - halfBlock; x++) {
+                let low = Infinity;
+                let high = -Infinity;
+                for (const [dx, dy] of [[0, 0], [-2, 0], [2, 0], [0, -2], [0, 2]]) {
+                    const nx = Math.max(0, Math.min(width - 1, x + dx));
+                    const ny = Math.max(0, Math.min(height - 1, y + dy));
+                    const value = prior[ny * width + nx];
+                    if (value < low) low = value;
+                    if (value > high) high = value;
+                }
+
+                const minD = Math.max(Math.round(low) - searchRadius, x + halfBlock - (width - 1));
+                const maxD = Math.min(Math.round(high) + searchRadius, x - halfBlock);
+
+                let bestDisparity = Math.round(prior[y * width + x]);
+                let minSAD = Infinity;
+
+                for (let d = minD; d <= maxD; d++) {
+                    let sad = 0;
+
+                    for (let by = -halfBlock; by <= halfBlock; by++) {
+                        const row = (y + by) * width;
+                        for (let bx = -halfBlock; bx <= halfBlock; bx++) {
+                            sad += Math.abs(left[row + x + bx] - right[row + x + bx - d]);
+                        }
+                    }
+
+                    if (sad < minSAD) {
+                        minSAD = sad;
+                        bestDisparity = d;
+                    }
+                }
+
+                disparity[y * width + x] = bestDisparity;
+            }
+        }
+
+        return disparity;
+    }
+
+    /**
+     * Semi-global matching (Hirschmüller 2008)
+     * Census transform matching cost, aggregated along 8 (or 4) scanline paths
+     * with smoothness penalties P1 (±1 disparity) and P2 (larger jumps, lowered
+     * at intensity edges), then winner-take-all with parabolic sub-pixel refinement.
+     * @param {Uint8Array} left - Left grayscale
+     * @param {Uint8Array} right - Right grayscale
+     * @param {number} width
+     * @param {number} height
+     * @param {number} maxDisparity
+     * @param {Object} options
+     * @returns {Float32Array} Disparity per pixel
+     */
+    semiGlobalMatch(left, right, width, height, maxDisparity, options = {}) {
+        const { minDisparity = 0 } = options;
+        const bases = new Int32Array(width * height).fill(minDisparity);
+        return this.matchSemiGlobal(left, right, width, height, bases, maxDisparity - minDisparity + 1, options);
+    }
+
+    /**
+     * Semi-global matching around a prior disparity estimate
+     * Each pixel considers its own window of disparities: from the smallest
+     * prior nearby (less searchRadius) when the spread nearby fits, else
+     * centered on its own prior. Paths compare actual disparities, so the
+     * windows may differ from pixel to pixel.
+     * @param {Uint8Array|Float32Array} left
+     * @param {Uint8Array|Float32Array} right
+     * @param {Float32Array} prior - Upsampled disparity from the coarser level
+     * @param {number} width
+     * @param {number} height
+     * @param {number} disparities - Window size per pixel
+     * @param {Object} options - As semiGlobalMatch, plus searchRadius
+     * @returns {Float32Array}
+     */
+    refineSemiGlobalMatch(left, right, prior, width, height, disparities, options = {}) {
+        const { searchRadius = this.pyramidSearchRadius } = options;
+        const bases = new Int32Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let low = Infinity;
+                let high = -Infinity;
+                for (const [dx, dy] of [[0, 0], [-2, 0], [2, 0], [0, -2], [0, 2]]) {
+                    const nx = Math.max(0, Math.min(width - 1, x + dx));
+                    const ny = Math.max(0, Math.min(height - 1, y + dy));
+                    const value = prior[ny * width + nx];
+                    if (value < low) low = value;
+                    if (value > high) high = value;
+                }
+
+                const p = y * width + x;
+                bases[p] = Math.round(high) - Math.round(low) + 2 * searchRadius < disparities
+                    ? Math.round(low) - searchRadius
+                    : Math.round(prior[p]) - (disparities >> 1);
+            }
+        }
+
+        return this.matchSemiGlobal(left, right, width, height, bases, disparities, options);
+    }
+
+    /**
+     * The semi-global matching itself, for semiGlobalMatch and refineSemiGlobalMatch
+     * @param {Int32Array} bases - Smallest disparity considered at each pixel
+     * @param {number} D - Disparities considered at each pixel
+     * @returns {Float32Array}
+     */
+    matchSemiGlobal(left, right, width, height, bases, D, options = {}) {
+        const {
+            P1 = 8,             // Penalty for disparity changes of 1
+            P2 = 96,            // Penalty for larger disparity jumps
+            paths = 8           // 8 for quality, 4 for speed
+        } = options;
+
+        const pixels = width * height;
+
+        // Matching cost: Hamming distance between census signatures
+        const censusLeft = this.censusTransform(left, width, height);
+        const censusRight = this.censusTransform(right, width, height);
+        const cost = new Uint8Array(pixels * D);
+        const maxCost = 48;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const base = p * D;
+                for (let di = 0; di < D; di++) {
+                    const xr = x - (bases[p] + di);
+                    if (xr < 0 || xr >= width) {
+                        cost[base + di] = maxCost;
+                        continue;
+                    }
+                    const q = y * width + xr;
+                    cost[base + di] = this.popcount(censusLeft[p * 2] ^ censusRight[q * 2]) +
+                        this.popcount(censusLeft[p * 2 + 1] ^ censusRight[q * 2 + 1]);
+                }
+            }
+        }
+
+        this.reportTaskProgress(0.1);
+
+        // Aggregate along each path direction
+        const directions = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [-1, -1], [1, -1], [-1, 1]]
+            .slice(0, paths);
+        const aggregated = new Uint16Array(pixels * D);
+
+        directions.forEach(([rx, ry], i) => {
+            this.aggregatePath(cost, aggregated, left, bases, width, height, D, rx, ry, P1, P2);
+            this.reportTaskProgress(0.1 + 0.85 * (i + 1) / directions.length);
+        });
+
+        // Winner-take-all with sub-pixel parabola fit
+        const disparity = new Float32Array(pixels);
+        for (let p = 0; p < pixels; p++) {
+            const base = p * D;
+            let best = 0;
+            let bestCost = aggregated[base];
+            for (let di = 1; di < D; di++) {
+                if (aggregated[base + di] < bestCost) {
+                    bestCost = aggregated[base + di];
+                    best = di;
+                }
+            }
+
+            let offset = 0;
+            if (best > 0 && best < D - 1) {
+                const c0 = aggregated[base + best - 1];
+                const c2 = aggregated[base + best + 1];
+                const denom = c0 - 2 * bestCost + c2;
+                if (denom > 0) offset = (c0 - c2) / (2 * denom);
+            }
 
-        // Fill depth image data
-        for (let i = 0; i < processedDisparity.length; i++) {
-            const val = processedDisparity[i];
-            depthImageData.data[i * 4] = val;
-            depthImageData.data[i * 4 + 1] = val;
-            depthImageData.data[i * 4 + 2] = val;
-            depthImageData.data[i * 4 + 3] = 255;
+            disparity[p] = bases[p] + best + offset;
         }
 
-        depthCtx.putImageData(depthImageData, 0, 0);
+        this.reportTaskProgress(1);
 
-        return {
-            depthCanvas,
-            depthData: depthImageData,
-            disparityArray: processedDisparity
-        };
+        return disparity;
     }
 
     /**
-     * Get image data from an image element
+     * Accumulate one SGM path direction into the aggregated cost volume
+     * L(p,d) = C(p,d) + min(L(p-r,d), L(p-r,d±1) + P1, min_k L(p-r,k) + P2) - min_k L(p-r,k)
+     * Cost index d at pixel p is disparity bases[p] + d, so the previous
+     * pixel's matching index is shifted by the difference in their bases.
      */
-    getImageData(img) {
-        this.canvas.width = img.width;
-        this.canvas.height = img.height;
-        this.ctx.drawImage(img, 0, 0);
-        return this.ctx.getImageData(0, 0, img.width, img.height);
-    }
+    aggregatePath(cost, aggregated, gray, bases, width, height, D, rx, ry, P1, P2) {
+        // Two rows of path costs - the previous pixel is in the row above/below
+        // (ry != 0) or earlier in the same row (ry == 0)
+        let prevRow = new Uint16Array(width * D);
+        let curRow = new Uint16Array(width * D);
+        let prevMin = new Uint16Array(width);
+        let curMin = new Uint16Array(width);
 
-    /**
-     * Convert image data to grayscale array
-     */
-    toGrayscale(imageData) {
-        const gray = new Uint8Array(imageData.width * imageData.height);
-        const data = imageData.data;
+        const yStart = ry >= 0 ? 0 : height - 1;
+        const yStep = ry >= 0 ? 1 : -1;
+        const xStart = rx >= 0 ? 0 : width - 1;
+        const xStep = rx >= 0 ? 1 : -1;
 
-        for (let i = 0; i < gray.length; i++) {
-            const idx = i * 4;
-            // Luminosity method
-            gray[i] = Math.round(0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]);
-        }
+        for (let yi = 0, y = yStart; yi < height; yi++, y += yStep) {
+            for (let xi = 0, x = xStart; xi < width; xi++, x += xStep) {
+                const p = y * width + x;
+                const base = p * D;
+                const out = x * D;
+                const px = x - rx;
+                const py = y - ry;
 
-        return gray;
+                // Path starts at the image border
+                if (px < 0 || px >= width || py < 0 || py >= height) {
+                    let min = Infinity;
+                    for (let d = 0; d < D; d++) {
+                        const c = cost[base + d];
+                        curRow[out + d] = c;
+                        aggregated[base + d] += c;
+                        if (c < min) min = c;
+                    }
+                    curMin[x] = min;
+                    continue;
+                }
+
+                const source = ry === 0 ? curRow : prevRow;
+                const sourceMin = ry === 0 ? curMin[px] : prevMin[px];
+                const prev = px * D;
+                const shift = bases[p] - bases[py * width + px];
+
+                // Smaller penalty for jumps across intensity edges
+                const dI = Math.abs(gray[p] - gray[py * width + px]);
+                const p2 = Math.max(P1 + 1, Math.round(P2 / (1 + dI / 16)));
+                const jump = sourceMin + p2;
+
+                let min = Infinity;
+                for (let d = 0; d < D; d++) {
+                    const k = d + shift;
+                    let best = jump;
+                    if (k >= 0 && k < D && source[prev + k] < best) best = source[prev + k];
+                    if (k > 0 && k <= D && source[prev + k - 1] + P1 < best) best = source[prev + k - 1] + P1;
+                    if (k >= -1 && k < D - 1 && source[prev + k + 1] + P1 < best) best = source[prev + k + 1] + P1;
+
+                    const value = cost[base + d] + best - sourceMin;
+                    curRow[out + d] = value;
+                    aggregated[base + d] += value;
+                    if (value < min) min = value;
+                }
+                curMin[x] = min;
+            }
+
+            if (ry !== 0) {
+                [prevRow, curRow] = [curRow, prevRow];
+                [prevMin, curMin] = [curMin, prevMin];
+            }
+        }
     }
 
     /**
-     * Block matching stereo algorithm (SAD - Sum of Absolute Differences)
+     * 7x7 census transform - 48 comparison bits per pixel, stored as two words
+     * @returns {Uint32Array} [high 16 bits, low 32 bits] per pixel
      */
-    blockMatch(left, right, width, height, blockSize, maxDisparity) {
-        const disparity = new Float32Array(width * height);
-        const halfBlock = Math.floor(blockSize / 2);
-
-        for (let y = halfBlock; y < height - halfBlock; y++) {
-            for (let x = halfBlock; x < width - halfBlock; x++) {
-                let bestDisparity = 0;
-                let minSAD = Infinity;
+    censusTransform(gray, width, height) {
+        const census = new Uint32Array(width * height * 2);
 
-                // Search for best match in right image
-                const maxD = Math.min(maxDisparity, x - halfBlock);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const center = gray[y * width + x];
+                let hi = 0, lo = 0, bit = 0;
 
-                for (let d = 0; d <= maxD; d++) {
-                    let sad = 0;
+                for (let wy = -3; wy <= 3; wy++) {
+                    const ny = Math.max(0, Math.min(height - 1, y + wy));
+                    for (let wx = -3; wx <= 3; wx++) {
+                        if (wx === 0 && wy === 0) continue;
+                        const nx = Math.max(0, Math.min(width - 1, x + wx));
+                        const set = gray[ny * width + nx] < center ? 1 : 0;
 
-                    // Compute SAD for this disparity
-                    for (let by = -halfBlock; by <= halfBlock; by++) {
-                        for (let bx = -halfBlock; bx <= halfBlock; bx++) {
-                            const leftIdx = (y + by) * width + (x + bx);
-                            const rightIdx = (y + by) * width + (x + bx - d);
-                            sad += Math.abs(left[leftIdx] - right[rightIdx]);
+                        if (bit < 32) {
+                            lo = (lo | (set << bit)) >>> 0;
+                        } else {
+                            hi |= set << (bit - 32);
                         }
-                    }
-
-                    if (sad < minSAD) {
-                        minSAD = sad;
-                        bestDisparity = d;
+                        bit++;
                     }
                 }
 
-                disparity[y * width + x] = bestDisparity;
+                census[(y * width + x) * 2] = hi;
+                census[(y * width + x) * 2 + 1] = lo;
             }
         }
 
-        return disparity;
+        return census;
+    }
+
+    /**
+     * Number of set bits in a 32-bit integer
+     */
+    popcount(n) {
+        n = n - ((n >>> 1) & 0x55555555);
+        n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+        return (((n + (n >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
     }
 
     /**
@@ -172,12 +1711,197 @@ class DepthProcessor {
         return result;
     }
 
+    /**
+     * Smooth a depth map, optionally keeping its edges on the image's edges
+     * A plain Gaussian blurs depth across silhouettes, which shows up as
+     * rubber-sheet stretching around objects in the viewer. The guided and
+     * joint bilateral filters take their edges from the grayscale image instead.
+     * @param {Float32Array} depth
+     * @param {Uint8Array} guide - Grayscale image the depth belongs to
+     * @param {number} width
+     * @param {number} height
+     * @param {string} filter - One of this.SMOOTHING_FILTERS
+     * @param {number} sigma - Spatial extent, as for gaussianBlur
+     * @param {Object} options - Passed to runBanded
+     * @returns {Promise<Float32Array>}
+     */
+    smoothDepth(depth, guide, width, height, filter, sigma, options) {
+        const radius = this.gaussianRadius(sigma);
+
+        switch (filter) {
+            case 'guided':
+                // Two box filter passes, so twice the context
+                return this.runBanded('guidedFilter', [depth, guide], width, height,
+                    radius * 2, [radius], options);
+            case 'bilateral':
+                return this.runBanded('jointBilateralFilter', [depth, guide], width, height,
+                    radius, [sigma], options);
+            case 'gaussian':
+                return this.runBanded('gaussianBlur', [depth], width, height,
+                    radius, [sigma], options);
+            default:
+                throw new Error(`Unknown smoothing filter: ${filter}`);
+        }
+    }
+
+    /**
+     * Guided filter (He et al.)
+     * Models the output as a local linear function of the guide, so it is
+     * flat where the guide is flat and steps where the guide steps.
+     * @param {Float32Array} data - Values to filter
+     * @param {Uint8Array} guide - Grayscale guide image
+     * @param {number} width
+     * @param {number} height
+     * @param {number} radius - Box window radius
+     * @param {number} epsilon - Regularization on the 0-1 guide; larger smooths across weaker edges
+     * @returns {Float32Array}
+     */
+    guidedFilter(data, guide, width, height, radius, epsilon = 0.001) {
+        const size = width * height;
+        const I = new Float32Array(size);
+        const II = new Float32Array(size);
+        const Ip = new Float32Array(size);
+
+        for (let i = 0; i < size; i++) {
+            const value = guide[i] / 255;
+            I[i] = value;
+            II[i] = value * value;
+            Ip[i] = value * data[i];
+        }
+
+        const meanI = this.boxFilter(I, width, height, radius);
+        const meanP = this.boxFilter(data, width, height, radius);
+        const meanII = this.boxFilter(II, width, height, radius);
+        const meanIp = this.boxFilter(Ip, width, height, radius);
+
+        // Per-window linear coefficients: p = a * I + b
+        const a = new Float32Array(size);
+        const b = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            const variance = meanII[i] - meanI[i] * meanI[i];
+            const covariance = meanIp[i] - meanI[i] * meanP[i];
+            a[i] = covariance / (variance + epsilon);
+            b[i] = meanP[i] - a[i] * meanI[i];
+        }
+
+        // Every pixel lies in many windows - average their coefficients
+        const meanA = this.boxFilter(a, width, height, radius);
+        const meanB = this.boxFilter(b, width, height, radius);
+
+        const result = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            result[i] = meanA[i] * I[i] + meanB[i];
+        }
+
+        return result;
+    }
+
+    /**
+     * Mean over a (2r+1)^2 window using running sums
+     * The window is clipped at the image border rather than padded.
+     */
+    boxFilter(data, width, height, radius) {
+        const temp = new Float32Array(width * height);
+        const result = new Float32Array(width * height);
+
+        // Horizontal pass
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            let sum = 0;
+            for (let x = 0; x < Math.min(radius, width); x++) {
+                sum += data[row + x];
+            }
+            for (let x = 0; x < width; x++) {
+                if (x + radius < width) sum += data[row + x + radius];
+                if (x - radius - 1 >= 0) sum -= data[row + x - radius - 1];
+                const count = Math.min(width - 1, x + radius) - Math.max(0, x - radius) + 1;
+                temp[row + x] = sum / count;
+            }
+        }
+
+        // Vertical pass
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let y = 0; y < Math.min(radius, height); y++) {
+                sum += temp[y * width + x];
+            }
+            for (let y = 0; y < height; y++) {
+                if (y + radius < height) sum += temp[(y + radius) * width + x];
+                if (y - radius - 1 >= 0) sum -= temp[(y - radius - 1) * width + x];
+                const count = Math.min(height - 1, y + radius) - Math.max(0, y - radius) + 1;
+                result[y * width + x] = sum / count;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Joint bilateral filter
+     * Weights neighbours by distance and by how alike they look in the guide,
+     * so depth doesn't average across color edges. Large windows are sampled
+     * sparsely to keep the cost per pixel bounded.
+     * @param {Float32Array} data - Values to filter
+     * @param {Uint8Array} guide - Grayscale guide image
+     * @param {number} width
+     * @param {number} height
+     * @param {number} sigmaSpace - Spatial falloff in pixels
+     * @param {number} sigmaColor - Guide intensity falloff (0-255)
+     * @returns {Float32Array}
+     */
+    jointBilateralFilter(data, guide, width, height, sigmaSpace, sigmaColor = 12) {
+        const result = new Float32Array(data.length);
+        const radius = this.gaussianRadius(sigmaSpace);
+        const step = Math.max(1, Math.round(radius / 4));
+
+        // Offsets in steps either side of the pixel itself, so the window
+        // stays centered when the radius isn't a multiple of the step
+        const reach = Math.floor(radius / step);
+
+        const spaceScale = -1 / (2 * sigmaSpace * sigmaSpace);
+        const colorWeights = new Float32Array(256);
+        for (let i = 0; i < 256; i++) {
+            colorWeights[i] = Math.exp(-(i * i) / (2 * sigmaColor * sigmaColor));
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const center = guide[y * width + x];
+                let weightSum = 0;
+                let valueSum = 0;
+
+                for (let j = -reach; j <= reach; j++) {
+                    const ky = j * step;
+                    const ny = y + ky;
+                    if (ny < 0 || ny >= height) continue;
+
+                    for (let i = -reach; i <= reach; i++) {
+                        const kx = i * step;
+                        const nx = x + kx;
+                        if (nx < 0 || nx >= width) continue;
+
+                        const q = ny * width + nx;
+                        const weight = Math.exp((kx * kx + ky * ky) * spaceScale) *
+                            colorWeights[Math.abs(guide[q] - center)];
+                        weightSum += weight;
+                        valueSum += weight * data[q];
+                    }
+                }
+
+                // The pixel itself always has weight, but stay safe
+                result[y * width + x] = weightSum > 0 ? valueSum / weightSum : data[y * width + x];
+            }
+        }
+
+        return result;
+    }
+
     /**
      * Simple Gaussian blur
      */
     gaussianBlur(data, width, height, sigma) {
         const result = new Float32Array(data.length);
-        const kernelSize = Math.ceil(sigma * 3) * 2 + 1;
+        const kernelSize = this.gaussianRadius(sigma) * 2 + 1;
         const half = Math.floor(kernelSize / 2);
 
         // Create Gaussian kernel
@@ -222,9 +1946,17 @@ class DepthProcessor {
     }
 
     /**
-     * Normalize array to 0-255 range
+     * Half-width of the gaussianBlur kernel for a given sigma
      */
-    normalizeArray(data) {
+    gaussianRadius(sigma) {
+        return Math.ceil(sigma * 3);
+    }
+
+    /**
+     * Smallest and largest value in an array
+     * @returns {{min: number, max: number}}
+     */
+    arrayExtent(data) {
         let min = Infinity;
         let max = -Infinity;
 
@@ -233,6 +1965,14 @@ class DepthProcessor {
             if (data[i] > max) max = data[i];
         }
 
+        return { min, max };
+    }
+
+    /**
+     * Normalize array to 0-255 range
+     */
+    normalizeArray(data) {
+        const { min, max } = this.arrayExtent(data);
         const range = max - min || 1;
         const result = new Uint8Array(data.length);
 
@@ -244,99 +1984,420 @@ class DepthProcessor {
     }
 
     /**
-     * Create a simple fallback depth map when stereo matching isn't possible
-     * Uses edge detection and gradient to estimate depth
+     * Create a depth map from a single image when stereo matching isn't possible
+     * Uses the plugged-in depth estimator if there is one. Otherwise (or if it
+     * fails) classical monocular cues are computed on a small copy and
+     * averaged over superpixels. Either way the result is upsampled and
+     * snapped to the image's edges by the (edge-aware) smoothing pass.
+     * @param {HTMLImageElement|HTMLCanvasElement} img
+     * @param {Object} options
+     * @returns {Promise<{depthCanvas: HTMLCanvasElement, source: string, preset: string|null}>}
+     *          source is the estimator's name or 'heuristic'; preset is the
+     *          scene type the heuristics used, resolved when 'auto' was asked for
      */
-    createFallbackDepthMap(img, options = {}) {
+    async createFallbackDepthMap(img, options = {}) {
         const {
-            centerBias = 0.3,    // Bias toward center being closer
-            edgeWeight = 0.5    // Weight for edges (closer = more edge detail)
+            preset = 'auto',    // 'auto' or a key of this.SCENE_PRESETS
+            smoothingFilter = 'guided', // See computeDepthMap
+            maxResolution = 0,  // See computeDepthMap
+            onProgress = null,
+            signal = null
         } = options;
 
-        const width = img.width;
-        const height = img.height;
+        const processingScale = this.getProcessingScale(img, maxResolution);
+        const width = Math.round(img.width * processingScale);
+        const height = Math.round(img.height * processingScale);
 
-        const imageData = this.getImageData(img);
+        const imageData = this.getImageData(img, width, height);
         const gray = this.toGrayscale(imageData);
 
-        // Compute edge magnitude using Sobel
-        const edges = this.sobelEdges(gray, width, height);
+        if (onProgress) onProgress({ stage: 'estimating', progress: 0 });
 
-        // Create radial gradient (center closer)
-        const radial = new Float32Array(width * height);
-        const centerX = width / 2;
-        const centerY = height / 2;
-        const maxDist = Math.sqrt(centerX * centerX + centerY * centerY);
+        let depth = null;
+        let source = 'heuristic';
+        let usedPreset = null;
 
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const dx = x - centerX;
-                const dy = y - centerY;
-                const dist = Math.sqrt(dx * dx + dy * dy);
-                radial[y * width + x] = 1 - (dist / maxDist);
+        if (this.depthEstimator) {
+            try {
+                const estimate = await this.depthEstimator.estimate(img, { signal });
+                depth = this.resizeBilinear(estimate.depth, estimate.width, estimate.height, width, height);
+                source = this.depthEstimator.name;
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn(`${this.depthEstimator.name} depth estimation failed, using heuristics:`, error);
             }
         }
 
-        // Combine edges and radial gradient
-        const depth = new Float32Array(width * height);
-        for (let i = 0; i < depth.length; i++) {
-            depth[i] = edges[i] * edgeWeight + radial[i] * centerBias;
+        if (!depth) {
+            const analysisWidth = Math.min(width, this.monocularAnalysisWidth);
+            const analysisHeight = Math.max(1, Math.round(height * analysisWidth / width));
+            const small = this.getImageData(img, analysisWidth, analysisHeight);
+
+            const estimate = await this.runTask('estimateMonocularDepth',
+                [small.data, analysisWidth, analysisHeight, preset], { signal });
+            depth = this.resizeBilinear(estimate.depth, analysisWidth, analysisHeight, width, height);
+            usedPreset = estimate.preset;
         }
 
+        // Network output is already smooth - it only needs its edges aligned
+        const sigma = source === 'heuristic' ? 5 : 2;
+
         // Smooth and normalize
-        const smoothed = this.gaussianBlur(depth, width, height, 5);
+        const smoothed = await this.smoothDepth(depth, gray, width, height,
+            smoothingFilter, sigma, { stage: 'smoothing', onProgress, signal });
         const normalized = this.normalizeArray(smoothed);
 
-        // Create canvas
-        const depthCanvas = document.createElement('canvas');
-        depthCanvas.width = width;
-        depthCanvas.height = height;
-        const depthCtx = depthCanvas.getContext('2d');
-        const depthImageData = depthCtx.createImageData(width, height);
+        const { depthCanvas } = this.createDepthCanvas(normalized, width, height);
 
-        for (let i = 0; i < normalized.length; i++) {
-            const val = normalized[i];
-            depthImageData.data[i * 4] = val;
-            depthImageData.data[i * 4 + 1] = val;
-            depthImageData.data[i * 4 + 2] = val;
-            depthImageData.data[i * 4 + 3] = 255;
+        return { depthCanvas, source, preset: usedPreset };
+    }
+
+    /**
+     * Combine monocular depth cues into a per-region depth estimate
+     * @param {Uint8ClampedArray} rgba
+     * @param {number} width
+     * @param {number} height
+     * @param {string} preset - 'auto' or a key of this.SCENE_PRESETS
+     * @returns {{depth: Float32Array, preset: string}} Larger is closer
+     */
+    estimateMonocularDepth(rgba, width, height, preset = 'auto') {
+        const size = width * height;
+        const gray = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
         }
 
-        depthCtx.putImageData(depthImageData, 0, 0);
+        const horizon = this.estimateHorizon(gray, width, height);
+        const haze = this.hazeCue(rgba, width, height);
+        const sharpness = this.defocusCue(gray, width, height);
+        const { labels, count } = this.slicSuperpixels(rgba, width, height);
+
+        // Per-region statistics. Defocus is only measurable at edges, so it is
+        // averaged over edge pixels; a region's ground depth comes from its
+        // lowest pixel, where it would stand on the ground.
+        const hazeSum = new Float32Array(count);
+        const centerSum = new Float32Array(count);
+        const sharpSum = new Float32Array(count);
+        const sharpCount = new Uint32Array(count);
+        const pixelCount = new Uint32Array(count);
+        const lowestRow = new Int32Array(count);
+
+        const cx = width / 2;
+        const cy = height / 2;
+        const maxDist = Math.sqrt(cx * cx + cy * cy);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const label = labels[i];
+                const dx = x - cx;
+                const dy = y - cy;
+
+                pixelCount[label]++;
+                hazeSum[label] += haze[i];
+                centerSum[label] += 1 - Math.sqrt(dx * dx + dy * dy) / maxDist;
+                if (sharpness[i] >= 0) {
+                    sharpSum[label] += sharpness[i];
+                    sharpCount[label]++;
+                }
+                if (y > lowestRow[label]) lowestRow[label] = y;
+            }
+        }
+
+        let globalSharp = 0;
+        let globalSharpCount = 0;
+        for (let r = 0; r < count; r++) {
+            globalSharp += sharpSum[r];
+            globalSharpCount += sharpCount[r];
+        }
+        globalSharp = globalSharpCount ? globalSharp / globalSharpCount : 0;
+
+        const regionSharp = new Float32Array(count);
+        for (let r = 0; r < count; r++) {
+            regionSharp[r] = sharpCount[r] ? sharpSum[r] / sharpCount[r] : globalSharp;
+        }
+
+        const scene = preset === 'auto'
+            ? this.classifyScene(horizon, regionSharp, sharpCount)
+            : preset;
+        const weights = this.SCENE_PRESETS[scene];
+        if (!weights) {
+            throw new Error(`Unknown scene preset: ${scene}`);
+        }
+
+        // Ground plane: far at the horizon, nearest at the bottom edge
+        const groundSpan = Math.max(1, height - 1 - horizon.row);
+        const regionDepth = new Float32Array(count);
+        for (let r = 0; r < count; r++) {
+            if (!pixelCount[r]) continue;
+
+            const ground = Math.max(0, (lowestRow[r] - horizon.row) / groundSpan);
+            regionDepth[r] = weights.ground * ground +
+                weights.haze * hazeSum[r] / pixelCount[r] +
+                weights.defocus * regionSharp[r] +
+                weights.center * centerSum[r] / pixelCount[r];
+        }
+
+        const depth = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            depth[i] = regionDepth[labels[i]];
+        }
+
+        console.log(`Monocular depth: ${scene} preset, horizon at ${(horizon.row / height * 100).toFixed(0)}%, ${count} regions`);
+
+        return { depth, preset: scene };
+    }
+
+    /**
+     * Find the horizon as the row splitting a bright, smooth sky from busier ground
+     * @returns {{row: number, score: number}} score is near 0 without a clear sky
+     */
+    estimateHorizon(gray, width, height) {
+        const rowLuma = new Float32Array(height);
+        const rowDetail = new Float32Array(height);
+
+        for (let y = 0; y < height; y++) {
+            let luma = 0;
+            let detail = 0;
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                luma += gray[i];
+                if (x > 0) detail += Math.abs(gray[i] - gray[i - 1]);
+                if (y > 0) detail += Math.abs(gray[i] - gray[i - width]);
+            }
+            rowLuma[y] = luma / width / 255;
+            rowDetail[y] = detail / width / 64;
+        }
+
+        // Prefix sums for the above/below means of each candidate row
+        const lumaSum = new Float32Array(height + 1);
+        const detailSum = new Float32Array(height + 1);
+        for (let y = 0; y < height; y++) {
+            lumaSum[y + 1] = lumaSum[y] + rowLuma[y];
+            detailSum[y + 1] = detailSum[y] + rowDetail[y];
+        }
 
-        return { depthCanvas };
+        // Default to a horizon just above the middle, as in most photos
+        let best = { row: Math.round(height * 0.45), score: 0 };
+        for (let row = Math.round(height * 0.15); row < Math.round(height * 0.85); row++) {
+            const above = row;
+            const below = height - row;
+            const brighter = lumaSum[row] / above - (lumaSum[height] - lumaSum[row]) / below;
+            const smoother = (detailSum[height] - detailSum[row]) / below - detailSum[row] / above;
+            const score = brighter + smoother;
+
+            if (score > best.score) {
+                best = { row, score };
+            }
+        }
+
+        return best;
     }
 
     /**
-     * Sobel edge detection
+     * Atmospheric perspective from the dark channel (He et al.)
+     * Haze lifts the darkest channel of distant content toward the airlight,
+     * so a low dark channel means near.
+     * @returns {Float32Array} 0 (hazy, far) to 1 (clear, near)
      */
-    sobelEdges(gray, width, height) {
-        const edges = new Float32Array(width * height);
+    hazeCue(rgba, width, height, radius = 7) {
+        const dark = new Float32Array(width * height);
+        for (let i = 0; i < dark.length; i++) {
+            dark[i] = Math.min(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]) / 255;
+        }
+
+        // Separable minimum filter over the patch
+        const temp = new Float32Array(dark.length);
+        const result = new Float32Array(dark.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let min = 1;
+                for (let k = Math.max(0, x - radius); k <= Math.min(width - 1, x + radius); k++) {
+                    min = Math.min(min, dark[y * width + k]);
+                }
+                temp[y * width + x] = min;
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let min = 1;
+                for (let k = Math.max(0, y - radius); k <= Math.min(height - 1, y + radius); k++) {
+                    min = Math.min(min, temp[k * width + x]);
+                }
+                result[y * width + x] = 1 - min;
+            }
+        }
 
-        const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
-        const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+        return result;
+    }
+
+    /**
+     * Defocus estimate at edges (Zhuo & Sim)
+     * Re-blurring an edge by a known sigma shrinks its gradient less the
+     * blurrier it already was; the gradient ratio gives the existing blur.
+     * @returns {Float32Array} Sharpness 0-1 at edge pixels, -1 elsewhere
+     */
+    defocusCue(gray, width, height, reblurSigma = 1, edgeThreshold = 12) {
+        const reblurred = this.gaussianBlur(gray, width, height, reblurSigma);
+        const result = new Float32Array(width * height).fill(-1);
 
         for (let y = 1; y < height - 1; y++) {
             for (let x = 1; x < width - 1; x++) {
-                let gx = 0, gy = 0;
-                let k = 0;
-
-                for (let ky = -1; ky <= 1; ky++) {
-                    for (let kx = -1; kx <= 1; kx++) {
-                        const val = gray[(y + ky) * width + (x + kx)];
-                        gx += val * sobelX[k];
-                        gy += val * sobelY[k];
-                        k++;
+                const i = y * width + x;
+                const gx = gray[i + 1] - gray[i - 1];
+                const gy = gray[i + width] - gray[i - width];
+                const gradient = Math.sqrt(gx * gx + gy * gy) / 2;
+                if (gradient < edgeThreshold) continue;
+
+                const rx = reblurred[i + 1] - reblurred[i - 1];
+                const ry = reblurred[i + width] - reblurred[i - width];
+                const ratio = gradient / (Math.sqrt(rx * rx + ry * ry) / 2 || 1e-3);
+                if (ratio <= 1.01) continue;
+
+                const blur = reblurSigma / Math.sqrt(ratio * ratio - 1);
+                result[i] = 1 / (1 + blur);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Guess the scene type from the cues
+     * A clear sky/ground split reads as a landscape, a strong spread between
+     * sharp and blurred regions as a shallow-focus portrait.
+     */
+    classifyScene(horizon, regionSharp, sharpCount) {
+        if (horizon.score > 0.25) return 'landscape';
+
+        const measured = [];
+        for (let r = 0; r < regionSharp.length; r++) {
+            if (sharpCount[r] >= 4) measured.push(regionSharp[r]);
+        }
+        if (measured.length >= 8) {
+            measured.sort((a, b) => a - b);
+            const low = measured[Math.floor(measured.length * 0.1)];
+            const high = measured[Math.floor(measured.length * 0.9)];
+            if (high - low > 0.25) return 'portrait';
+        }
+
+        return 'interior';
+    }
+
+    /**
+     * SLIC superpixels (Achanta et al.)
+     * k-means on color and position, each center only searching a window
+     * twice the grid step, so regions stay compact and follow color edges.
+     * @returns {{labels: Int32Array, count: number}}
+     */
+    slicSuperpixels(rgba, width, height, options = {}) {
+        const {
+            regions = 300,
+            compactness = 10,   // Higher = more regular shapes
+            iterations = 5
+        } = options;
+
+        const step = Math.max(2, Math.round(Math.sqrt(width * height / regions)));
+        const centers = [];
+        for (let y = step / 2; y < height; y += step) {
+            for (let x = step / 2; x < width; x += step) {
+                const i = (Math.floor(y) * width + Math.floor(x)) * 4;
+                centers.push({ x, y, r: rgba[i], g: rgba[i + 1], b: rgba[i + 2] });
+            }
+        }
+
+        const count = centers.length;
+        const labels = new Int32Array(width * height);
+        const distances = new Float32Array(width * height);
+        const spatialWeight = (compactness / step) ** 2;
+
+        for (let iter = 0; iter < iterations; iter++) {
+            distances.fill(Infinity);
+
+            for (let c = 0; c < count; c++) {
+                const center = centers[c];
+                const x0 = Math.max(0, Math.floor(center.x - step));
+                const x1 = Math.min(width - 1, Math.ceil(center.x + step));
+                const y0 = Math.max(0, Math.floor(center.y - step));
+                const y1 = Math.min(height - 1, Math.ceil(center.y + step));
+
+                for (let y = y0; y <= y1; y++) {
+                    for (let x = x0; x <= x1; x++) {
+                        const i = y * width + x;
+                        const dr = rgba[i * 4] - center.r;
+                        const dg = rgba[i * 4 + 1] - center.g;
+                        const db = rgba[i * 4 + 2] - center.b;
+                        const dx = x - center.x;
+                        const dy = y - center.y;
+                        const distance = dr * dr + dg * dg + db * db + (dx * dx + dy * dy) * spatialWeight;
+
+                        if (distance < distances[i]) {
+                            distances[i] = distance;
+                            labels[i] = c;
+                        }
                     }
                 }
+            }
+
+            // Move centers to the mean of their pixels
+            const sums = new Float64Array(count * 6);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = y * width + x;
+                    const s = labels[i] * 6;
+                    sums[s] += x;
+                    sums[s + 1] += y;
+                    sums[s + 2] += rgba[i * 4];
+                    sums[s + 3] += rgba[i * 4 + 1];
+                    sums[s + 4] += rgba[i * 4 + 2];
+                    sums[s + 5]++;
+                }
+            }
+            for (let c = 0; c < count; c++) {
+                const n = sums[c * 6 + 5];
+                if (!n) continue;
+                centers[c] = {
+                    x: sums[c * 6] / n,
+                    y: sums[c * 6 + 1] / n,
+                    r: sums[c * 6 + 2] / n,
+                    g: sums[c * 6 + 3] / n,
+                    b: sums[c * 6 + 4] / n
+                };
+            }
+        }
 
-                edges[y * width + x] = Math.sqrt(gx * gx + gy * gy) / 255;
+        return { labels, count };
+    }
+
+    /**
+     * Resize a single-channel array with bilinear interpolation
+     */
+    resizeBilinear(data, width, height, targetWidth, targetHeight) {
+        const result = new Float32Array(targetWidth * targetHeight);
+        const scaleX = width / targetWidth;
+        const scaleY = height / targetHeight;
+
+        for (let y = 0; y < targetHeight; y++) {
+            const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+            const y0 = Math.floor(sy);
+            const y1 = Math.min(height - 1, y0 + 1);
+            const fy = sy - y0;
+
+            for (let x = 0; x < targetWidth; x++) {
+                const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+                const x0 = Math.floor(sx);
+                const x1 = Math.min(width - 1, x0 + 1);
+                const fx = sx - x0;
+
+                const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+                const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+                result[y * targetWidth + x] = top * (1 - fy) + bottom * fy;
             }
         }
 
-        return edges;
+        return result;
     }
 }
 
-// Export for use
-window.DepthProcessor = DepthProcessor;
+// Export for use (self is window on the page and the global scope in depth-worker.js)
+self.DepthProcessor = DepthProcessor;
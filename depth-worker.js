@@ -0,0 +1,49 @@
+/**
+ * Depth Worker
+ * Runs DepthProcessor's array routines off the main thread
+ * Messages are {method, args}; replies are {progress}, then {result} or {error}
+ */
+
+importScripts('depth-processor.js');
+
+const processor = new DepthProcessor();
+
+// Long-running methods report progress ahead of their result
+processor.onTaskProgress = (progress) => self.postMessage({ progress });
+
+// Only the pure array routines - nothing here can touch the DOM
+const ALLOWED_METHODS = new Set([
+    'blockMatch',
+    'refineBlockMatch',
+    'semiGlobalMatch',
+    'refineSemiGlobalMatch',
+    'medianFilter',
+    'gaussianBlur',
+    'guidedFilter',
+    'jointBilateralFilter',
+    'estimateRectification',
+    'estimateDisparityRange',
+    'warpImage',
+    'leftRightCheck',
+    'fillHoles',
+    'estimateMonocularDepth'
+]);
+
+self.onmessage = (event) => {
+    const { method, args } = event.data;
+
+    if (!ALLOWED_METHODS.has(method)) {
+        self.postMessage({ error: `Unknown depth worker method: ${method}` });
+        return;
+    }
+
+    try {
+        const result = processor[method](...args);
+
+        // Hand typed array results back without copying
+        const transfer = ArrayBuffer.isView(result) ? [result.buffer] : [];
+        self.postMessage({ result }, transfer);
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
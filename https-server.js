@@ -23,6 +23,7 @@ const mimeTypes = {
     '.svg': 'image/svg+xml',
     '.ico': 'image/x-icon',
     '.mpo': 'image/mpo',
+    '.jps': 'image/jpeg',
     '.woff': 'font/woff',
     '.woff2': 'font/woff2',
 };
@@ -1,6 +1,6 @@
 /**
  * MPO (Multi-Picture Object) Parser
- * Extracts individual JPEG images from MPO stereo files
+ * Extracts individual JPEG images from MPO stereo and multi-view files
  * Improved version with better support for various camera formats
  */
 
@@ -9,53 +9,191 @@ class MPOParser {
         // JPEG markers
         this.SOI = 0xFFD8;  // Start of Image
         this.EOI = 0xFFD9;  // End of Image
+        this.APP1 = 0xFFE1; // EXIF marker
         this.APP2 = 0xFFE2; // MPO marker (MPF - Multi-Picture Format)
+        this.APP3 = 0xFFE3; // JPS stereoscopic descriptor
+        this.SOS = 0xFFDA;  // Start of Scan
+
+        // MP Entry image type codes (CIPA DC-007)
+        this.MP_TYPES = {
+            0x010001: 'largeThumbnailVGA',
+            0x010002: 'largeThumbnailFullHD',
+            0x020001: 'panorama',
+            0x020002: 'disparity',
+            0x020003: 'multiAngle',
+            0x030000: 'baseline'
+        };
+
+        // MP Attribute IFD tags we care about
+        this.MP_ATTRIBUTE_TAGS = {
+            0xB000: 'mpfVersion',
+            0xB101: 'individualNum',
+            0xB201: 'panOrientation',
+            0xB204: 'baseViewpointNum',
+            0xB205: 'convergenceAngle',
+            0xB206: 'baselineLength',
+            0xB207: 'verticalDivergence',
+            0xB208: 'axisDistanceX',
+            0xB209: 'axisDistanceY',
+            0xB20A: 'axisDistanceZ',
+            0xB20B: 'yawAngle',
+            0xB20C: 'pitchAngle',
+            0xB20D: 'rollAngle'
+        };
+
+        // APP1 XMP packet signatures (the extension holds packets over 64 KB)
+        this.XMP_SIGNATURE = 'http://ns.adobe.com/xap/1.0/\0';
+        this.XMP_EXTENSION_SIGNATURE = 'http://ns.adobe.com/xmp/extension/\0';
+
+        // XMP namespace of Apple's auxiliary disparity images
+        this.APPLE_DEPTH_NAMESPACE = 'http://ns.apple.com/depthData/1.0/';
+
+        // EXIF tags used for stereo metadata
+        this.EXIF_TAGS = {
+            0x010F: 'make',
+            0x0110: 'model',
+            0x0112: 'orientation',
+            0x8769: 'exifIFDPointer',
+            0x920A: 'focalLength',
+            0xA002: 'pixelXDimension',
+            0xA003: 'pixelYDimension',
+            0xA20E: 'focalPlaneXResolution',
+            0xA210: 'focalPlaneResolutionUnit',
+            0xA405: 'focalLength35mm'
+        };
     }
 
     /**
      * Parse an MPO file and extract all images
      * @param {ArrayBuffer} buffer - The MPO file data
-     * @returns {Promise<Array<{blob: Blob, url: string}>>} Array of extracted images
+     * @param {Object} options
+     * @param {Function} [options.onProgress] - Called with {stage, progress} during the boundary scan
+     * @param {AbortSignal} [options.signal] - Cancels parsing with an AbortError
+     * @returns {Promise<Array<{blob: Blob, url: string, metadata: Object}>>} Array of extracted images
      */
-    async parse(buffer) {
+    async parse(buffer, options = {}) {
+        const { signal = null } = options;
         const uint8 = new Uint8Array(buffer);
         const images = [];
 
         console.log(`Parsing MPO file, size: ${buffer.byteLength} bytes`);
 
-        // Method 1: Find all SOI/EOI boundaries (simple approach)
-        const boundaries = this.findJPEGBoundaries(uint8);
+        // Method 1: Use the MPF index - exact offsets, and it tells us which
+        // entries are embedded preview JPEGs rather than real views
+        const entries = this.parseMPFIndex(uint8);
+        const views = entries.filter(entry => !this.isThumbnailEntry(entry));
+
+        if (views.length >= 2) {
+            console.log(`Found ${entries.length} MP entries (${views.length} views) in MPF index`);
+
+            for (let i = 0; i < views.length; i++) {
+                const entry = views[i];
+                images.push(this.createImage(buffer, entry.start, entry.end, entry));
+                console.log(`Extracted image ${i + 1} (${entry.type}): ${entry.start} - ${entry.end} (${entry.size} bytes)`);
+            }
+
+            // Some cameras only record the rig geometry on one of the views
+            for (const key of ['baselineLength', 'convergenceAngle']) {
+                const source = images.find(image => image.metadata[key] !== null);
+                if (!source) continue;
+                for (const image of images) {
+                    if (image.metadata[key] === null) image.metadata[key] = source.metadata[key];
+                }
+            }
+            return images;
+        }
+
+        // Method 2: Find all SOI/EOI boundaries (simple approach)
+        this.throwIfAborted(signal);
+        const boundaries = await this.findJPEGBoundariesAsync(uint8, options);
         console.log(`Found ${boundaries.length} JPEG boundaries`);
 
         if (boundaries.length >= 2) {
             // Extract each image
-            for (let i = 0; i < Math.min(boundaries.length, 2); i++) {
+            for (let i = 0; i < boundaries.length; i++) {
                 const boundary = boundaries[i];
-                const imageData = buffer.slice(boundary.start, boundary.end);
-                const blob = new Blob([imageData], { type: 'image/jpeg' });
-                images.push({
-                    blob,
-                    url: URL.createObjectURL(blob)
-                });
+                images.push(this.createImage(buffer, boundary.start, boundary.end));
                 console.log(`Extracted image ${i + 1}: ${boundary.start} - ${boundary.end} (${boundary.end - boundary.start} bytes)`);
             }
             return images;
         }
 
-        // Method 2: Try MPF index parsing
-        const mpfImages = this.parseMPFIndex(uint8, buffer);
-        if (mpfImages.length >= 2) {
-            console.log('Extracted images using MPF index');
-            return mpfImages;
-        }
-
         // Fallback: Return the whole file as a single image
         console.warn('Could not extract stereo pair, returning single image');
-        const blob = new Blob([buffer], { type: 'image/jpeg' });
-        return [{
+        return [this.createImage(buffer, 0, buffer.byteLength)];
+    }
+
+    /**
+     * Slice one JPEG out of the file and attach its metadata
+     * @param {ArrayBuffer} buffer
+     * @param {number} start
+     * @param {number} end
+     * @param {Object} [entry] - MP entry from the MPF index, if there was one
+     * @returns {{blob: Blob, url: string, metadata: Object}}
+     */
+    createImage(buffer, start, end, entry = null) {
+        const imageData = buffer.slice(start, end);
+        const blob = new Blob([imageData], { type: 'image/jpeg' });
+        const data = new Uint8Array(buffer);
+
+        return {
             blob,
-            url: URL.createObjectURL(blob)
-        }];
+            url: URL.createObjectURL(blob),
+            metadata: this.buildMetadata(entry, this.readExif(data, start))
+        };
+    }
+
+    /**
+     * Combine MP attributes and EXIF into the stereo metadata we expose
+     * Distances are in meters, angles in degrees. Missing values are null.
+     * @param {Object|null} entry - MP entry from the MPF index
+     * @param {Object} exif - Values from readExif
+     * @returns {Object}
+     */
+    buildMetadata(entry, exif) {
+        const attributes = entry ? entry.attributes : {};
+        const value = (v) => (v === undefined ? null : v);
+
+        const hasAxisDistance = attributes.axisDistanceX !== undefined ||
+            attributes.axisDistanceY !== undefined ||
+            attributes.axisDistanceZ !== undefined;
+
+        return {
+            type: entry ? entry.type : null,
+            individualNum: value(attributes.individualNum),
+            baseViewpointNum: value(attributes.baseViewpointNum),
+            convergenceAngle: value(attributes.convergenceAngle),
+            baselineLength: value(attributes.baselineLength),
+            verticalDivergence: value(attributes.verticalDivergence),
+            axisDistance: hasAxisDistance ? {
+                x: value(attributes.axisDistanceX),
+                y: value(attributes.axisDistanceY),
+                z: value(attributes.axisDistanceZ)
+            } : null,
+            camera: {
+                make: value(exif.make),
+                model: value(exif.model),
+                focalLength: value(exif.focalLength),
+                focalLength35mm: value(exif.focalLength35mm) || null,
+                focalPlaneXResolution: this.toPixelsPerMM(exif.focalPlaneXResolution, exif.focalPlaneResolutionUnit),
+                pixelWidth: value(exif.pixelXDimension),
+                pixelHeight: value(exif.pixelYDimension),
+                orientation: value(exif.orientation)
+            }
+        };
+    }
+
+    /**
+     * Convert an EXIF focal plane resolution to pixels per millimeter
+     * @param {number} resolution
+     * @param {number} unit - 2 = inch (default), 3 = cm, 4 = mm
+     * @returns {number|null}
+     */
+    toPixelsPerMM(resolution, unit = 2) {
+        if (!resolution) return null;
+
+        const mmPerUnit = { 2: 25.4, 3: 10, 4: 1 };
+        return resolution / (mmPerUnit[unit] || 25.4);
     }
 
     /**
@@ -65,149 +203,878 @@ class MPOParser {
      */
     findJPEGBoundaries(data) {
         const boundaries = [];
-        const length = data.length;
         let pos = 0;
 
-        while (pos < length - 1) {
-            // Look for SOI marker (0xFF 0xD8)
-            if (data[pos] === 0xFF && data[pos + 1] === 0xD8) {
-                const start = pos;
-                pos += 2;
+        while (pos < data.length - 1) {
+            const { boundary, next } = this.scanNextJPEG(data, pos);
+            if (boundary) boundaries.push(boundary);
+            pos = next;
+        }
 
-                // Now scan through the JPEG structure
-                while (pos < length - 1) {
-                    // Look for any marker
-                    if (data[pos] === 0xFF) {
-                        const marker = data[pos + 1];
+        return boundaries;
+    }
 
-                        // Skip padding bytes (0xFF 0xFF)
-                        if (marker === 0xFF) {
-                            pos++;
-                            continue;
-                        }
+    /**
+     * Same as findJPEGBoundaries, but yields to the event loop between images
+     * so large files don't freeze the page
+     * @param {Uint8Array} data
+     * @param {Object} options
+     * @param {Function} [options.onProgress] - Called with {stage, progress}
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Array<{start: number, end: number}>>}
+     */
+    async findJPEGBoundariesAsync(data, options = {}) {
+        const { onProgress = null, signal = null } = options;
+        const boundaries = [];
+        let pos = 0;
 
-                        // EOI marker - end of this image
-                        if (marker === 0xD9) {
-                            boundaries.push({
-                                start,
-                                end: pos + 2
-                            });
-                            pos += 2;
-                            break;
-                        }
+        while (pos < data.length - 1) {
+            this.throwIfAborted(signal);
 
-                        // RST markers (0xD0-0xD7) - no length, skip
-                        if (marker >= 0xD0 && marker <= 0xD7) {
-                            pos += 2;
-                            continue;
-                        }
+            const { boundary, next } = this.scanNextJPEG(data, pos);
+            if (boundary) boundaries.push(boundary);
+            pos = next;
 
-                        // SOI marker - shouldn't happen, but indicates new image
-                        if (marker === 0xD8) {
-                            // End current image at previous position
-                            // This shouldn't normally happen in valid JPEG
-                            break;
-                        }
+            if (onProgress) onProgress({ stage: 'scanning', progress: pos / data.length });
+            await this.yieldToMain();
+        }
 
-                        // SOS marker (0xDA) - start of scan (entropy-coded data follows)
-                        if (marker === 0xDA) {
-                            pos += 2;
-                            if (pos + 1 < length) {
-                                const sosLength = (data[pos] << 8) | data[pos + 1];
-                                pos += sosLength;
-                            }
-
-                            // Scan through entropy-coded data until we find a marker
-                            while (pos < length - 1) {
-                                if (data[pos] === 0xFF && data[pos + 1] !== 0x00 && data[pos + 1] !== 0xFF) {
-                                    // Found a marker
-                                    break;
-                                }
-                                pos++;
-                            }
-                            continue;
-                        }
+        return boundaries;
+    }
+
+    /**
+     * Find the next complete JPEG at or after a position
+     * @param {Uint8Array} data
+     * @param {number} pos - Where to start looking for an SOI marker
+     * @returns {{boundary: {start: number, end: number}|null, next: number}}
+     *          The image found (if any) and where to resume scanning
+     */
+    scanNextJPEG(data, pos) {
+        const length = data.length;
 
-                        // Other markers with length field
-                        pos += 2;
-                        if (pos + 1 < length) {
-                            const segLength = (data[pos] << 8) | data[pos + 1];
-                            pos += segLength;
+        // Look for SOI marker (0xFF 0xD8)
+        while (pos < length - 1 && !(data[pos] === 0xFF && data[pos + 1] === 0xD8)) {
+            pos++;
+        }
+        if (pos >= length - 1) {
+            return { boundary: null, next: length };
+        }
+
+        const start = pos;
+        pos += 2;
+
+        // Now scan through the JPEG structure
+        while (pos < length - 1) {
+            // Look for any marker
+            if (data[pos] === 0xFF) {
+                const marker = data[pos + 1];
+
+                // Skip padding bytes (0xFF 0xFF)
+                if (marker === 0xFF) {
+                    pos++;
+                    continue;
+                }
+
+                // EOI marker - end of this image
+                if (marker === 0xD9) {
+                    return { boundary: { start, end: pos + 2 }, next: pos + 2 };
+                }
+
+                // RST markers (0xD0-0xD7) - no length, skip
+                if (marker >= 0xD0 && marker <= 0xD7) {
+                    pos += 2;
+                    continue;
+                }
+
+                // SOI marker - shouldn't happen in valid JPEG, but indicates a new
+                // image. Drop the incomplete one and resume from here.
+                if (marker === 0xD8) {
+                    return { boundary: null, next: pos };
+                }
+
+                // SOS marker (0xDA) - start of scan (entropy-coded data follows)
+                if (marker === 0xDA) {
+                    pos += 2;
+                    if (pos + 1 < length) {
+                        const sosLength = (data[pos] << 8) | data[pos + 1];
+                        pos += sosLength;
+                    }
+
+                    // Scan through entropy-coded data until we find a marker
+                    while (pos < length - 1) {
+                        if (data[pos] === 0xFF && data[pos + 1] !== 0x00 && data[pos + 1] !== 0xFF) {
+                            // Found a marker
+                            break;
                         }
-                    } else {
                         pos++;
                     }
+                    continue;
                 }
 
-                // If we didn't find EOI but ran out of data, assume rest is the image
-                if (boundaries.length === 0 || boundaries[boundaries.length - 1].start !== start) {
-                    // Didn't add this boundary yet - it might be incomplete
+                // Other markers with length field
+                pos += 2;
+                if (pos + 1 < length) {
+                    const segLength = (data[pos] << 8) | data[pos + 1];
+                    pos += segLength;
                 }
             } else {
                 pos++;
             }
         }
 
-        return boundaries;
+        // Ran out of data before EOI - the image is incomplete
+        return { boundary: null, next: length };
     }
 
     /**
      * Parse MPF (Multi-Picture Format) index to find image offsets
      * @param {Uint8Array} data
-     * @param {ArrayBuffer} buffer
-     * @returns {Array<{blob: Blob, url: string}>}
+     * @returns {Array<{index: number, start: number, end: number, size: number,
+     *           typeCode: number, type: string, flags: Object, dependents: number[],
+     *           attributes: Object}>}
      */
-    parseMPFIndex(data, buffer) {
-        const images = [];
-        const length = data.length;
+    parseMPFIndex(data) {
+        const entries = [];
+        const imageStart = this.findSOI(data, 0);
+        if (imageStart < 0) return entries;
+
+        const segment = this.findMPFSegment(data, imageStart);
+        if (!segment) return entries;
+
+        console.log('Found MPF segment at position', segment.offset);
+
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const { tiffStart, littleEndian } = segment;
+        console.log('MPF endianness:', littleEndian ? 'little' : 'big');
+
+        // The first IFD of the first image is the MP Index IFD
+        const indexIFD = this.readIFD(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+        if (!indexIFD) return entries;
 
-        // Find APP2 marker with "MPF\0" signature
-        for (let pos = 0; pos < length - 20; pos++) {
-            if (data[pos] === 0xFF && data[pos + 1] === 0xE2) {
-                const segLength = (data[pos + 2] << 8) | data[pos + 3];
+        const entryTag = indexIFD.tags.get(0xB002);
+        if (!entryTag) {
+            console.warn('MPF index has no MP Entry tag');
+            return entries;
+        }
+
+        const countTag = indexIFD.tags.get(0xB001);
+        const count = countTag
+            ? this.readTagValue(view, countTag, littleEndian)
+            : Math.floor(entryTag.count / 16);
+
+        for (let i = 0; i < count; i++) {
+            // Each MP Entry is 16 bytes: attribute, size, offset, two dependent entry numbers
+            const pos = entryTag.valueOffset + i * 16;
+            if (pos + 16 > data.length) break;
+
+            const attribute = view.getUint32(pos, littleEndian);
+            const size = view.getUint32(pos + 4, littleEndian);
+            const offset = view.getUint32(pos + 8, littleEndian);
+            const dependent1 = view.getUint16(pos + 12, littleEndian);
+            const dependent2 = view.getUint16(pos + 14, littleEndian);
+
+            // The first image's offset is always 0 - it's the image holding the index.
+            // Other offsets are relative to the MPF TIFF header.
+            const start = i === 0 ? imageStart : tiffStart + offset;
+            const end = start + size;
+
+            if (size === 0 || end > data.length || data[start] !== 0xFF || data[start + 1] !== 0xD8) {
+                console.warn(`Skipping invalid MP entry ${i + 1}: offset ${start}, size ${size}`);
+                continue;
+            }
+
+            const typeCode = attribute & 0xFFFFFF;
+
+            entries.push({
+                index: i,
+                start,
+                end,
+                size,
+                typeCode,
+                type: this.MP_TYPES[typeCode] || 'undefined',
+                flags: {
+                    dependentParent: (attribute & 0x80000000) !== 0,
+                    dependentChild: (attribute & 0x40000000) !== 0,
+                    representative: (attribute & 0x20000000) !== 0,
+                    format: (attribute >>> 24) & 0x07  // 0 = JPEG
+                },
+                dependents: [dependent1, dependent2].filter(n => n > 0),
+                attributes: {}
+            });
+        }
+
+        // Attach each image's MP Attribute IFD. For the first image it follows the
+        // index IFD; every other image carries its own MPF segment.
+        for (const entry of entries) {
+            if (entry.index === 0) {
+                if (indexIFD.nextIFD) {
+                    entry.attributes = this.readMPAttributes(view, tiffStart, indexIFD.nextIFD, littleEndian);
+                }
+                continue;
+            }
+
+            const entrySegment = this.findMPFSegment(data, entry.start);
+            if (entrySegment) {
+                const ifdOffset = view.getUint32(entrySegment.tiffStart + 4, entrySegment.littleEndian);
+                entry.attributes = this.readMPAttributes(view, entrySegment.tiffStart, ifdOffset, entrySegment.littleEndian);
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Check whether an MP entry is a preview rather than a captured view
+     * @param {{typeCode: number, flags: Object}} entry
+     * @returns {boolean}
+     */
+    isThumbnailEntry(entry) {
+        // Large thumbnails are class 0x01xxxx, and only JPEG entries are decodable
+        return (entry.typeCode >> 16) === 0x01 || entry.flags.format !== 0;
+    }
+
+    /**
+     * Find the first SOI marker at or after a position
+     * @param {Uint8Array} data
+     * @param {number} start
+     * @returns {number} Position of the SOI, or -1
+     */
+    findSOI(data, start) {
+        for (let pos = start; pos < data.length - 2; pos++) {
+            if (data[pos] === 0xFF && data[pos + 1] === 0xD8 && data[pos + 2] === 0xFF) {
+                return pos;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Walk the marker segments of a JPEG header (everything before the scan data)
+     * @param {Uint8Array} data
+     * @param {number} start - Position of the image's SOI marker
+     * @returns {Array<{marker: number, offset: number, dataStart: number, dataEnd: number}>}
+     */
+    readSegments(data, start) {
+        const segments = [];
+        if (data[start] !== 0xFF || data[start + 1] !== 0xD8) return segments;
+
+        let pos = start + 2;
+        while (pos + 4 <= data.length) {
+            if (data[pos] !== 0xFF) break;
 
-                // Check for "MPF\0" signature
-                if (data[pos + 4] === 0x4D && data[pos + 5] === 0x50 &&
-                    data[pos + 6] === 0x46 && data[pos + 7] === 0x00) {
+            const marker = data[pos + 1];
 
-                    console.log('Found MPF segment at position', pos);
+            // Skip fill bytes
+            if (marker === 0xFF) {
+                pos++;
+                continue;
+            }
 
-                    // Parse MPF index
-                    // The structure is complex - simplified parsing here
-                    const mpfStart = pos + 4; // Start of MPF data
+            // Header ends at SOS (or EOI for an empty image)
+            if ((0xFF00 | marker) === this.SOS || (0xFF00 | marker) === this.EOI) break;
 
-                    // Determine endianness from TIFF header
-                    const endian = data[mpfStart + 4] === 0x49 ? 'little' : 'big';
-                    console.log('MPF endianness:', endian);
+            const length = (data[pos + 2] << 8) | data[pos + 3];
+            segments.push({
+                marker: 0xFF00 | marker,
+                offset: pos,
+                dataStart: pos + 4,
+                dataEnd: Math.min(pos + 2 + length, data.length)
+            });
+            pos += 2 + length;
+        }
 
-                    // For now, use simpler boundary detection
+        return segments;
+    }
+
+    /**
+     * Find the APP2 "MPF\0" segment of the image starting at a given SOI
+     * @param {Uint8Array} data
+     * @param {number} imageStart
+     * @returns {{offset: number, tiffStart: number, littleEndian: boolean}|null}
+     */
+    findMPFSegment(data, imageStart) {
+        for (const segment of this.readSegments(data, imageStart)) {
+            if (segment.marker !== this.APP2) continue;
+
+            const pos = segment.dataStart;
+            if (data[pos] === 0x4D && data[pos + 1] === 0x50 &&
+                data[pos + 2] === 0x46 && data[pos + 3] === 0x00) {
+                const tiffStart = pos + 4;
+
+                // TIFF header: "II" (little endian) or "MM" (big endian)
+                const littleEndian = data[tiffStart] === 0x49 && data[tiffStart + 1] === 0x49;
+                if (!littleEndian && !(data[tiffStart] === 0x4D && data[tiffStart + 1] === 0x4D)) {
+                    return null;
+                }
+
+                return { offset: segment.offset, tiffStart, littleEndian };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Read the JPS stereoscopic descriptor from the APP3 "_JPSJPS_" segment
+     * JPS files without a descriptor are cross-eyed side-by-side by convention.
+     * @param {Uint8Array} data - The JPS file data
+     * @returns {{layout: string|null, halfWidth: boolean, halfHeight: boolean}}
+     *          layout is null for mono or unsupported (interleaved/anaglyph) files
+     */
+    readJPSDescriptor(data) {
+        const result = { layout: 'sbs-cross', halfWidth: false, halfHeight: false };
+        const signature = '_JPSJPS_';
+
+        for (const segment of this.readSegments(data, 0)) {
+            if (segment.marker !== this.APP3) continue;
+
+            let pos = segment.dataStart;
+            let matches = true;
+            for (let i = 0; i < signature.length; i++) {
+                if (data[pos + i] !== signature.charCodeAt(i)) {
+                    matches = false;
                     break;
                 }
             }
+            if (!matches) continue;
+
+            // Skip signature and the 2-byte descriptor block length
+            pos += signature.length + 2;
+            if (pos + 4 > segment.dataEnd) break;
+
+            // Big-endian: separation, flags, layout, media type
+            const flags = data[pos + 1];
+            const layout = data[pos + 2];
+            const mediaType = data[pos + 3];
+
+            const leftFirst = (flags & 0x04) !== 0;
+            result.halfHeight = (flags & 0x01) !== 0;
+            result.halfWidth = (flags & 0x02) !== 0;
+
+            if (mediaType !== 1) {
+                result.layout = null;
+            } else if (layout === 0x02) {
+                result.layout = leftFirst ? 'sbs-parallel' : 'sbs-cross';
+            } else if (layout === 0x03) {
+                result.layout = leftFirst ? 'over-under' : 'under-over';
+            } else {
+                console.warn('Unsupported JPS layout:', layout);
+                result.layout = null;
+            }
+
+            console.log('JPS descriptor:', result);
+            break;
         }
 
-        return images;
+        return result;
+    }
+
+    /**
+     * Find a depth map embedded by a phone camera
+     * Checks, in order: Dynamic Depth / GContainer items appended after the
+     * image (Google Camera on Pixel), GDepth data in the XMP (older Google
+     * Camera lens blur) and Apple auxiliary disparity images in the MPF index
+     * (iPhone portrait JPEG exports). HEIC originals aren't supported - their
+     * disparity is a separate HEVC item that most browsers can't decode.
+     * @param {File|Blob|ArrayBuffer} input
+     * @returns {Promise<{blob: Blob, source: string, format: string,
+     *           near: number|null, far: number|null}|null>}
+     *          format is 'RangeInverse' (values linear in 1/distance, white = near)
+     *          or 'RangeLinear' (linear in distance, white = far)
+     */
+    async extractEmbeddedDepth(input) {
+        const buffer = input instanceof ArrayBuffer ? input : await input.arrayBuffer();
+        const data = new Uint8Array(buffer);
+        if (data[0] !== 0xFF || data[1] !== 0xD8) return null;
+
+        const xmp = this.readXMP(data, 0);
+
+        const depth = this.findDynamicDepth(data, xmp) ||
+            this.findGDepth(xmp) ||
+            this.findAppleDisparity(data);
+
+        if (depth) {
+            console.log(`Embedded depth found (${depth.source}, ${depth.format})`);
+        }
+        return depth;
+    }
+
+    /**
+     * Read the XMP packet of the image at a given SOI, joining extended XMP
+     * @returns {{main: string, extended: string}} Empty strings when absent
+     */
+    readXMP(data, imageStart) {
+        const decoder = new TextDecoder();
+        const matches = (pos, signature) => {
+            for (let i = 0; i < signature.length; i++) {
+                if (data[pos + i] !== signature.charCodeAt(i)) return false;
+            }
+            return true;
+        };
+
+        let main = '';
+        const extendedChunks = [];
+        let extendedLength = 0;
+
+        for (const segment of this.readSegments(data, imageStart)) {
+            if (segment.marker !== this.APP1) continue;
+
+            const pos = segment.dataStart;
+            if (matches(pos, this.XMP_SIGNATURE)) {
+                main = decoder.decode(data.subarray(pos + this.XMP_SIGNATURE.length, segment.dataEnd));
+            } else if (matches(pos, this.XMP_EXTENSION_SIGNATURE)) {
+                // 32-byte GUID, full length, offset of this chunk, then the chunk
+                const header = pos + this.XMP_EXTENSION_SIGNATURE.length + 32;
+                const view = new DataView(data.buffer, data.byteOffset + header, 8);
+                extendedLength = view.getUint32(0);
+                extendedChunks.push({
+                    offset: view.getUint32(4),
+                    bytes: data.subarray(header + 8, segment.dataEnd)
+                });
+            }
+        }
+
+        let extended = '';
+        if (extendedChunks.length) {
+            const joined = new Uint8Array(extendedLength);
+            for (const chunk of extendedChunks) {
+                joined.set(chunk.bytes.subarray(0, Math.max(0, extendedLength - chunk.offset)), chunk.offset);
+            }
+            extended = decoder.decode(joined);
+        }
+
+        return { main, extended };
+    }
+
+    /**
+     * Read an XMP property written either as an attribute or an element
+     * @param {string} xmp
+     * @param {string} name - Prefixed name, e.g. 'GDepth:Near'
+     * @returns {string|null}
+     */
+    readXMPValue(xmp, name) {
+        const match = xmp.match(new RegExp(`${name}="([^"]*)"`)) ||
+            xmp.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+        return match ? match[1].trim() : null;
+    }
+
+    /**
+     * Dynamic Depth / GContainer: items appended to the file after the primary
+     * image, listed in order with their lengths in the XMP
+     */
+    findDynamicDepth(data, xmp) {
+        const text = xmp.main + xmp.extended;
+
+        const items = [];
+        for (const match of text.matchAll(/<(?:\w+:)?Item\b([^>]*)>/g)) {
+            const attributes = match[1];
+            const read = (name) => {
+                const value = attributes.match(new RegExp(`Item:${name}="([^"]*)"`));
+                return value ? value[1] : null;
+            };
+            if (!read('Mime')) continue;
+
+            items.push({
+                mime: read('Mime'),
+                semantic: read('Semantic'),
+                dataURI: read('DataURI'),
+                length: parseInt(read('Length') || '0', 10),
+                padding: parseInt(read('Padding') || '0', 10)
+            });
+        }
+
+        const depthURI = this.readXMPValue(text, 'DepthMap:DepthURI');
+        const index = items.findIndex(item =>
+            item.semantic === 'Depth' || (depthURI && item.dataURI === depthURI));
+        if (index <= 0 || !items[index].length) return null;
+
+        // Items follow the primary image back to back, so the depth image can be
+        // found from the end of the primary or from the end of the file
+        const item = items[index];
+        const primary = this.scanNextJPEG(data, 0).boundary;
+        const candidates = [];
+        if (primary) {
+            let pos = primary.end + items[0].padding;
+            for (let i = 1; i < index; i++) pos += items[i].length + items[i].padding;
+            candidates.push(pos);
+        }
+        let fromEnd = data.length;
+        for (let i = items.length - 1; i >= index; i--) fromEnd -= items[i].length + items[i].padding;
+        candidates.push(fromEnd, fromEnd + item.padding);
+
+        const start = candidates.find(pos => pos >= 0 && this.isImageStart(data, pos));
+        if (start === undefined) {
+            console.warn('Dynamic Depth item listed but not found in the file');
+            return null;
+        }
+
+        const near = parseFloat(this.readXMPValue(text, 'DepthMap:Near'));
+        const far = parseFloat(this.readXMPValue(text, 'DepthMap:Far'));
+
+        return {
+            blob: new Blob([data.subarray(start, start + item.length)], { type: item.mime }),
+            source: 'dynamic-depth',
+            format: this.readXMPValue(text, 'DepthMap:Format') || 'RangeInverse',
+            near: isNaN(near) ? null : near,
+            far: isNaN(far) ? null : far
+        };
+    }
+
+    /**
+     * GDepth: a base64 depth image in the (usually extended) XMP
+     */
+    findGDepth(xmp) {
+        const text = xmp.main + xmp.extended;
+        const encoded = this.readXMPValue(text, 'GDepth:Data');
+        if (!encoded) return null;
+
+        const binary = atob(encoded.replace(/\s/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        const near = parseFloat(this.readXMPValue(text, 'GDepth:Near'));
+        const far = parseFloat(this.readXMPValue(text, 'GDepth:Far'));
+
+        return {
+            blob: new Blob([bytes], { type: this.readXMPValue(text, 'GDepth:Mime') || 'image/png' }),
+            source: 'gdepth',
+            format: this.readXMPValue(text, 'GDepth:Format') || 'RangeInverse',
+            near: isNaN(near) ? null : near,
+            far: isNaN(far) ? null : far
+        };
+    }
+
+    /**
+     * Apple: an extra MPF image whose XMP uses the depthData namespace.
+     * It holds disparity (white = near) with no distance range.
+     */
+    findAppleDisparity(data) {
+        for (const entry of this.parseMPFIndex(data)) {
+            if (entry.index === 0) continue;
+
+            const xmp = this.readXMP(data, entry.start);
+            if (!xmp.main.includes(this.APPLE_DEPTH_NAMESPACE)) continue;
+
+            return {
+                blob: new Blob([data.subarray(entry.start, entry.end)], { type: 'image/jpeg' }),
+                source: 'apple-disparity',
+                format: 'RangeInverse',
+                near: null,
+                far: null
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check for a JPEG or PNG signature at a position
+     */
+    isImageStart(data, pos) {
+        const jpeg = data[pos] === 0xFF && data[pos + 1] === 0xD8 && data[pos + 2] === 0xFF;
+        const png = data[pos] === 0x89 && data[pos + 1] === 0x50 && data[pos + 2] === 0x4E && data[pos + 3] === 0x47;
+        return jpeg || png;
+    }
+
+    /**
+     * Read a TIFF-style IFD
+     * @param {DataView} view
+     * @param {number} tiffStart - Absolute position of the TIFF header
+     * @param {number} ifdOffset - IFD offset relative to the TIFF header
+     * @param {boolean} littleEndian
+     * @returns {{tags: Map<number, {type: number, count: number, valueOffset: number}>, nextIFD: number}|null}
+     */
+    readIFD(view, tiffStart, ifdOffset, littleEndian) {
+        const pos = tiffStart + ifdOffset;
+        if (ifdOffset === 0 || pos + 2 > view.byteLength) return null;
+
+        const count = view.getUint16(pos, littleEndian);
+        if (pos + 2 + count * 12 + 4 > view.byteLength) return null;
+
+        // Byte sizes of TIFF field types
+        const typeSizes = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+        const tags = new Map();
+
+        for (let i = 0; i < count; i++) {
+            const entry = pos + 2 + i * 12;
+            const tag = view.getUint16(entry, littleEndian);
+            const type = view.getUint16(entry + 2, littleEndian);
+            const valueCount = view.getUint32(entry + 4, littleEndian);
+            const byteLength = (typeSizes[type] || 1) * valueCount;
+
+            // Values of 4 bytes or less are stored inline
+            const valueOffset = byteLength <= 4
+                ? entry + 8
+                : tiffStart + view.getUint32(entry + 8, littleEndian);
+
+            if (valueOffset + byteLength > view.byteLength) continue;
+
+            tags.set(tag, { type, count: valueCount, valueOffset });
+        }
+
+        return {
+            tags,
+            nextIFD: view.getUint32(pos + 2 + count * 12, littleEndian)
+        };
+    }
+
+    /**
+     * Decode the value of an IFD entry
+     * Rationals are returned as numbers, ASCII as a string, and multi-value
+     * fields as arrays. UNDEFINED fields come back as raw bytes.
+     * @param {DataView} view
+     * @param {{type: number, count: number, valueOffset: number}} tag
+     * @param {boolean} littleEndian
+     * @returns {number|string|number[]|Uint8Array}
+     */
+    readTagValue(view, tag, littleEndian) {
+        const { type, count, valueOffset } = tag;
+
+        if (type === 2) {
+            // ASCII - NUL terminated
+            let str = '';
+            for (let i = 0; i < count; i++) {
+                const c = view.getUint8(valueOffset + i);
+                if (c === 0) break;
+                str += String.fromCharCode(c);
+            }
+            return str.trim();
+        }
+
+        if (type === 7) {
+            return new Uint8Array(view.buffer, view.byteOffset + valueOffset, count);
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            switch (type) {
+                case 1: values.push(view.getUint8(valueOffset + i)); break;
+                case 3: values.push(view.getUint16(valueOffset + i * 2, littleEndian)); break;
+                case 4: values.push(view.getUint32(valueOffset + i * 4, littleEndian)); break;
+                case 9: values.push(view.getInt32(valueOffset + i * 4, littleEndian)); break;
+                case 5: {
+                    const num = view.getUint32(valueOffset + i * 8, littleEndian);
+                    const den = view.getUint32(valueOffset + i * 8 + 4, littleEndian);
+                    values.push(den ? num / den : 0);
+                    break;
+                }
+                case 10: {
+                    const num = view.getInt32(valueOffset + i * 8, littleEndian);
+                    const den = view.getInt32(valueOffset + i * 8 + 4, littleEndian);
+                    values.push(den ? num / den : 0);
+                    break;
+                }
+                default: values.push(view.getUint8(valueOffset + i));
+            }
+        }
+
+        return count === 1 ? values[0] : values;
+    }
+
+    /**
+     * Read the EXIF tags we need from the image's APP1 segment
+     * @param {Uint8Array} data
+     * @param {number} imageStart - Position of the image's SOI marker
+     * @returns {Object} Tag values keyed by name (empty if there's no EXIF)
+     */
+    readExif(data, imageStart) {
+        const exif = {};
+
+        for (const segment of this.readSegments(data, imageStart)) {
+            if (segment.marker !== this.APP1) continue;
+
+            // "Exif\0\0" signature
+            const pos = segment.dataStart;
+            if (data[pos] !== 0x45 || data[pos + 1] !== 0x78 || data[pos + 2] !== 0x69 ||
+                data[pos + 3] !== 0x66 || data[pos + 4] !== 0x00) {
+                continue;
+            }
+
+            const tiffStart = pos + 6;
+            const littleEndian = data[tiffStart] === 0x49;
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+            // IFD0 holds make/model, the EXIF sub-IFD holds the optics
+            let ifdOffset = view.getUint32(tiffStart + 4, littleEndian);
+            const visited = new Set();
+
+            while (ifdOffset && !visited.has(ifdOffset)) {
+                visited.add(ifdOffset);
+
+                const ifd = this.readIFD(view, tiffStart, ifdOffset, littleEndian);
+                if (!ifd) break;
+
+                for (const [tag, entry] of ifd.tags) {
+                    const name = this.EXIF_TAGS[tag];
+                    if (name && exif[name] === undefined) {
+                        exif[name] = this.readTagValue(view, entry, littleEndian);
+                    }
+                }
+
+                // Follow the EXIF pointer once, then stop (IFD1 is the thumbnail)
+                ifdOffset = exif.exifIFDPointer && !visited.has(exif.exifIFDPointer)
+                    ? exif.exifIFDPointer
+                    : 0;
+            }
+
+            delete exif.exifIFDPointer;
+            break;
+        }
+
+        return exif;
+    }
+
+    /**
+     * Read an MP Attribute IFD into a plain object
+     * Unknown values (0xFFFFFFFF rationals) are left out
+     * @param {DataView} view
+     * @param {number} tiffStart
+     * @param {number} ifdOffset
+     * @param {boolean} littleEndian
+     * @returns {Object}
+     */
+    readMPAttributes(view, tiffStart, ifdOffset, littleEndian) {
+        const attributes = {};
+        const ifd = this.readIFD(view, tiffStart, ifdOffset, littleEndian);
+        if (!ifd) return attributes;
+
+        for (const [tag, entry] of ifd.tags) {
+            const name = this.MP_ATTRIBUTE_TAGS[tag];
+            if (!name) continue;
+
+            // 0xFFFFFFFF numerators mark a value the camera didn't record
+            if ((entry.type === 5 || entry.type === 10) &&
+                view.getUint32(entry.valueOffset, littleEndian) === 0xFFFFFFFF) {
+                continue;
+            }
+
+            let value = this.readTagValue(view, entry, littleEndian);
+            if (name === 'mpfVersion') {
+                value = String.fromCharCode(...value);
+            }
+            attributes[name] = value;
+        }
+
+        return attributes;
     }
 
     /**
      * Load and parse an MPO file from a File object
+     * The file is read in chunks so progress can be reported and the read cancelled
      * @param {File} file 
+     * @param {Object} options - See parseStream
      * @returns {Promise<Array<{blob: Blob, url: string}>>}
      */
-    async parseFile(file) {
-        const buffer = await file.arrayBuffer();
-        return this.parse(buffer);
+    async parseFile(file, options = {}) {
+        if (typeof file.stream !== 'function') {
+            const buffer = await file.arrayBuffer();
+            return this.parse(buffer, options);
+        }
+
+        return this.parseStream(file.stream(), { ...options, totalSize: file.size });
     }
 
     /**
      * Load and parse an MPO file from a URL
      * @param {string} url 
+     * @param {Object} options - See parseStream
      * @returns {Promise<Array<{blob: Blob, url: string}>>}
      */
-    async parseURL(url) {
-        const response = await fetch(url);
-        const buffer = await response.arrayBuffer();
-        return this.parse(buffer);
+    async parseURL(url, options = {}) {
+        const response = await fetch(url, { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status}`);
+        }
+
+        if (!response.body) {
+            const buffer = await response.arrayBuffer();
+            return this.parse(buffer, options);
+        }
+
+        const totalSize = parseInt(response.headers.get('Content-Length')) || 0;
+        return this.parseStream(response.body, { ...options, totalSize });
+    }
+
+    /**
+     * Read an MPO file from a ReadableStream, then parse it
+     * @param {ReadableStream<Uint8Array>} stream
+     * @param {Object} options
+     * @param {number} [options.totalSize] - Expected byte length, for progress and preallocation
+     * @param {Function} [options.onProgress] - Called with {stage: 'reading'|'scanning', progress: 0-1}
+     * @param {AbortSignal} [options.signal] - Cancels the read/parse with an AbortError
+     * @returns {Promise<Array<{blob: Blob, url: string}>>}
+     */
+    async parseStream(stream, options = {}) {
+        const { totalSize = 0, onProgress = null, signal = null } = options;
+        const reader = stream.getReader();
+
+        // Preallocate when the size is known, otherwise collect chunks
+        let data = totalSize ? new Uint8Array(totalSize) : null;
+        const chunks = [];
+        let loaded = 0;
+
+        try {
+            while (true) {
+                this.throwIfAborted(signal);
+
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                if (data && loaded + value.length <= data.length) {
+                    data.set(value, loaded);
+                } else {
+                    // Size was unknown or wrong - fall back to collecting chunks
+                    if (data) {
+                        chunks.push(data.subarray(0, loaded));
+                        data = null;
+                    }
+                    chunks.push(value);
+                }
+                loaded += value.length;
+
+                if (onProgress && totalSize) {
+                    onProgress({ stage: 'reading', progress: Math.min(1, loaded / totalSize) });
+                }
+            }
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            throw error;
+        }
+
+        if (!data) {
+            data = new Uint8Array(loaded);
+            let offset = 0;
+            for (const chunk of chunks) {
+                data.set(chunk, offset);
+                offset += chunk.length;
+            }
+        }
+
+        const buffer = data.buffer.byteLength === loaded
+            ? data.buffer
+            : data.buffer.slice(0, loaded);
+
+        return this.parse(buffer, { onProgress, signal });
+    }
+
+    /**
+     * Throw an AbortError if the signal has fired
+     * @param {AbortSignal|null} signal
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('MPO parsing cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * Give the browser a chance to render and handle input
+     * @returns {Promise<void>}
+     */
+    yieldToMain() {
+        return new Promise(resolve => setTimeout(resolve, 0));
     }
 
     /**
@@ -228,6 +1095,122 @@ class MPOParser {
         return images;
     }
 
+    /**
+     * Find left/right pairs among separately dropped image files
+     * Matches L/R markers in the name (IMG_L.jpg / IMG_R.jpg, left_1.jpg /
+     * right_1.jpg, photo-left.png / photo-right.png). Sequentially numbered
+     * files (DSC_0041.jpg / DSC_0042.jpg) are only paired when they are the
+     * only two files, since a batch of ordinary photos is numbered the same way.
+     * @param {File[]} files - Image files
+     * @returns {Array<File[]>} Pairs as [left, right]
+     */
+    pairFilesByName(files) {
+        const pairs = [];
+        const groups = new Map();
+
+        const splitName = (name) => {
+            const dot = name.lastIndexOf('.');
+            return {
+                stem: dot > 0 ? name.slice(0, dot) : name,
+                ext: dot > 0 ? name.slice(dot + 1).toLowerCase() : ''
+            };
+        };
+
+        for (const file of files) {
+            const { stem, ext } = splitName(file.name);
+
+            // Marker as a suffix (IMG_L, photoLeft) or a prefix (R_IMG, left_IMG).
+            // Single letters need a separator so "bowl" isn't a left image.
+            let base, marker;
+            const suffix = stem.match(/^(.*?)(?:[-_ .]([lr])|[-_ .]?(left|right))$/i);
+            const prefix = stem.match(/^(?:([lr])[-_ .]|(left|right)[-_ .]?)(.+)$/i);
+
+            if (suffix) {
+                base = suffix[1];
+                marker = suffix[2] || suffix[3];
+            } else if (prefix) {
+                base = prefix[3];
+                marker = prefix[1] || prefix[2];
+            } else {
+                continue;
+            }
+
+            const side = marker.toLowerCase()[0];
+            const key = `${base.toLowerCase()}|${ext}`;
+
+            if (!groups.has(key)) groups.set(key, {});
+            groups.get(key)[side] = file;
+        }
+
+        for (const group of groups.values()) {
+            if (group.l && group.r) {
+                pairs.push([group.l, group.r]);
+            }
+        }
+
+        if (pairs.length === 0 && files.length === 2) {
+            const [a, b] = files
+                .map(file => ({ file, ...splitName(file.name) }))
+                .sort((x, y) => x.stem.localeCompare(y.stem, undefined, { numeric: true }));
+            const numA = a.stem.match(/^(.*?)(\d+)$/);
+            const numB = b.stem.match(/^(.*?)(\d+)$/);
+
+            if (numA && numB && numA[1] === numB[1] && a.ext === b.ext &&
+                parseInt(numB[2], 10) === parseInt(numA[2], 10) + 1) {
+                pairs.push([a.file, b.file]);
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Pair files two at a time in name order, for an explicit "pair these" action
+     * @param {File[]} files
+     * @returns {Array<File[]>} Pairs as [left, right]; an odd file out is left unpaired
+     */
+    pairFilesInOrder(files) {
+        const sorted = [...files].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        const pairs = [];
+
+        for (let i = 0; i + 1 < sorted.length; i += 2) {
+            pairs.push([sorted[i], sorted[i + 1]]);
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Find color images dropped together with a precomputed depth map
+     * The depth file is named after the color image with a depth marker
+     * (photo.jpg + photo_depth.png, IMG_1.jpg + IMG_1-depthmap.png,
+     * shot.png + shot.disparity.png).
+     * @param {File[]} files - Image files
+     * @returns {Array<{color: File, depth: File}>}
+     */
+    pairDepthFiles(files) {
+        const stem = (name) => {
+            const dot = name.lastIndexOf('.');
+            return (dot > 0 ? name.slice(0, dot) : name).toLowerCase();
+        };
+
+        const byStem = new Map();
+        for (const file of files) {
+            byStem.set(stem(file.name), file);
+        }
+
+        const pairs = [];
+        for (const file of files) {
+            const match = stem(file.name).match(/^(.+?)[-_ .](depth|depthmap|depth_map|disparity)$/);
+            const color = match && byStem.get(match[1]);
+            if (color && color !== file) {
+                pairs.push({ color, depth: file });
+            }
+        }
+
+        return pairs;
+    }
+
     /**
      * Clean up object URLs to prevent memory leaks
      * @param {Array<{url: string}>} images 
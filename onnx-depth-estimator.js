@@ -0,0 +1,159 @@
+/**
+ * ONNX Depth Estimator
+ * Runs a small monocular depth network (MiDaS-small, Depth-Anything-small)
+ * with onnxruntime-web on the WASM/CPU backend, for DepthProcessor.setDepthEstimator
+ */
+
+class OnnxDepthEstimator {
+    /**
+     * @param {Object} options
+     * @param {string} options.modelURL - Local URL of the .onnx model
+     * @param {string} [options.runtimeURL] - Local URL of onnxruntime-web's ort.min.js;
+     *        its .wasm files are expected next to it
+     * @param {number} [options.inputSize] - Square input the model was exported for
+     * @param {string} [options.name] - Shown in logs and the UI
+     */
+    constructor(options = {}) {
+        const {
+            modelURL,
+            runtimeURL = 'vendor/onnxruntime-web/ort.min.js',
+            inputSize = 256,    // MiDaS-small: 256, Depth-Anything-small: 518
+            mean = [0.485, 0.456, 0.406],   // ImageNet normalization
+            std = [0.229, 0.224, 0.225],
+            name = 'MiDaS'
+        } = options;
+
+        this.modelURL = modelURL;
+        this.runtimeURL = runtimeURL;
+        this.inputSize = inputSize;
+        this.mean = mean;
+        this.std = std;
+        this.name = name;
+
+        this.session = null;
+        this.loading = null;
+
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    /**
+     * Check that the model file is being served, without downloading it
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable() {
+        if (!this.modelURL) return false;
+
+        try {
+            const response = await fetch(this.modelURL, { method: 'HEAD' });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Load the runtime and create the inference session (once)
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                await this.loadRuntime();
+
+                // Keep the .wasm binaries local too, so it works offline
+                ort.env.wasm.wasmPaths = new URL('./', new URL(this.runtimeURL, location.href)).href;
+
+                this.session = await ort.InferenceSession.create(this.modelURL, {
+                    executionProviders: ['wasm'],
+                    graphOptimizationLevel: 'all'
+                });
+
+                console.log(`${this.name} depth model loaded:`, this.session.inputNames, '→', this.session.outputNames);
+            })().catch(error => {
+                // Let a later call try again
+                this.loading = null;
+                throw error;
+            });
+        }
+
+        return this.loading;
+    }
+
+    /**
+     * Add the onnxruntime-web script to the page unless it's already there
+     * @returns {Promise<void>}
+     */
+    loadRuntime() {
+        if (window.ort) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.runtimeURL;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Could not load onnxruntime-web from ${this.runtimeURL}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Estimate relative depth for an image
+     * @param {HTMLImageElement|HTMLCanvasElement} img
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] - Checked around inference, which can't be interrupted
+     * @returns {Promise<{depth: Float32Array, width: number, height: number}>}
+     *          Relative inverse depth at the model's output size - larger is closer
+     */
+    async estimate(img, options = {}) {
+        const { signal = null } = options;
+
+        await this.load();
+        this.throwIfAborted(signal);
+
+        const input = this.preprocess(img);
+        const results = await this.session.run({ [this.session.inputNames[0]]: input });
+        this.throwIfAborted(signal);
+
+        // Output is [1, H, W] or [1, 1, H, W]
+        const output = results[this.session.outputNames[0]];
+        const height = output.dims[output.dims.length - 2];
+        const width = output.dims[output.dims.length - 1];
+
+        return { depth: Float32Array.from(output.data), width, height };
+    }
+
+    /**
+     * Resize to the model input and convert to a normalized NCHW tensor
+     * @returns {ort.Tensor}
+     */
+    preprocess(img) {
+        const size = this.inputSize;
+        this.canvas.width = size;
+        this.canvas.height = size;
+        this.ctx.drawImage(img, 0, 0, size, size);
+
+        const data = this.ctx.getImageData(0, 0, size, size).data;
+        const plane = size * size;
+        const tensor = new Float32Array(plane * 3);
+
+        for (let i = 0; i < plane; i++) {
+            for (let c = 0; c < 3; c++) {
+                tensor[c * plane + i] = (data[i * 4 + c] / 255 - this.mean[c]) / this.std[c];
+            }
+        }
+
+        return new ort.Tensor('float32', tensor, [1, 3, size, size]);
+    }
+
+    /**
+     * Throw an AbortError if the signal has fired
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Depth estimation cancelled', 'AbortError');
+        }
+    }
+}
+
+// Export for use
+window.OnnxDepthEstimator = OnnxDepthEstimator;
@@ -0,0 +1,197 @@
+/**
+ * Splat Builder
+ * Turns an image with a depth map into 3D splats, by back-projecting each
+ * pixel through a pinhole camera - so stereo photos can become splats
+ * without ML Sharp
+ */
+
+class SplatBuilder {
+    constructor(depthProcessor) {
+        // For EXIF focal lengths
+        this.depthProcessor = depthProcessor;
+
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        // Horizontal field of view assumed without EXIF - about a phone's main camera
+        this.defaultFieldOfView = 65;
+
+        // Distances assumed when the depth map is only relative (single images,
+        // imported maps), in arbitrary units. Depth maps are linear in
+        // 1/distance, so this ratio sets how deep the scene is.
+        this.assumedNear = 1;
+        this.assumedFar = 4;
+
+        // Stereo disparities near zero would put points at infinity - nothing
+        // is placed farther than this many times the nearest point
+        this.maxDepthRatio = 50;
+
+        // Splat size relative to the spacing of the samples: enough overlap
+        // to close gaps, and thin along the view ray
+        this.splatSpread = 0.6;
+        this.splatThickness = 0.1;
+    }
+
+    /**
+     * Back-project a WiggleViewer image set
+     * The camera sits at the origin looking down -z (three.js axes, as
+     * SplatLoader returns splats), so the splats line up with the photo
+     * when viewed from there. Depth edits are included; the per-image depth
+     * curve is for display and isn't.
+     * @param {Object} set - From WiggleViewer (colorTexture, depthTexture, metadata...)
+     * @param {Object} options
+     * @param {number} [options.maxSplats] - The image is sampled on a coarser grid above this
+     * @param {boolean} [options.skipMismatches] - Leave out pixels that failed the
+     *        stereo left/right check, when there's a validity mask
+     * @returns {{splats: Object, focalLength: number, focalSource: string, depthSource: string}}
+     *          splats as from SplatLoader; focalSource is 'exif' or 'assumed',
+     *          depthSource 'stereo' (metric, from the baseline) or 'assumed'
+     */
+    build(set, options = {}) {
+        const { maxSplats = 1000000, skipMismatches = true } = options;
+        const { width, height, metadata } = set;
+
+        // Sample grid - one splat per step x step pixels
+        const step = Math.max(1, Math.ceil(Math.sqrt(width * height / maxSplats)));
+        const columns = Math.floor(width / step);
+        const rows = Math.floor(height / step);
+
+        const exifFocal = this.depthProcessor.getFocalLengthPixels(metadata, width);
+        const focalLength = exifFocal ||
+            width / 2 / Math.tan(THREE.MathUtils.degToRad(this.defaultFieldOfView) / 2);
+        const { toDistance, metric } = this.createDistanceFunction(set, focalLength, !!exifFocal);
+
+        // Color averaged over each cell; depth and validity sampled at its
+        // middle, so depth edges don't blend into points floating between
+        const colors = this.readPixels(set.colorTexture.image, columns, rows);
+        const depth = this.readPixels(set.depthTexture.image);
+        const validity = skipMismatches && set.validityTexture
+            ? this.readPixels(set.validityTexture.image)
+            : null;
+
+        const splats = {
+            count: 0,
+            positions: new Float32Array(columns * rows * 3),
+            scales: new Float32Array(columns * rows * 3),
+            rotations: new Float32Array(columns * rows * 4),
+            colors: new Uint8Array(columns * rows * 4),
+            shDegree: 0,
+            sh: null
+        };
+
+        const cx = width / 2;
+        const cy = height / 2;
+        let count = 0;
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const u = (column + 0.5) / columns;
+                const v = (row + 0.5) / rows;
+
+                if (validity && this.samplePixel(validity, u, v) === 0) continue;
+
+                const distance = toDistance(this.samplePixel(depth, u, v) / 255);
+                const x = u * width;
+                const y = v * height;
+
+                // Pinhole back-projection, then y up and z toward the camera
+                const p = count * 3;
+                splats.positions[p] = (x - cx) / focalLength * distance;
+                splats.positions[p + 1] = -(y - cy) / focalLength * distance;
+                splats.positions[p + 2] = -distance;
+
+                // A sample covers step pixels, which is this wide at its distance
+                const footprint = distance * step / focalLength;
+                splats.scales[p] = footprint * this.splatSpread;
+                splats.scales[p + 1] = footprint * this.splatSpread;
+                splats.scales[p + 2] = footprint * this.splatThickness;
+
+                const c = count * 4;
+                const pixel = (row * columns + column) * 4;
+                splats.rotations[c] = 1;
+                splats.colors[c] = colors.data[pixel];
+                splats.colors[c + 1] = colors.data[pixel + 1];
+                splats.colors[c + 2] = colors.data[pixel + 2];
+                splats.colors[c + 3] = 255;
+
+                count++;
+            }
+        }
+
+        splats.count = count;
+        splats.positions = splats.positions.subarray(0, count * 3);
+        splats.scales = splats.scales.subarray(0, count * 3);
+        splats.rotations = splats.rotations.subarray(0, count * 4);
+        splats.colors = splats.colors.subarray(0, count * 4);
+
+        const depthSource = metric ? 'stereo' : 'assumed';
+        console.log(`Built ${count.toLocaleString()} splats (f=${focalLength.toFixed(0)}px ` +
+            `${exifFocal ? 'from EXIF' : 'assumed'}, ${depthSource} depth, step ${step}px)`);
+
+        return { splats, focalLength, focalSource: exifFocal ? 'exif' : 'assumed', depthSource };
+    }
+
+    /**
+     * Make the function from a 0-1 depth value (1 nearest) to distance
+     * Stereo depth is disparity, so with the camera baseline and a real
+     * focal length it gives distances in meters (Z = f B / d). Anything else
+     * is spread between the assumed near and far distances.
+     * @returns {{toDistance: function(number): number, metric: boolean}}
+     */
+    createDistanceFunction(set, focalLength, hasExifFocal) {
+        const range = set.depthRange;
+        const baseline = set.metadata && set.metadata.baselineLength;
+
+        if (range && range.unit === 'px' && baseline > 0 && hasExifFocal) {
+            // Converged cameras have zero disparity at the convergence distance
+            let offset = 0;
+            const angle = set.metadata.convergenceAngle;
+            if (angle > 0) {
+                const convergenceDistance = baseline / (2 * Math.tan((angle * Math.PI / 180) / 2));
+                offset = focalLength * baseline / convergenceDistance;
+            }
+
+            const nearest = Math.max(range.near + offset, 1e-3);
+            const minDisparity = nearest / this.maxDepthRatio;
+
+            return {
+                toDistance: (value) => {
+                    const disparity = range.far + value * (range.near - range.far) + offset;
+                    return focalLength * baseline / Math.max(disparity, minDisparity);
+                },
+                metric: true
+            };
+        }
+
+        const nearInverse = 1 / this.assumedNear;
+        const farInverse = 1 / this.assumedFar;
+        return {
+            toDistance: (value) => 1 / (farInverse + value * (nearInverse - farInverse)),
+            metric: false
+        };
+    }
+
+    /**
+     * Draw an image to the work canvas and read its pixels, optionally resized
+     * @returns {ImageData}
+     */
+    readPixels(image, width = image.width, height = image.height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.imageSmoothingQuality = 'high';
+        this.ctx.drawImage(image, 0, 0, width, height);
+        return this.ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * Red channel of the pixel nearest a 0-1 position (top-left origin)
+     */
+    samplePixel(imageData, u, v) {
+        const x = Math.min(imageData.width - 1, Math.floor(u * imageData.width));
+        const y = Math.min(imageData.height - 1, Math.floor(v * imageData.height));
+        return imageData.data[(y * imageData.width + x) * 4];
+    }
+}
+
+// Export for use
+window.SplatBuilder = SplatBuilder;
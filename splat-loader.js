@@ -0,0 +1,833 @@
+/**
+ * Splat Loader
+ * Parses Gaussian splat files - 3DGS-style .ply (as written by ML Sharp's
+ * point_cloud.ply), antimatter15's .splat and our compact .csplat (see
+ * SplatWriter) - into flat arrays
+ */
+
+class SplatLoader {
+    constructor() {
+        // Bytes per splat in a .splat file: position (3 float32), scale
+        // (3 float32), color RGBA (4 uint8), rotation (4 uint8)
+        this.SPLAT_ROW_LENGTH = 32;
+
+        // Zeroth-order spherical harmonic, to turn f_dc_* into a color
+        this.SH_C0 = 0.28209479177387814;
+
+        // Compact .csplat files - layout in SplatWriter.writeCompact
+        this.COMPACT_MAGIC = 'CSPL';
+        this.COMPACT_VERSION = 1;
+        this.COMPACT_HEADER_LENGTH = 48;
+
+        // Byte sizes of PLY property types
+        this.PLY_TYPES = {
+            char: 1, uchar: 1, int8: 1, uint8: 1,
+            short: 2, ushort: 2, int16: 2, uint16: 2,
+            int: 4, uint: 4, int32: 4, uint32: 4,
+            float: 4, float32: 4,
+            double: 8, float64: 8
+        };
+
+        // The PLY header is ASCII and ends with this line, within the first few KB
+        this.PLY_HEADER_END = 'end_header\n';
+        this.MAX_PLY_HEADER_LENGTH = 65536;
+
+        // Milliseconds between onChunk calls while streaming, so each batch
+        // of splats is big enough to be worth uploading
+        this.chunkInterval = 250;
+    }
+
+    /**
+     * Load a splat file
+     * All formats come from 3DGS, which uses OpenCV camera axes (y down,
+     * z forward). Splats are turned 180° about x into three.js axes (y up,
+     * camera looking down -z).
+     * @param {File|Blob} file - .ply, .splat or .csplat
+     * @param {Object} options
+     * @param {number} [options.shDegree] - Highest spherical harmonic degree to keep
+     *        (0-3). The viewer only uses the base color, so the default 0 skips the rest.
+     * @returns {Promise<{count: number, positions: Float32Array, scales: Float32Array,
+     *           rotations: Float32Array, colors: Uint8Array, shDegree: number,
+     *           sh: Float32Array|null}>} Per splat: xyz, scale xyz, rotation
+     *          quaternion wxyz, RGBA with opacity in A, and the higher-order
+     *          SH coefficients as 3DGS stores them (all red, then green, then
+     *          blue; left in the file's axes)
+     */
+    async load(file, options = {}) {
+        const buffer = await file.arrayBuffer();
+        return this.parse(buffer, file.name, options);
+    }
+
+    /**
+     * Load a splat file from a File, reading it in chunks
+     * @param {File|Blob} file
+     * @param {Object} options - See loadStream
+     * @returns {Promise<Object>} Same as load
+     */
+    async loadFile(file, options = {}) {
+        if (typeof file.stream !== 'function') {
+            return this.load(file, options);
+        }
+
+        return this.loadStream(file.stream(), { ...options, totalSize: file.size, name: file.name });
+    }
+
+    /**
+     * Load a splat file from a URL, reading it in chunks
+     * @param {string} url
+     * @param {Object} options - See loadStream
+     * @returns {Promise<Object>} Same as load
+     */
+    async loadURL(url, options = {}) {
+        const response = await fetch(url, { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status}`);
+        }
+
+        const name = url.split(/[?#]/)[0].split('/').pop();
+        if (!response.body) {
+            const buffer = await response.arrayBuffer();
+            return this.parse(buffer, name, options);
+        }
+
+        const totalSize = parseInt(response.headers.get('Content-Length')) || 0;
+        return this.loadStream(response.body, { ...options, totalSize, name });
+    }
+
+    /**
+     * Read a splat file from a ReadableStream, parsing whole splats as they
+     * arrive so they can be shown before the rest of the file is in
+     * @param {ReadableStream<Uint8Array>} stream
+     * @param {Object} options
+     * @param {number} [options.totalSize] - Expected byte length, for progress and preallocation
+     * @param {string} [options.name] - File name, for format detection
+     * @param {number} [options.shDegree] - See load
+     * @param {Function} [options.onProgress] - Called with {stage: 'reading', progress: 0-1}
+     * @param {Function} [options.onChunk] - Called with {splats, start, end, total} as splats
+     *        arrive: splats start to end are new, total is the expected count (null if unknown).
+     *        The arrays in splats may be replaced by bigger ones between calls.
+     * @param {AbortSignal} [options.signal] - Cancels the read with an AbortError
+     * @returns {Promise<Object>} Same as load
+     */
+    async loadStream(stream, options = {}) {
+        const {
+            totalSize = 0,
+            name = '',
+            shDegree = 0,
+            onProgress = null,
+            onChunk = null,
+            signal = null
+        } = options;
+        const reader = stream.getReader();
+
+        let state = null;
+        let pending = new Uint8Array(0);    // Header or partial splat bytes not parsed yet
+        let loaded = 0;
+        let reported = 0;                   // Splats already handed to onChunk
+        let lastReport = 0;
+
+        const report = (force) => {
+            if (!onChunk || !state || state.count === reported) return;
+
+            const now = performance.now();
+            if (!force && now - lastReport < this.chunkInterval) return;
+
+            onChunk({ splats: state.splats, start: reported, end: state.count, total: state.total || null });
+            reported = state.count;
+            lastReport = now;
+        };
+
+        try {
+            while (true) {
+                this.throwIfAborted(signal);
+
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                loaded += value.length;
+                pending = this.appendBytes(pending, value);
+
+                if (!state) {
+                    state = this.createStreamState(pending, { name, totalSize, shDegree }, false);
+                    if (!state) continue;
+                }
+                pending = pending.subarray(this.consumeStream(state, pending));
+
+                if (onProgress && totalSize) {
+                    onProgress({ stage: 'reading', progress: Math.min(1, loaded / totalSize) });
+                }
+                report(false);
+            }
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            throw error;
+        }
+
+        // Files shorter than one read never got past the header check
+        if (!state) {
+            state = this.createStreamState(pending, { name, totalSize: loaded, shDegree }, true);
+            this.consumeStream(state, pending);
+        }
+        report(true);
+
+        const splats = this.finishStream(state);
+        console.log(`Loaded ${splats.count.toLocaleString()} splats from ${name || 'splat stream'}`);
+        return splats;
+    }
+
+    /**
+     * Parse a whole splat file
+     * @param {ArrayBuffer} buffer
+     * @param {string} [name] - File name, for format detection
+     * @param {Object} [options] - See load
+     * @returns {Object} Same as load
+     */
+    parse(buffer, name = '', options = {}) {
+        const { shDegree = 0 } = options;
+        const format = this.detectFormat(new Uint8Array(buffer), name);
+
+        const splats = format === 'ply' ? this.parsePLY(buffer, shDegree)
+            : format === 'compact' ? this.parseCompact(buffer, shDegree)
+                : this.parseSplat(buffer);
+
+        this.toThreeAxes(splats);
+
+        console.log(`Loaded ${splats.count.toLocaleString()} splats from ${name || 'splat file'}`);
+        return splats;
+    }
+
+    /**
+     * Tell the formats apart by their magic, or the name for .ply
+     * .splat files have no magic, so they're whatever is left.
+     * @param {Uint8Array} head - The start of the file
+     * @returns {string} 'ply', 'compact' or 'splat'
+     */
+    detectFormat(head, name = '') {
+        const magic = String.fromCharCode(...head.subarray(0, 4));
+
+        if (magic === this.COMPACT_MAGIC) return 'compact';
+        if (magic === 'ply\n' || name.toLowerCase().endsWith('.ply')) return 'ply';
+        return 'splat';
+    }
+
+    /**
+     * Allocate the arrays for a number of splats
+     */
+    createSplats(count, shDegree = 0) {
+        return {
+            count,
+            positions: new Float32Array(count * 3),
+            scales: new Float32Array(count * 3),
+            rotations: new Float32Array(count * 4),
+            colors: new Uint8Array(count * 4),
+            shDegree,
+            sh: shDegree > 0 ? new Float32Array(count * 3 * this.getSHCoefficients(shDegree)) : null
+        };
+    }
+
+    /**
+     * Copy splats into bigger arrays
+     */
+    growSplats(splats, count) {
+        const grown = this.createSplats(count, splats.shDegree);
+        grown.positions.set(splats.positions);
+        grown.scales.set(splats.scales);
+        grown.rotations.set(splats.rotations);
+        grown.colors.set(splats.colors);
+        if (splats.sh) grown.sh.set(splats.sh);
+        return grown;
+    }
+
+    /**
+     * Higher-order spherical harmonic coefficients per color channel - all
+     * the bands up to a degree, less the base color
+     */
+    getSHCoefficients(degree) {
+        return (degree + 1) * (degree + 1) - 1;
+    }
+
+    /**
+     * Parse antimatter15's .splat format
+     */
+    parseSplat(buffer) {
+        const count = Math.floor(buffer.byteLength / this.SPLAT_ROW_LENGTH);
+        if (count === 0) {
+            throw new Error('Not a .splat file - too short');
+        }
+
+        const splats = this.createSplats(count);
+        this.readSplatRows(new DataView(buffer, 0, count * this.SPLAT_ROW_LENGTH), splats, 0, count);
+        return splats;
+    }
+
+    /**
+     * Read .splat rows into splats, from index start on
+     * @param {DataView} view - Whole rows, starting at the first one to read
+     */
+    readSplatRows(view, splats, start, rows) {
+        const { positions, scales, rotations, colors } = splats;
+
+        for (let i = 0; i < rows; i++) {
+            const row = i * this.SPLAT_ROW_LENGTH;
+            const p = (start + i) * 3;
+            const c = (start + i) * 4;
+
+            for (let j = 0; j < 3; j++) {
+                positions[p + j] = view.getFloat32(row + j * 4, true);
+                scales[p + j] = view.getFloat32(row + 12 + j * 4, true);
+            }
+
+            // Quaternion stored as (q + 1) * 128
+            for (let j = 0; j < 4; j++) {
+                colors[c + j] = view.getUint8(row + 24 + j);
+                rotations[c + j] = (view.getUint8(row + 28 + j) - 128) / 128;
+            }
+            this.normalizeQuaternion(rotations, c);
+        }
+    }
+
+    /**
+     * Read a PLY header
+     * @param {ArrayBuffer|Uint8Array} buffer - The file, or at least its start
+     * @returns {{format: string, elements: Array<{name: string, count: number,
+     *           properties: Array<{name: string, type: string, offset: number}>,
+     *           stride: number}>, dataOffset: number}}
+     */
+    parsePLYHeader(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const end = this.findPLYHeaderEnd(bytes);
+        if (end === -1) {
+            throw new Error('Not a PLY file - no end_header');
+        }
+
+        const head = new TextDecoder('ascii').decode(bytes.subarray(0, end));
+        const lines = head.split('\n').map(line => line.trim());
+        const elements = [];
+        let format = null;
+
+        for (const line of lines) {
+            const parts = line.split(/\s+/);
+
+            if (parts[0] === 'format') {
+                format = parts[1];
+            } else if (parts[0] === 'element') {
+                elements.push({ name: parts[1], count: parseInt(parts[2]), properties: [], stride: 0 });
+            } else if (parts[0] === 'property') {
+                const element = elements[elements.length - 1];
+                if (parts[1] === 'list') {
+                    throw new Error(`PLY list properties are not supported (${element.name})`);
+                }
+                const size = this.PLY_TYPES[parts[1]];
+                if (!size) {
+                    throw new Error(`Unknown PLY property type: ${parts[1]}`);
+                }
+                element.properties.push({ name: parts[2], type: parts[1], offset: element.stride });
+                element.stride += size;
+            }
+        }
+
+        if (format !== 'binary_little_endian') {
+            throw new Error(`Only binary little-endian PLY files are supported, not ${format}`);
+        }
+
+        return { format, elements, dataOffset: end + this.PLY_HEADER_END.length };
+    }
+
+    /**
+     * Find where the PLY header ends
+     * The header is ASCII and short - only the first few KB are searched.
+     * @param {Uint8Array} bytes
+     * @returns {number} Offset of end_header, or -1
+     */
+    findPLYHeaderEnd(bytes) {
+        const head = new TextDecoder('ascii').decode(bytes.subarray(0, this.MAX_PLY_HEADER_LENGTH));
+        return head.indexOf(this.PLY_HEADER_END);
+    }
+
+    /**
+     * Find the vertex element, which holds the splats
+     * @returns {{vertex: Object, offset: number}} The element and the byte
+     *          offset of its data, past any elements before it
+     */
+    findPLYVertex(header) {
+        let offset = header.dataOffset;
+
+        for (const element of header.elements) {
+            if (element.name === 'vertex') {
+                const names = element.properties.map(property => property.name);
+                for (const name of ['x', 'y', 'z']) {
+                    if (!names.includes(name)) {
+                        throw new Error(`PLY vertex has no ${name} property`);
+                    }
+                }
+                return { vertex: element, offset };
+            }
+            offset += element.count * element.stride;
+        }
+
+        throw new Error('PLY file has no vertex element');
+    }
+
+    /**
+     * Highest spherical harmonic degree a PLY vertex element has
+     * 3DGS writes the higher-order coefficients as f_rest_0 onward.
+     */
+    getPLYSHDegree(vertex) {
+        const rest = vertex.properties.filter(property => property.name.startsWith('f_rest_')).length / 3;
+        for (let degree = 3; degree > 0; degree--) {
+            if (rest >= this.getSHCoefficients(degree)) return degree;
+        }
+        return 0;
+    }
+
+    /**
+     * Check whether a PLY vertex element describes Gaussians or plain points
+     */
+    hasGaussians(vertex) {
+        const names = vertex.properties.map(property => property.name);
+        return names.includes('scale_0') && names.includes('rot_0');
+    }
+
+    /**
+     * Parse a 3DGS-style PLY
+     * Plain point clouds (x, y, z, red, green, blue) also work - they get
+     * small round opaque splats.
+     */
+    parsePLY(buffer, shDegree = 0) {
+        const { vertex, offset } = this.findPLYVertex(this.parsePLYHeader(buffer));
+
+        const count = vertex.count;
+        const splats = this.createSplats(count, Math.min(shDegree, this.getPLYSHDegree(vertex)));
+        this.readPLYRows(new DataView(buffer, offset, count * vertex.stride), vertex, splats, 0, count);
+
+        if (!this.hasGaussians(vertex)) {
+            this.fillPointScales(splats, 0, count);
+        }
+
+        return splats;
+    }
+
+    /**
+     * Read PLY vertex rows into splats, from index start on
+     * Plain points get an identity rotation and keep their scales for the
+     * caller to fill in. Spherical harmonics are read up to splats.shDegree.
+     * @param {DataView} view - Whole rows, starting at the first one to read
+     */
+    readPLYRows(view, vertex, splats, start, rows) {
+        const readers = {};
+        for (const property of vertex.properties) {
+            readers[property.name] = this.createPLYReader(view, property);
+        }
+
+        // f_rest_* holds every coefficient of red, then green, then blue -
+        // keep the first few of each channel
+        const shReaders = [];
+        if (splats.sh) {
+            const stored = this.getSHCoefficients(this.getPLYSHDegree(vertex));
+            const kept = this.getSHCoefficients(splats.shDegree);
+            for (let channel = 0; channel < 3; channel++) {
+                for (let k = 0; k < kept; k++) {
+                    shReaders.push(readers[`f_rest_${channel * stored + k}`]);
+                }
+            }
+        }
+
+        const hasGaussians = this.hasGaussians(vertex);
+        const hasSH = readers.f_dc_0 && readers.f_dc_1 && readers.f_dc_2;
+        const hasRGB = readers.red && readers.green && readers.blue;
+
+        for (let i = 0; i < rows; i++) {
+            const row = i * vertex.stride;
+            const p = (start + i) * 3;
+            const c = (start + i) * 4;
+
+            splats.positions[p] = readers.x(row);
+            splats.positions[p + 1] = readers.y(row);
+            splats.positions[p + 2] = readers.z(row);
+
+            if (hasSH) {
+                splats.colors[c] = this.toByte(0.5 + this.SH_C0 * readers.f_dc_0(row));
+                splats.colors[c + 1] = this.toByte(0.5 + this.SH_C0 * readers.f_dc_1(row));
+                splats.colors[c + 2] = this.toByte(0.5 + this.SH_C0 * readers.f_dc_2(row));
+            } else if (hasRGB) {
+                splats.colors[c] = readers.red(row);
+                splats.colors[c + 1] = readers.green(row);
+                splats.colors[c + 2] = readers.blue(row);
+            } else {
+                splats.colors.fill(255, c, c + 3);
+            }
+
+            // Opacity is stored before its sigmoid
+            splats.colors[c + 3] = readers.opacity
+                ? this.toByte(1 / (1 + Math.exp(-readers.opacity(row))))
+                : 255;
+
+            if (hasGaussians) {
+                // Scales are stored as logs
+                splats.scales[p] = Math.exp(readers.scale_0(row));
+                splats.scales[p + 1] = Math.exp(readers.scale_1(row));
+                splats.scales[p + 2] = Math.exp(readers.scale_2(row));
+
+                splats.rotations[c] = readers.rot_0(row);
+                splats.rotations[c + 1] = readers.rot_1(row);
+                splats.rotations[c + 2] = readers.rot_2(row);
+                splats.rotations[c + 3] = readers.rot_3(row);
+                this.normalizeQuaternion(splats.rotations, c);
+            } else {
+                splats.rotations[c] = 1;
+            }
+
+            const h = (start + i) * shReaders.length;
+            for (let k = 0; k < shReaders.length; k++) {
+                splats.sh[h + k] = shReaders[k](row);
+            }
+        }
+    }
+
+    /**
+     * Parse a compact .csplat file
+     */
+    parseCompact(buffer, shDegree = 0) {
+        const header = this.parseCompactHeader(new Uint8Array(buffer));
+        const splats = this.createSplats(header.count, Math.min(shDegree, header.shDegree));
+
+        const view = new DataView(buffer, this.COMPACT_HEADER_LENGTH, header.count * header.stride);
+        this.readCompactRows(view, header, splats, 0, header.count);
+        return splats;
+    }
+
+    /**
+     * Read a .csplat header
+     * @param {Uint8Array} bytes - At least the header
+     * @returns {{count: number, shDegree: number, min: number[], max: number[],
+     *           scaleMin: number, scaleMax: number, shRange: number, stride: number}}
+     */
+    parseCompactHeader(bytes) {
+        if (bytes.length < this.COMPACT_HEADER_LENGTH) {
+            throw new Error('Not a .csplat file - too short');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, this.COMPACT_HEADER_LENGTH);
+        const version = view.getUint16(4, true);
+        if (version > this.COMPACT_VERSION) {
+            throw new Error(`Unsupported .csplat version ${version}`);
+        }
+
+        const shDegree = view.getUint8(6);
+        const vector = offset => [0, 1, 2].map(j => view.getFloat32(offset + j * 4, true));
+
+        return {
+            count: view.getUint32(8, true),
+            shDegree,
+            min: vector(12),
+            max: vector(24),
+            scaleMin: view.getFloat32(36, true),
+            scaleMax: view.getFloat32(40, true),
+            shRange: view.getFloat32(44, true),
+            stride: 17 + 3 * this.getSHCoefficients(shDegree)
+        };
+    }
+
+    /**
+     * Read .csplat rows into splats, from index start on
+     * Each row is a 16-bit position within the file's bounds, 8-bit log
+     * scales, RGBA, a 32-bit rotation and optional 8-bit SH coefficients.
+     * @param {DataView} view - Whole rows, starting at the first one to read
+     */
+    readCompactRows(view, header, splats, start, rows) {
+        const { min, max, scaleMin, scaleMax, shRange, stride } = header;
+        const { positions, scales, rotations, colors, sh } = splats;
+        const stored = this.getSHCoefficients(header.shDegree);
+        const kept = this.getSHCoefficients(splats.shDegree);
+
+        for (let i = 0; i < rows; i++) {
+            const row = i * stride;
+            const p = (start + i) * 3;
+            const c = (start + i) * 4;
+
+            for (let j = 0; j < 3; j++) {
+                positions[p + j] = min[j] + view.getUint16(row + j * 2, true) / 65535 * (max[j] - min[j]);
+                scales[p + j] = Math.exp(scaleMin + view.getUint8(row + 6 + j) / 255 * (scaleMax - scaleMin));
+            }
+            for (let j = 0; j < 4; j++) {
+                colors[c + j] = view.getUint8(row + 9 + j);
+            }
+            this.unpackRotation(view.getUint32(row + 13, true), rotations, c);
+
+            if (sh) {
+                const h = (start + i) * kept * 3;
+                for (let channel = 0; channel < 3; channel++) {
+                    for (let k = 0; k < kept; k++) {
+                        const byte = view.getUint8(row + 17 + channel * stored + k);
+                        sh[h + channel * kept + k] = (byte / 255 * 2 - 1) * shRange;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Unpack a "smallest three" quaternion into rotations at an offset
+     * The top 2 bits say which component was largest and left out; the other
+     * three take 10 bits each, in ±1/√2. The largest is recovered from the
+     * unit length (it was stored positive).
+     */
+    unpackRotation(packed, rotations, offset) {
+        const largest = packed >>> 30;
+        let sum = 0;
+
+        for (let j = 3, shift = 0; j >= 0; j--) {
+            if (j === largest) continue;
+            const value = (((packed >>> shift) & 1023) / 1023 * 2 - 1) * Math.SQRT1_2;
+            rotations[offset + j] = value;
+            sum += value * value;
+            shift += 10;
+        }
+
+        rotations[offset + largest] = Math.sqrt(Math.max(0, 1 - sum));
+    }
+
+    /**
+     * Start parsing a stream once its first bytes are in
+     * @param {Uint8Array} head - Everything read so far
+     * @param {{name: string, totalSize: number, shDegree: number}} options
+     * @param {boolean} final - No more bytes are coming
+     * @returns {Object|null} Stream state, or null until the header is complete
+     */
+    createStreamState(head, options, final) {
+        const { name, totalSize, shDegree } = options;
+        if (head.length < 4 && !final) return null;
+
+        const format = this.detectFormat(head, name);
+
+        if (format === 'compact') {
+            if (head.length < this.COMPACT_HEADER_LENGTH && !final) return null;
+
+            const header = this.parseCompactHeader(head);
+            return {
+                format,
+                header,
+                stride: header.stride,
+                skip: this.COMPACT_HEADER_LENGTH,
+                splats: this.createSplats(header.count, Math.min(shDegree, header.shDegree)),
+                count: 0,
+                total: header.count
+            };
+        }
+
+        if (format === 'ply') {
+            if (!final && head.length < this.MAX_PLY_HEADER_LENGTH && this.findPLYHeaderEnd(head) === -1) {
+                return null;
+            }
+
+            const { vertex, offset } = this.findPLYVertex(this.parsePLYHeader(head));
+            return {
+                format,
+                vertex,
+                stride: vertex.stride,
+                skip: offset,
+                gaussians: this.hasGaussians(vertex),
+                splats: this.createSplats(vertex.count, Math.min(shDegree, this.getPLYSHDegree(vertex))),
+                count: 0,
+                total: vertex.count
+            };
+        }
+
+        // A .splat has no header - the size gives the count when it's known
+        const total = Math.floor(totalSize / this.SPLAT_ROW_LENGTH);
+        return {
+            format,
+            stride: this.SPLAT_ROW_LENGTH,
+            skip: 0,
+            splats: this.createSplats(total || 65536),
+            count: 0,
+            total
+        };
+    }
+
+    /**
+     * Parse the whole splats in a run of stream bytes
+     * @param {Object} state - From createStreamState
+     * @param {Uint8Array} bytes
+     * @returns {number} Bytes used - the rest are the start of the next splat
+     */
+    consumeStream(state, bytes) {
+        let used = 0;
+
+        // Header, and any PLY elements before the vertices
+        if (state.skip > 0) {
+            used = Math.min(state.skip, bytes.length);
+            state.skip -= used;
+            if (state.skip > 0) return used;
+        }
+
+        // Anything after the splats a header announced is of no use
+        if (state.format !== 'splat' && state.count === state.total) {
+            return bytes.length;
+        }
+
+        let rows = Math.floor((bytes.length - used) / state.stride);
+        if (state.format !== 'splat') {
+            rows = Math.min(rows, state.total - state.count);
+        } else if (state.count + rows > state.splats.count) {
+            state.splats = this.growSplats(state.splats, Math.max(state.count + rows, state.splats.count * 2));
+        }
+        if (rows === 0) return used;
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset + used, rows * state.stride);
+        const start = state.count;
+        const end = start + rows;
+
+        if (state.format === 'ply') {
+            this.readPLYRows(view, state.vertex, state.splats, start, rows);
+            if (!state.gaussians) {
+                this.fillPointScales(state.splats, start, end);
+            }
+        } else if (state.format === 'compact') {
+            this.readCompactRows(view, state.header, state.splats, start, rows);
+        } else {
+            this.readSplatRows(view, state.splats, start, rows);
+        }
+
+        this.toThreeAxes(state.splats, start, end);
+        state.count = end;
+
+        return used + rows * state.stride;
+    }
+
+    /**
+     * Check a finished stream and trim its arrays to the splats read
+     * @returns {Object} Same as load
+     */
+    finishStream(state) {
+        if (state.format !== 'splat' && state.count < state.total) {
+            throw new Error(`Splat file is truncated - ${state.count} of ${state.total} splats`);
+        }
+        if (state.count === 0) {
+            throw new Error('Not a splat file - no splats found');
+        }
+
+        const { count, splats } = state;
+        return {
+            count,
+            positions: splats.positions.subarray(0, count * 3),
+            scales: splats.scales.subarray(0, count * 3),
+            rotations: splats.rotations.subarray(0, count * 4),
+            colors: splats.colors.subarray(0, count * 4),
+            shDegree: splats.shDegree,
+            sh: splats.sh ? splats.sh.subarray(0, count * splats.sh.length / splats.count) : null
+        };
+    }
+
+    /**
+     * Join the bytes left over from the last read with the next read
+     */
+    appendBytes(pending, value) {
+        if (pending.length === 0) return value;
+
+        const bytes = new Uint8Array(pending.length + value.length);
+        bytes.set(pending);
+        bytes.set(value, pending.length);
+        return bytes;
+    }
+
+    /**
+     * Make a function reading one property from a row of a PLY element
+     * @returns {function(number): number} Takes the row's byte offset
+     */
+    createPLYReader(view, property) {
+        const { offset, type } = property;
+
+        switch (this.PLY_TYPES[type] === 8 ? 'double' : type) {
+            case 'char': case 'int8':
+                return row => view.getInt8(row + offset);
+            case 'uchar': case 'uint8':
+                return row => view.getUint8(row + offset);
+            case 'short': case 'int16':
+                return row => view.getInt16(row + offset, true);
+            case 'ushort': case 'uint16':
+                return row => view.getUint16(row + offset, true);
+            case 'int': case 'int32':
+                return row => view.getInt32(row + offset, true);
+            case 'uint': case 'uint32':
+                return row => view.getUint32(row + offset, true);
+            case 'double':
+                return row => view.getFloat64(row + offset, true);
+            default:
+                return row => view.getFloat32(row + offset, true);
+        }
+    }
+
+    /**
+     * Give plain points a size from how densely they fill their bounding box
+     * Streams size each batch of points by itself, so later batches don't
+     * change splats that are already on screen.
+     */
+    fillPointScales(splats, start, end) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+
+        for (let i = start; i < end; i++) {
+            for (let axis = 0; axis < 3; axis++) {
+                const value = splats.positions[i * 3 + axis];
+                if (value < min[axis]) min[axis] = value;
+                if (value > max[axis]) max[axis] = value;
+            }
+        }
+
+        const diagonal = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+        const scale = (diagonal / Math.cbrt(end - start) || 0.01) * 0.5;
+        splats.scales.fill(scale, start * 3, end * 3);
+    }
+
+    /**
+     * Rotate splats 180° about x, from OpenCV to three.js axes
+     * Flips y and z of each position, and conjugates each rotation by the
+     * flip - (w, x, y, z) becomes (w, x, -y, -z).
+     */
+    toThreeAxes(splats, start = 0, end = splats.count) {
+        for (let i = start; i < end; i++) {
+            splats.positions[i * 3 + 1] *= -1;
+            splats.positions[i * 3 + 2] *= -1;
+            splats.rotations[i * 4 + 2] *= -1;
+            splats.rotations[i * 4 + 3] *= -1;
+        }
+    }
+
+    /**
+     * Normalize the quaternion at an offset in place (identity if zero)
+     */
+    normalizeQuaternion(rotations, offset) {
+        const length = Math.hypot(rotations[offset], rotations[offset + 1],
+            rotations[offset + 2], rotations[offset + 3]);
+
+        if (length === 0) {
+            rotations[offset] = 1;
+            return;
+        }
+
+        for (let j = 0; j < 4; j++) {
+            rotations[offset + j] /= length;
+        }
+    }
+
+    /**
+     * Throw an AbortError if the signal has fired
+     * @param {AbortSignal|null} signal
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('Splat loading cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * 0-1 to a clamped byte
+     */
+    toByte(value) {
+        return Math.max(0, Math.min(255, Math.round(value * 255)));
+    }
+}
+
+// Export for use
+window.SplatLoader = SplatLoader;
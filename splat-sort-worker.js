@@ -0,0 +1,29 @@
+/**
+ * Splat Sort Worker
+ * Keeps the current splat set's centers and sorts them back to front off
+ * the main thread
+ * Messages are {positions, start} to add centers and {view, count} to sort;
+ * sorts are answered in order with {order} or {error}
+ */
+
+importScripts('splat-sorter.js');
+
+const sorter = new SplatSorter();
+
+self.onmessage = (event) => {
+    const { positions, start, view, count } = event.data;
+
+    if (positions) {
+        sorter.receivePositions(positions, start);
+        return;
+    }
+
+    try {
+        const order = sorter.sortLocally(view, count);
+
+        // Hand the order back without copying
+        self.postMessage({ order }, [order.buffer]);
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
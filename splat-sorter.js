@@ -0,0 +1,229 @@
+/**
+ * Splat Sorter
+ * Orders splats back to front for blending, in a worker when it can
+ */
+
+class SplatSorter {
+    constructor(options = {}) {
+        // This file is also loaded inside splat-sort-worker.js, which sorts
+        // with sortLocally
+        const inWorker = typeof document === 'undefined';
+
+        this.workerURL = options.workerURL || 'splat-sort-worker.js';
+        this.useWorker = !inWorker && typeof Worker !== 'undefined';
+        this.worker = null;
+        this.workerReady = false;
+
+        // Sorts sent to the worker, answered in order
+        this.pendingSorts = [];
+
+        // Splat centers, xyz - the caller's array, shared rather than copied
+        this.positions = new Float32Array(0);
+
+        // Keys are 32 bits of view depth, sorted 16 bits per pass
+        this.RADIX_BITS = 16;
+        this.counts = new Uint32Array(1 << this.RADIX_BITS);
+
+        // Scratch buffers, kept between sorts
+        this.depths = new Float32Array(0);
+        this.keys = new Uint32Array(0);
+        this.scratch = new Uint32Array(0);
+        this.indices = new Uint32Array(0);
+    }
+
+    /**
+     * Tell the sorter where splats are
+     * Splats from start up to end are new; starting over at 0 replaces all
+     * of them (a different set). The array itself may be bigger than end.
+     * @param {Float32Array} positions - xyz per splat
+     * @param {number} [start]
+     * @param {number} [end]
+     */
+    setPositions(positions, start = 0, end = positions.length / 3) {
+        this.positions = positions;
+
+        if (this.useWorker && this.startWorker()) {
+            const slice = positions.slice(start * 3, end * 3);
+            this.worker.postMessage({ positions: slice, start }, [slice.buffer]);
+        }
+    }
+
+    /**
+     * Order the first count splats back to front
+     * @param {number[]} view - Row of the view matrix giving view-space z:
+     *        elements 2, 6, 10 and 14 of a column-major matrixWorldInverse
+     * @param {number} count
+     * @returns {Promise<Float32Array>} Splat indices, farthest first
+     */
+    sort(view, count) {
+        if (!this.useWorker || !this.startWorker()) {
+            return Promise.resolve(this.sortLocally(view, count));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingSorts.push({ view, count, resolve, reject });
+            this.worker.postMessage({ view, count });
+        });
+    }
+
+    /**
+     * Start the worker if it isn't running
+     * @returns {boolean} Whether there is a worker to use
+     */
+    startWorker() {
+        if (this.worker) return true;
+
+        try {
+            this.worker = new Worker(this.workerURL);
+        } catch (error) {
+            console.warn('Splat sort worker unavailable, sorting on the main thread:', error.message);
+            this.useWorker = false;
+            return false;
+        }
+
+        this.worker.onmessage = (event) => {
+            const { order, error } = event.data;
+            const sort = this.pendingSorts.shift();
+            this.workerReady = true;
+
+            if (!sort) return;
+            if (error) {
+                sort.reject(new Error(error));
+            } else {
+                sort.resolve(order);
+            }
+        };
+
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            const sorts = this.pendingSorts;
+            this.pendingSorts = [];
+            this.worker.terminate();
+            this.worker = null;
+
+            // A worker that never answered most likely failed to load - the
+            // positions are shared, so the main thread can take over
+            if (!this.workerReady) {
+                console.warn('Splat sort worker failed to start, sorting on the main thread');
+                this.useWorker = false;
+                sorts.forEach(sort => sort.resolve(this.sortLocally(sort.view, sort.count)));
+            } else {
+                sorts.forEach(sort => sort.reject(new Error(event.message || 'Splat sort worker failed')));
+            }
+        };
+
+        return true;
+    }
+
+    /**
+     * Add or replace positions inside the worker
+     * The worker's array grows to fit, in the same splat order as the caller's.
+     * @param {Float32Array} positions - xyz of splats from start on
+     * @param {number} start
+     */
+    receivePositions(positions, start) {
+        const needed = start * 3 + positions.length;
+        if (start === 0 || needed > this.positions.length) {
+            const grown = new Float32Array(start === 0 ? needed : Math.max(needed, this.positions.length * 2));
+            if (start > 0) grown.set(this.positions.subarray(0, start * 3));
+            this.positions = grown;
+        }
+        this.positions.set(positions, start * 3);
+    }
+
+    /**
+     * Radix sort on quantized view depth
+     * Two 16-bit passes of a stable LSD sort - linear time, and at 32 bits
+     * of depth, nothing in a scene lands in the wrong order.
+     * @param {number[]} view - See sort
+     * @param {number} count
+     * @returns {Float32Array} Splat indices, farthest first
+     */
+    sortLocally(view, count) {
+        const positions = this.positions;
+        count = Math.min(count, Math.floor(positions.length / 3));
+
+        if (this.keys.length < count) {
+            this.depths = new Float32Array(count);
+            this.keys = new Uint32Array(count);
+            this.scratch = new Uint32Array(count);
+            this.indices = new Uint32Array(count);
+        }
+        const { depths, keys, scratch, indices, counts } = this;
+        const [a, b, c, d] = view;
+
+        // View-space z: more negative is farther, so ascending z is back to front
+        let minDepth = Infinity;
+        let maxDepth = -Infinity;
+        for (let i = 0; i < count; i++) {
+            depths[i] = a * positions[i * 3] + b * positions[i * 3 + 1] + c * positions[i * 3 + 2] + d;
+
+            // The range has to come from the rounded values, or keys wrap
+            const z = depths[i];
+            if (z < minDepth) minDepth = z;
+            if (z > maxDepth) maxDepth = z;
+        }
+
+        const scale = 4294967295 / (maxDepth - minDepth || 1);
+        for (let i = 0; i < count; i++) {
+            keys[i] = Math.min(4294967295, (depths[i] - minDepth) * scale) >>> 0;
+        }
+
+        const mask = (1 << this.RADIX_BITS) - 1;
+
+        // Low digit: splat order into scratch
+        counts.fill(0);
+        for (let i = 0; i < count; i++) {
+            counts[keys[i] & mask]++;
+        }
+        this.prefixSum(counts);
+        for (let i = 0; i < count; i++) {
+            scratch[counts[keys[i] & mask]++] = i;
+        }
+
+        // High digit: scratch order into indices
+        counts.fill(0);
+        for (let i = 0; i < count; i++) {
+            counts[keys[i] >>> this.RADIX_BITS]++;
+        }
+        this.prefixSum(counts);
+        for (let i = 0; i < count; i++) {
+            const index = scratch[i];
+            indices[counts[keys[index] >>> this.RADIX_BITS]++] = index;
+        }
+
+        // Float, for the shader's instanced attribute
+        const order = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            order[i] = indices[i];
+        }
+        return order;
+    }
+
+    /**
+     * Turn bucket counts into bucket starts, in place
+     */
+    prefixSum(counts) {
+        let total = 0;
+        for (let k = 0; k < counts.length; k++) {
+            const value = counts[k];
+            counts[k] = total;
+            total += value;
+        }
+    }
+
+    /**
+     * Stop the worker
+     */
+    destroy() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pendingSorts.forEach(sort => sort.reject(new DOMException('Splat sorter destroyed', 'AbortError')));
+        this.pendingSorts = [];
+    }
+}
+
+// Export for use (self is window on the page and the global scope in splat-sort-worker.js)
+self.SplatSorter = SplatSorter;
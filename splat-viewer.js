@@ -0,0 +1,848 @@
+/**
+ * Gaussian Splat Viewer
+ * Three.js renderer for 3D Gaussian splats, with the same controls as
+ * WiggleViewer - gyroscope or mouse/touch tilt orbits the camera
+ */
+
+class SplatViewer {
+    constructor(container, options = {}) {
+        this.container = container;
+
+        // Options
+        this.sensitivity = options.sensitivity || 1.5;
+        this.smoothing = options.smoothing || 0.85;
+        this.orbitAngle = options.orbitAngle || 12;   // Degrees of orbit at full tilt
+
+        // Three.js components
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.mesh = null;
+        this.material = null;
+
+        // Splat sets
+        this.splatSets = [];
+        this.currentIndex = 0;
+
+        // Splats are sorted in a worker, and re-sorted when the view direction
+        // turns by more than this (cosine) or more splats arrive
+        this.sorter = new SplatSorter();
+        this.resortThreshold = 0.9995;
+        this.lastSortDirection = null;
+        this.sortPending = false;
+
+        // Input state
+        this.targetRotationX = 0;
+        this.targetRotationY = 0;
+        this.currentRotationX = 0;
+        this.currentRotationY = 0;
+
+        // Control mode
+        this.useGyroscope = false;
+        this.hasGyroPermission = false;
+        this.gyroAvailable = false;
+
+        // Calibration
+        this.calibrationBeta = 0;
+        this.calibrationGamma = 0;
+        this.isCalibrated = false;
+
+        // Animation
+        this.isRunning = false;
+        this.animationId = null;
+
+        // Callbacks
+        this.onRotationUpdate = null;
+
+        // Bind methods
+        this.animate = this.animate.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handleDeviceOrientation = this.handleDeviceOrientation.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+
+        // Initialize
+        this.init();
+    }
+
+    /**
+     * Initialize Three.js scene
+     */
+    init() {
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x0a0a0f);
+
+        const aspect = this.container.clientWidth / this.container.clientHeight || 1;
+        this.camera = new THREE.PerspectiveCamera(50, aspect, 0.01, 1000);
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: false, alpha: true });
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+        this.container.appendChild(this.renderer.domElement);
+
+        // Splat data is read from textures, so their width is capped by the GPU
+        this.textureWidth = Math.min(4096, this.renderer.capabilities.maxTextureSize);
+
+        window.addEventListener('resize', this.handleResize);
+
+        console.log('SplatViewer initialized');
+    }
+
+    /**
+     * Add a set of splats
+     * @param {{count: number, positions: Float32Array, scales: Float32Array,
+     *          rotations: Float32Array, colors: Uint8Array}} splats - From SplatLoader
+     * @param {Object} options
+     * @param {Object} [options.metadata] - Shown by the app like image metadata
+     * @returns {Promise<number>} Index of the new set
+     */
+    async addSplatSet(splats, options = {}) {
+        const index = this.beginSplatSet(splats.count, options);
+        this.appendSplats(index, splats, 0, splats.count);
+        return index;
+    }
+
+    /**
+     * Start a set whose splats arrive in batches, from a streaming load
+     * It can be shown straight away; splats appear as they're appended.
+     * @param {number|null} total - Expected splat count, or null if unknown
+     * @param {Object} options - See addSplatSet
+     * @returns {number} Index of the new set
+     */
+    beginSplatSet(total, options = {}) {
+        const capacity = Math.max(1, Math.min(total || this.textureWidth, this.getMaxSplats()));
+
+        this.splatSets.push({
+            count: 0,
+            capacity,
+            positions: new Float32Array(capacity * 3),
+            textures: this.createTextures(capacity),
+            view: null,
+            order: new Float32Array(capacity),
+            sortedCount: 0,
+            metadata: options.metadata || null
+        });
+
+        if (this.splatSets.length === 1) {
+            this.showSplatSet(0);
+        }
+
+        return this.splatSets.length - 1;
+    }
+
+    /**
+     * Add a batch of splats to a set started with beginSplatSet
+     * @param {number} index - Set index
+     * @param {Object} splats - From SplatLoader (or its onChunk)
+     * @param {number} start - First splat of the batch
+     * @param {number} end - One past the last
+     */
+    appendSplats(index, splats, start, end) {
+        const set = this.splatSets[index];
+        if (!set) return;
+
+        const maxSplats = this.getMaxSplats();
+        if (end > maxSplats) {
+            if (start < maxSplats) {
+                console.warn(`Only showing ${maxSplats} of the splats`);
+            }
+            end = maxSplats;
+        }
+        if (end <= start) return;
+
+        if (end > set.capacity) {
+            this.growSplatSet(set, Math.min(maxSplats, Math.max(end, set.capacity * 2)));
+        }
+
+        set.positions.set(splats.positions.subarray(start * 3, end * 3), start * 3);
+        this.writeSplats(set, splats, start, end);
+        this.uploadSplats(set, start, end);
+        set.count = end;
+
+        // Frame the splats seen so far - it settles as more arrive
+        set.view = this.getDefaultView(set.positions, set.count);
+
+        if (set === this.splatSets[this.currentIndex]) {
+            this.sorter.setPositions(set.positions, start, end);
+            this.updateCamera();
+            this.sortSplats();
+        }
+    }
+
+    /**
+     * Remove a set, e.g. one whose loading was cancelled
+     * @param {number} index
+     */
+    removeSplatSet(index) {
+        const set = this.splatSets[index];
+        if (!set) return;
+
+        this.splatSets.splice(index, 1);
+        this.disposeTextures(set.textures);
+
+        if (index < this.currentIndex) {
+            this.currentIndex--;
+        } else if (index === this.currentIndex) {
+            this.removeMesh();
+            this.currentIndex = Math.min(index, Math.max(0, this.splatSets.length - 1));
+            if (this.splatSets.length > 0) {
+                this.showSplatSet(this.currentIndex);
+            }
+        }
+    }
+
+    /**
+     * Most splats the data textures can hold
+     */
+    getMaxSplats() {
+        return this.textureWidth * this.renderer.capabilities.maxTextureSize;
+    }
+
+    /**
+     * Allocate data textures for a number of splats, one texel per splat
+     * The shader needs each splat's center, color and 3D covariance
+     * (R S Sᵀ Rᵀ, from its rotation R and scale S), which takes 6 floats.
+     * Texture data starts empty and is filled by writeSplats.
+     */
+    createTextures(capacity) {
+        const width = this.textureWidth;
+        const height = Math.ceil(capacity / width);
+        const size = width * height;
+
+        const createTexture = (data, type) => {
+            const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, type);
+            texture.minFilter = THREE.NearestFilter;
+            texture.magFilter = THREE.NearestFilter;
+            texture.needsUpdate = true;
+            return texture;
+        };
+
+        return {
+            center: createTexture(new Float32Array(size * 4), THREE.FloatType),
+            covarianceA: createTexture(new Float32Array(size * 4), THREE.FloatType),
+            covarianceB: createTexture(new Float32Array(size * 4), THREE.FloatType),
+            color: createTexture(new Uint8Array(size * 4), THREE.UnsignedByteType),
+            size: new THREE.Vector2(width, height)
+        };
+    }
+
+    /**
+     * Fill in the texture data of splats start to end
+     */
+    writeSplats(set, splats, start, end) {
+        const center = set.textures.center.image.data;
+        const covarianceA = set.textures.covarianceA.image.data;
+        const covarianceB = set.textures.covarianceB.image.data;
+        set.textures.color.image.data.set(splats.colors.subarray(start * 4, end * 4), start * 4);
+
+        const { positions, scales, rotations } = splats;
+
+        for (let i = start; i < end; i++) {
+            center[i * 4] = positions[i * 3];
+            center[i * 4 + 1] = positions[i * 3 + 1];
+            center[i * 4 + 2] = positions[i * 3 + 2];
+
+            const w = rotations[i * 4];
+            const x = rotations[i * 4 + 1];
+            const y = rotations[i * 4 + 2];
+            const z = rotations[i * 4 + 3];
+            const sx = scales[i * 3];
+            const sy = scales[i * 3 + 1];
+            const sz = scales[i * 3 + 2];
+
+            // M = R S, row-major
+            const m = [
+                (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y - w * z) * sy, 2 * (x * z + w * y) * sz,
+                2 * (x * y + w * z) * sx, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z - w * x) * sz,
+                2 * (x * z - w * y) * sx, 2 * (y * z + w * x) * sy, (1 - 2 * (x * x + y * y)) * sz
+            ];
+
+            // Σ = M Mᵀ: xx, xy, xz, yy | yz, zz
+            covarianceA[i * 4] = m[0] * m[0] + m[1] * m[1] + m[2] * m[2];
+            covarianceA[i * 4 + 1] = m[0] * m[3] + m[1] * m[4] + m[2] * m[5];
+            covarianceA[i * 4 + 2] = m[0] * m[6] + m[1] * m[7] + m[2] * m[8];
+            covarianceA[i * 4 + 3] = m[3] * m[3] + m[4] * m[4] + m[5] * m[5];
+            covarianceB[i * 4] = m[3] * m[6] + m[4] * m[7] + m[5] * m[8];
+            covarianceB[i * 4 + 1] = m[6] * m[6] + m[7] * m[7] + m[8] * m[8];
+        }
+    }
+
+    /**
+     * Send the texture rows holding splats start to end to the GPU
+     * Only those rows are copied, so a streaming load doesn't re-upload
+     * everything with each batch.
+     */
+    uploadSplats(set, start, end) {
+        const width = this.textureWidth;
+        const rowStart = Math.floor(start / width);
+        const rowEnd = Math.ceil(end / width);
+        const position = new THREE.Vector2(0, rowStart);
+
+        for (const name of ['center', 'covarianceA', 'covarianceB', 'color']) {
+            const texture = set.textures[name];
+            const rows = new THREE.DataTexture(
+                texture.image.data.subarray(rowStart * width * 4, rowEnd * width * 4),
+                width, rowEnd - rowStart, THREE.RGBAFormat, texture.type);
+
+            this.renderer.copyTextureToTexture(position, rows, texture);
+            rows.dispose();
+        }
+    }
+
+    /**
+     * Move a set into bigger textures, for streams that outgrow their estimate
+     */
+    growSplatSet(set, capacity) {
+        const textures = this.createTextures(capacity);
+        for (const name of ['center', 'covarianceA', 'covarianceB', 'color']) {
+            textures[name].image.data.set(set.textures[name].image.data);
+        }
+        this.disposeTextures(set.textures);
+
+        const positions = new Float32Array(capacity * 3);
+        positions.set(set.positions);
+        const order = new Float32Array(capacity);
+        order.set(set.order);
+
+        Object.assign(set, { capacity, positions, textures, order });
+
+        // The mesh holds the old textures and order
+        if (set === this.splatSets[this.currentIndex] && this.mesh) {
+            this.createMesh(set);
+            this.sorter.setPositions(set.positions, 0, set.count);
+        }
+    }
+
+    /**
+     * Free a set's data textures
+     */
+    disposeTextures(textures) {
+        textures.center.dispose();
+        textures.covarianceA.dispose();
+        textures.covarianceB.dispose();
+        textures.color.dispose();
+    }
+
+    /**
+     * Pick the orbit center and untilted camera position for a set of splats
+     * Splat files from a single photo (ML Sharp) have the photo's camera at
+     * the origin looking into the scene - viewing from there matches the photo.
+     * Anything else is framed from in front of its middle.
+     * @returns {{target: THREE.Vector3, offset: THREE.Vector3}} offset is the
+     *          camera's position relative to target at zero tilt
+     */
+    getDefaultView(positions, count) {
+        // Medians, so stray far-off splats don't drag the center away
+        const step = Math.max(1, Math.floor(count / 10000));
+        const xs = [];
+        const ys = [];
+        const zs = [];
+        for (let i = 0; i < count; i += step) {
+            xs.push(positions[i * 3]);
+            ys.push(positions[i * 3 + 1]);
+            zs.push(positions[i * 3 + 2]);
+        }
+        const median = values => Float32Array.from(values).sort()[values.length >> 1];
+        const target = new THREE.Vector3(median(xs), median(ys), median(zs));
+
+        // Most splats in front of the origin (-z): viewed from the capture camera
+        if (target.z < 0 && Math.abs(target.x) < -target.z && Math.abs(target.y) < -target.z) {
+            return { target, offset: target.clone().negate() };
+        }
+
+        const distances = xs.map((x, i) => Math.hypot(x - target.x, ys[i] - target.y, zs[i] - target.z));
+        const radius = median(distances) * 2 || 1;
+        const fov = THREE.MathUtils.degToRad(this.camera.fov);
+        return { target, offset: new THREE.Vector3(0, 0, radius / Math.tan(fov / 2)) };
+    }
+
+    /**
+     * Create the instanced quad mesh that draws the splats of a set
+     * Each instance is one splat, looked up in the data textures by its
+     * index; instances are drawn back to front in the order of splatIndex.
+     */
+    createMesh(set) {
+        this.removeMesh();
+
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array([
+            -2, -2, 0,
+            2, -2, 0,
+            2, 2, 0,
+            -2, 2, 0
+        ]), 3));
+        geometry.setIndex([0, 1, 2, 0, 2, 3]);
+
+        const indexAttribute = new THREE.InstancedBufferAttribute(set.order, 1);
+        indexAttribute.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('splatIndex', indexAttribute);
+
+        // Only splats that have been sorted are drawn
+        geometry.instanceCount = set.sortedCount;
+
+        const { textures } = set;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                centerMap: { value: textures.center },
+                covarianceMapA: { value: textures.covarianceA },
+                covarianceMapB: { value: textures.covarianceB },
+                colorMap: { value: textures.color },
+                textureSize: { value: textures.size },
+                viewport: { value: new THREE.Vector2() }
+            },
+            vertexShader: `
+                uniform sampler2D centerMap;
+                uniform sampler2D covarianceMapA;
+                uniform sampler2D covarianceMapB;
+                uniform sampler2D colorMap;
+                uniform vec2 textureSize;
+                uniform vec2 viewport;
+
+                attribute float splatIndex;
+
+                varying vec4 vColor;
+                varying vec2 vPosition;
+
+                void main() {
+                    vec2 texel = vec2(mod(splatIndex, textureSize.x), floor(splatIndex / textureSize.x));
+                    vec2 uv = (texel + 0.5) / textureSize;
+
+                    vec4 cam = modelViewMatrix * vec4(texture2D(centerMap, uv).xyz, 1.0);
+                    vec4 clipPos = projectionMatrix * cam;
+
+                    // Cull splats behind the camera or well outside the view
+                    float bound = 1.2 * clipPos.w;
+                    if (cam.z > -0.01 || abs(clipPos.x) > bound || abs(clipPos.y) > bound) {
+                        gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+                        return;
+                    }
+
+                    vec4 covA = texture2D(covarianceMapA, uv);
+                    vec4 covB = texture2D(covarianceMapB, uv);
+                    mat3 sigma = mat3(
+                        covA.x, covA.y, covA.z,
+                        covA.y, covA.w, covB.x,
+                        covA.z, covB.x, covB.y
+                    );
+
+                    // Project the 3D covariance to screen pixels (EWA splatting):
+                    // the two rows of J W, J the perspective Jacobian, W the view rotation
+                    float depth = -cam.z;
+                    vec2 focal = vec2(projectionMatrix[0][0], projectionMatrix[1][1]) * viewport * 0.5;
+                    mat3 W = mat3(modelViewMatrix);
+                    vec3 rowX = vec3(W[0].x, W[1].x, W[2].x);
+                    vec3 rowY = vec3(W[0].y, W[1].y, W[2].y);
+                    vec3 rowZ = vec3(W[0].z, W[1].z, W[2].z);
+                    vec3 t0 = focal.x / depth * rowX + focal.x * cam.x / (depth * depth) * rowZ;
+                    vec3 t1 = focal.y / depth * rowY + focal.y * cam.y / (depth * depth) * rowZ;
+
+                    // Plus a little blur so tiny splats still cover a pixel
+                    float a = dot(t0, sigma * t0) + 0.3;
+                    float b = dot(t0, sigma * t1);
+                    float c = dot(t1, sigma * t1) + 0.3;
+
+                    // Axes of the screen-space ellipse
+                    float mid = 0.5 * (a + c);
+                    float radius = length(vec2(0.5 * (a - c), b));
+                    float lambda1 = mid + radius;
+                    float lambda2 = max(mid - radius, 0.1);
+                    vec2 direction = abs(b) > 1e-6
+                        ? normalize(vec2(b, lambda1 - a))
+                        : (a >= c ? vec2(1.0, 0.0) : vec2(0.0, 1.0));
+                    vec2 majorAxis = min(sqrt(2.0 * lambda1), 1024.0) * direction;
+                    vec2 minorAxis = min(sqrt(2.0 * lambda2), 1024.0) * vec2(direction.y, -direction.x);
+
+                    vColor = texture2D(colorMap, uv);
+                    vPosition = position.xy;
+
+                    vec2 center = clipPos.xy / clipPos.w;
+                    vec2 offset = (position.x * majorAxis + position.y * minorAxis) * 2.0 / viewport;
+                    gl_Position = vec4(center + offset, 0.0, 1.0);
+                }
+            `,
+            fragmentShader: `
+                varying vec4 vColor;
+                varying vec2 vPosition;
+
+                void main() {
+                    float power = -dot(vPosition, vPosition);
+                    if (power < -4.0) discard;
+
+                    // Premultiplied, blended back to front
+                    float alpha = exp(power) * vColor.a;
+                    gl_FragColor = vec4(vColor.rgb * alpha, alpha);
+                }
+            `,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            blending: THREE.CustomBlending,
+            blendSrc: THREE.OneFactor,
+            blendDst: THREE.OneMinusSrcAlphaFactor,
+            blendSrcAlpha: THREE.OneFactor,
+            blendDstAlpha: THREE.OneMinusSrcAlphaFactor
+        });
+
+        this.mesh = new THREE.Mesh(geometry, this.material);
+        this.mesh.frustumCulled = false;
+        this.scene.add(this.mesh);
+
+        this.updateViewport();
+        this.lastSortDirection = null;
+
+        console.log(`Created splat mesh with ${set.count.toLocaleString()} splats`);
+    }
+
+    /**
+     * Remove and dispose the current mesh (the set's textures are kept)
+     */
+    removeMesh() {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+            this.mesh = null;
+            this.material = null;
+        }
+    }
+
+    /**
+     * Show a specific splat set
+     */
+    showSplatSet(index) {
+        if (index < 0 || index >= this.splatSets.length) return;
+
+        this.currentIndex = index;
+        const set = this.splatSets[index];
+        this.createMesh(set);
+        this.sorter.setPositions(set.positions, 0, set.count);
+        this.updateCamera();
+        this.sortSplats();
+    }
+
+    /**
+     * Navigate to next splat set
+     */
+    next() {
+        const newIndex = (this.currentIndex + 1) % this.splatSets.length;
+        this.showSplatSet(newIndex);
+    }
+
+    /**
+     * Navigate to previous splat set
+     */
+    prev() {
+        const newIndex = (this.currentIndex - 1 + this.splatSets.length) % this.splatSets.length;
+        this.showSplatSet(newIndex);
+    }
+
+    /**
+     * Place the camera on its orbit for the current tilt
+     * Tilt swings the camera around the orbit target, like the wiggle of
+     * a depth mesh but with real parallax and occlusion.
+     */
+    updateCamera() {
+        const set = this.splatSets[this.currentIndex];
+        if (!set || !set.view) return;
+
+        const { target, offset } = set.view;
+        const maxAngle = THREE.MathUtils.degToRad(this.orbitAngle);
+        const yaw = -this.currentRotationY * maxAngle;
+        const pitch = this.currentRotationX * maxAngle;
+
+        // Swing the untilted offset around the target: yaw about the vertical,
+        // pitch toward the poles
+        const orbit = new THREE.Spherical().setFromVector3(offset);
+        orbit.theta += yaw;
+        orbit.phi -= pitch;
+        orbit.makeSafe();
+
+        this.camera.position.setFromSpherical(orbit).add(target);
+        this.camera.lookAt(target);
+        this.camera.updateMatrixWorld();
+    }
+
+    /**
+     * Sort the current splats back to front if the view has turned enough,
+     * or more splats have arrived
+     * One sort runs at a time; the mesh keeps drawing the last order until
+     * the worker answers.
+     */
+    sortSplats() {
+        const set = this.splatSets[this.currentIndex];
+        if (!set || !this.mesh || this.sortPending || set.count === 0) return;
+
+        const direction = new THREE.Vector3();
+        this.camera.getWorldDirection(direction);
+        if (this.lastSortDirection && set.sortedCount === set.count &&
+            this.lastSortDirection.dot(direction) > this.resortThreshold) {
+            return;
+        }
+        this.lastSortDirection = direction;
+
+        const e = this.camera.matrixWorldInverse.elements;
+        this.sortPending = true;
+
+        this.sorter.sort([e[2], e[6], e[10], e[14]], set.count).then(order => {
+            this.sortPending = false;
+
+            // The set may have been switched, grown or removed meanwhile
+            if (set !== this.splatSets[this.currentIndex] || !this.mesh ||
+                this.mesh.geometry.attributes.splatIndex.array !== set.order) {
+                this.lastSortDirection = null;
+            } else {
+                set.order.set(order);
+                set.sortedCount = order.length;
+
+                const attribute = this.mesh.geometry.attributes.splatIndex;
+                attribute.updateRange.offset = 0;
+                attribute.updateRange.count = order.length;
+                attribute.needsUpdate = true;
+                this.mesh.geometry.instanceCount = order.length;
+            }
+
+            // Before the viewer starts (a stream still loading) there's no
+            // animation loop to catch up on new splats or draw them
+            if (!this.isRunning) {
+                this.sortSplats();
+                this.renderer.render(this.scene, this.camera);
+            }
+        }).catch(error => {
+            this.sortPending = false;
+            if (error.name !== 'AbortError') {
+                console.warn('Splat sort failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Pass the drawing buffer size to the shader, for pixel-space splat sizes
+     */
+    updateViewport() {
+        if (this.material) {
+            this.renderer.getDrawingBufferSize(this.material.uniforms.viewport.value);
+        }
+    }
+
+    /**
+     * Start input handling and animation
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        this.animate();
+        console.log('Splat viewer started');
+    }
+
+    /**
+     * Start gyroscope input
+     */
+    async startGyroscope() {
+        if (typeof DeviceOrientationEvent !== 'undefined' &&
+            typeof DeviceOrientationEvent.requestPermission === 'function') {
+            try {
+                const permission = await DeviceOrientationEvent.requestPermission();
+                this.hasGyroPermission = permission === 'granted';
+            } catch (e) {
+                console.warn('Gyroscope permission error:', e);
+                this.hasGyroPermission = false;
+            }
+        } else {
+            this.hasGyroPermission = true;
+        }
+
+        if (this.hasGyroPermission) {
+            window.addEventListener('deviceorientation', this.handleDeviceOrientation, { passive: true });
+            this.useGyroscope = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Start mouse/touch input
+     */
+    startMouseInput() {
+        this.useGyroscope = false;
+        document.addEventListener('mousemove', this.handleMouseMove, { passive: true });
+        document.addEventListener('touchmove', this.handleTouchMove, { passive: true });
+    }
+
+    /**
+     * Handle device orientation event
+     */
+    handleDeviceOrientation(event) {
+        const { beta, gamma } = event;
+        if (beta === null || gamma === null) return;
+
+        this.gyroAvailable = true;
+
+        // Auto-calibrate on first reading
+        if (!this.isCalibrated) {
+            this.calibrationBeta = beta;
+            this.calibrationGamma = gamma;
+            this.isCalibrated = true;
+        }
+
+        const adjustedBeta = beta - this.calibrationBeta;
+        const adjustedGamma = gamma - this.calibrationGamma;
+
+        this.targetRotationX = Math.max(-1, Math.min(1, (adjustedBeta / 25) * this.sensitivity));
+        this.targetRotationY = Math.max(-1, Math.min(1, (adjustedGamma / 25) * this.sensitivity));
+    }
+
+    /**
+     * Handle mouse movement
+     */
+    handleMouseMove(event) {
+        if (this.useGyroscope && this.gyroAvailable) return;
+        this.setPointerTarget(event.clientX, event.clientY);
+    }
+
+    /**
+     * Handle touch movement
+     */
+    handleTouchMove(event) {
+        if (this.useGyroscope && this.gyroAvailable) return;
+
+        const touch = event.touches[0];
+        if (touch) {
+            this.setPointerTarget(touch.clientX, touch.clientY);
+        }
+    }
+
+    /**
+     * Tilt toward a pointer position, relative to the middle of the window
+     */
+    setPointerTarget(clientX, clientY) {
+        const centerX = window.innerWidth / 2;
+        const centerY = window.innerHeight / 2;
+
+        this.targetRotationX = (clientY - centerY) / centerY * this.sensitivity;
+        this.targetRotationY = (clientX - centerX) / centerX * this.sensitivity;
+    }
+
+    /**
+     * Calibrate gyroscope to current position
+     */
+    calibrate() {
+        this.isCalibrated = false;
+        this.targetRotationX = 0;
+        this.targetRotationY = 0;
+        this.currentRotationX = 0;
+        this.currentRotationY = 0;
+    }
+
+    /**
+     * Animation loop
+     */
+    animate() {
+        if (!this.isRunning) return;
+
+        this.animationId = requestAnimationFrame(this.animate);
+
+        // Smooth the rotation with lerp
+        const lerpFactor = 1 - this.smoothing;
+        this.currentRotationX += (this.targetRotationX - this.currentRotationX) * lerpFactor;
+        this.currentRotationY += (this.targetRotationY - this.currentRotationY) * lerpFactor;
+
+        this.currentRotationX = Math.max(-1.5, Math.min(1.5, this.currentRotationX));
+        this.currentRotationY = Math.max(-1.5, Math.min(1.5, this.currentRotationY));
+
+        this.updateCamera();
+        this.sortSplats();
+
+        if (this.onRotationUpdate) {
+            this.onRotationUpdate(this.currentRotationX, this.currentRotationY);
+        }
+
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Stop animation and input handling
+     */
+    stop() {
+        this.isRunning = false;
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        window.removeEventListener('deviceorientation', this.handleDeviceOrientation);
+        document.removeEventListener('mousemove', this.handleMouseMove);
+        document.removeEventListener('touchmove', this.handleTouchMove);
+    }
+
+    /**
+     * Handle window resize
+     */
+    handleResize() {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (!width || !height) return;
+
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        this.updateViewport();
+    }
+
+    /**
+     * Update settings
+     */
+    setSensitivity(value) {
+        this.sensitivity = value;
+    }
+
+    setSmoothing(value) {
+        this.smoothing = value;
+    }
+
+    /**
+     * Toggle between gyro and mouse mode
+     */
+    toggleMode() {
+        if (this.useGyroscope) {
+            window.removeEventListener('deviceorientation', this.handleDeviceOrientation);
+            this.useGyroscope = false;
+            this.startMouseInput();
+            return false;
+        } else {
+            document.removeEventListener('mousemove', this.handleMouseMove);
+            document.removeEventListener('touchmove', this.handleTouchMove);
+            this.startGyroscope();
+            return true;
+        }
+    }
+
+    /**
+     * Get current state for UI
+     */
+    getCurrentIndex() { return this.currentIndex; }
+    getTotalCount() { return this.splatSets.length; }
+    getCurrentMetadata() { return this.splatSets[this.currentIndex]?.metadata || null; }
+    isGyroMode() { return this.useGyroscope; }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.stop();
+        window.removeEventListener('resize', this.handleResize);
+
+        this.removeMesh();
+        this.splatSets.forEach(set => this.disposeTextures(set.textures));
+        this.sorter.destroy();
+
+        this.renderer.dispose();
+        this.container.removeChild(this.renderer.domElement);
+    }
+}
+
+// Export for use
+window.SplatViewer = SplatViewer;
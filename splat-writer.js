@@ -0,0 +1,292 @@
+/**
+ * Splat Writer
+ * Writes splats (as SplatLoader returns them) to files - 3DGS .ply, plain
+ * point cloud .ply, antimatter15's .splat, and our compact .csplat, which
+ * is several times smaller than a 3DGS .ply
+ */
+
+class SplatWriter {
+    constructor() {
+        // Compact .csplat files - see writeCompact
+        this.COMPACT_MAGIC = 'CSPL';
+        this.COMPACT_VERSION = 1;
+        this.COMPACT_HEADER_LENGTH = 48;
+
+        // Bytes per splat before any spherical harmonics
+        this.COMPACT_ROW_LENGTH = 17;
+
+        // Bytes per splat in a .splat file - see writeSplat
+        this.SPLAT_ROW_LENGTH = 32;
+
+        // Zeroth-order spherical harmonic, to turn a color into f_dc_*
+        this.SH_C0 = 0.28209479177387814;
+    }
+
+    /**
+     * Write splats as a 3DGS-style binary .ply, or a plain point cloud
+     * Gaussians get the properties 3DGS tools expect: f_dc_* color, f_rest_*
+     * if the splats have spherical harmonics, opacity before its sigmoid,
+     * log scales and a wxyz rotation.
+     * @param {Object} splats - From SplatLoader or SplatBuilder
+     * @param {Object} options
+     * @param {boolean} [options.pointCloud] - Only x, y, z and an RGB color per point
+     * @returns {ArrayBuffer}
+     */
+    writePLY(splats, options = {}) {
+        const { count, positions, scales, rotations, colors } = splats;
+        const { pointCloud = false } = options;
+        const rest = !pointCloud && splats.sh ? this.getSHCoefficients(splats.shDegree) * 3 : 0;
+
+        const properties = pointCloud
+            ? ['x', 'y', 'z']
+            : ['x', 'y', 'z', 'f_dc_0', 'f_dc_1', 'f_dc_2',
+                ...Array.from({ length: rest }, (_, k) => `f_rest_${k}`),
+                'opacity', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3'];
+
+        const header = [
+            'ply',
+            'format binary_little_endian 1.0',
+            `element vertex ${count}`,
+            ...properties.map(name => `property float ${name}`),
+            ...(pointCloud ? ['property uchar red', 'property uchar green', 'property uchar blue'] : []),
+            'end_header',
+            ''
+        ].join('\n');
+
+        const headerBytes = new TextEncoder().encode(header);
+        const stride = properties.length * 4 + (pointCloud ? 3 : 0);
+        const buffer = new ArrayBuffer(headerBytes.length + count * stride);
+        new Uint8Array(buffer).set(headerBytes);
+        const view = new DataView(buffer, headerBytes.length);
+
+        for (let i = 0; i < count; i++) {
+            let offset = i * stride;
+            const write = (value) => {
+                view.setFloat32(offset, value, true);
+                offset += 4;
+            };
+
+            for (let j = 0; j < 3; j++) {
+                write(this.toFileAxis(positions[i * 3 + j], j));
+            }
+
+            if (pointCloud) {
+                for (let j = 0; j < 3; j++) {
+                    view.setUint8(offset + j, colors[i * 4 + j]);
+                }
+                continue;
+            }
+
+            for (let j = 0; j < 3; j++) {
+                write((colors[i * 4 + j] / 255 - 0.5) / this.SH_C0);
+            }
+            for (let k = 0; k < rest; k++) {
+                write(splats.sh[i * rest + k]);
+            }
+
+            // Inverse sigmoid, kept finite for fully opaque splats
+            const alpha = Math.max(1, Math.min(254, colors[i * 4 + 3])) / 255;
+            write(Math.log(alpha / (1 - alpha)));
+
+            for (let j = 0; j < 3; j++) {
+                write(Math.log(Math.max(scales[i * 3 + j], 1e-10)));
+            }
+
+            const rotation = this.toFileRotation(rotations, i * 4);
+            rotation.forEach(write);
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Write splats as antimatter15's .splat
+     * Per splat: position and scale (3 float32 each), RGBA, and the rotation
+     * as 4 bytes of (q + 1) * 128. Spherical harmonics are dropped.
+     * @param {Object} splats - From SplatLoader or SplatBuilder
+     * @returns {ArrayBuffer}
+     */
+    writeSplat(splats) {
+        const { count, positions, scales, rotations, colors } = splats;
+        const buffer = new ArrayBuffer(count * this.SPLAT_ROW_LENGTH);
+        const view = new DataView(buffer);
+
+        for (let i = 0; i < count; i++) {
+            const row = i * this.SPLAT_ROW_LENGTH;
+
+            for (let j = 0; j < 3; j++) {
+                view.setFloat32(row + j * 4, this.toFileAxis(positions[i * 3 + j], j), true);
+                view.setFloat32(row + 12 + j * 4, scales[i * 3 + j], true);
+            }
+
+            const rotation = this.toFileRotation(rotations, i * 4);
+            for (let j = 0; j < 4; j++) {
+                view.setUint8(row + 24 + j, colors[i * 4 + j]);
+                view.setUint8(row + 28 + j, Math.max(0, Math.min(255, Math.round(rotation[j] * 128 + 128))));
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Write splats as a compact .csplat file
+     * Little-endian throughout. The 48-byte header is:
+     *   0  'CSPL'
+     *   4  uint16 version
+     *   6  uint8 spherical harmonic degree, uint8 reserved
+     *   8  uint32 splat count
+     *   12 float32 x3 minimum and 24 float32 x3 maximum position
+     *   36 float32 smallest and 40 float32 largest log scale
+     *   44 float32 largest SH coefficient magnitude
+     * followed by one row per splat:
+     *   0  uint16 x3 position, across the bounds
+     *   6  uint8 x3 log scale, across the scale range
+     *   9  uint8 x4 RGBA
+     *   13 uint32 rotation, "smallest three" (see packRotation)
+     *   17 uint8 per SH coefficient, all red then green then blue, across ±range
+     * Like .ply and .splat, positions and rotations are in 3DGS's OpenCV
+     * axes; SplatLoader's three.js axes are turned back on the way out.
+     * @param {Object} splats - From SplatLoader
+     * @param {Object} options
+     * @param {number} [options.shDegree] - Highest spherical harmonic degree to
+     *        keep, up to what the splats have. Each degree costs 9, 15 or 21
+     *        bytes per splat, so the default 0 keeps just the base color.
+     * @returns {ArrayBuffer}
+     */
+    writeCompact(splats, options = {}) {
+        const { count, positions, scales, rotations, colors } = splats;
+        const shDegree = Math.min(options.shDegree || 0, splats.sh ? splats.shDegree : 0);
+        const kept = this.getSHCoefficients(shDegree);
+        const stored = splats.sh ? this.getSHCoefficients(splats.shDegree) : 0;
+        const stride = this.COMPACT_ROW_LENGTH + kept * 3;
+
+        // Quantization ranges
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        let scaleMin = Infinity;
+        let scaleMax = -Infinity;
+        let shRange = 0;
+
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < 3; j++) {
+                const value = this.toFileAxis(positions[i * 3 + j], j);
+                if (value < min[j]) min[j] = value;
+                if (value > max[j]) max[j] = value;
+
+                const scale = Math.log(Math.max(scales[i * 3 + j], 1e-10));
+                if (scale < scaleMin) scaleMin = scale;
+                if (scale > scaleMax) scaleMax = scale;
+            }
+            for (let channel = 0; channel < 3; channel++) {
+                for (let k = 0; k < kept; k++) {
+                    shRange = Math.max(shRange, Math.abs(splats.sh[(i * 3 + channel) * stored + k]));
+                }
+            }
+        }
+        if (count === 0) {
+            min.fill(0);
+            max.fill(0);
+            scaleMin = scaleMax = 0;
+        }
+
+        const buffer = new ArrayBuffer(this.COMPACT_HEADER_LENGTH + count * stride);
+        const view = new DataView(buffer);
+
+        for (let j = 0; j < 4; j++) {
+            view.setUint8(j, this.COMPACT_MAGIC.charCodeAt(j));
+        }
+        view.setUint16(4, this.COMPACT_VERSION, true);
+        view.setUint8(6, shDegree);
+        view.setUint32(8, count, true);
+        for (let j = 0; j < 3; j++) {
+            view.setFloat32(12 + j * 4, min[j], true);
+            view.setFloat32(24 + j * 4, max[j], true);
+        }
+        view.setFloat32(36, scaleMin, true);
+        view.setFloat32(40, scaleMax, true);
+        view.setFloat32(44, shRange, true);
+
+        const quantize = (value, low, high, steps) =>
+            high > low ? Math.round((value - low) / (high - low) * steps) : 0;
+
+        for (let i = 0; i < count; i++) {
+            const row = this.COMPACT_HEADER_LENGTH + i * stride;
+
+            for (let j = 0; j < 3; j++) {
+                const position = this.toFileAxis(positions[i * 3 + j], j);
+                view.setUint16(row + j * 2, quantize(position, min[j], max[j], 65535), true);
+
+                const scale = Math.log(Math.max(scales[i * 3 + j], 1e-10));
+                view.setUint8(row + 6 + j, quantize(scale, scaleMin, scaleMax, 255));
+            }
+            for (let j = 0; j < 4; j++) {
+                view.setUint8(row + 9 + j, colors[i * 4 + j]);
+            }
+            view.setUint32(row + 13, this.packRotation(rotations, i * 4), true);
+
+            for (let channel = 0; channel < 3; channel++) {
+                for (let k = 0; k < kept; k++) {
+                    const value = splats.sh[(i * 3 + channel) * stored + k];
+                    view.setUint8(row + this.COMPACT_ROW_LENGTH + channel * kept + k,
+                        quantize(value, -shRange, shRange, 255));
+                }
+            }
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Pack a unit quaternion (wxyz, three.js axes) into 32 bits
+     * "Smallest three": q and -q are the same rotation, so the largest
+     * component is made positive and left out - it follows from the unit
+     * length. The other three are within ±1/√2 and get 10 bits each; the
+     * top 2 bits say which was left out.
+     */
+    packRotation(rotations, offset) {
+        const q = this.toFileRotation(rotations, offset);
+
+        let largest = 0;
+        for (let j = 1; j < 4; j++) {
+            if (Math.abs(q[j]) > Math.abs(q[largest])) largest = j;
+        }
+        const sign = q[largest] < 0 ? -1 : 1;
+
+        let packed = largest;
+        for (let j = 0; j < 4; j++) {
+            if (j === largest) continue;
+            const value = Math.max(-1, Math.min(1, q[j] * sign * Math.SQRT2));
+            packed = (packed << 10) | Math.round((value + 1) / 2 * 1023);
+        }
+
+        return packed >>> 0;
+    }
+
+    /**
+     * Turn a three.js-axes rotation back to OpenCV axes
+     * @returns {number[]} wxyz - (w, x, y, z) becomes (w, x, -y, -z)
+     */
+    toFileRotation(rotations, offset) {
+        return [rotations[offset], rotations[offset + 1], -rotations[offset + 2], -rotations[offset + 3]];
+    }
+
+    /**
+     * Turn a three.js-axes coordinate back to OpenCV axes (y and z flipped)
+     * @param {number} value
+     * @param {number} axis - 0, 1 or 2
+     */
+    toFileAxis(value, axis) {
+        return axis === 0 ? value : -value;
+    }
+
+    /**
+     * Higher-order spherical harmonic coefficients per color channel
+     */
+    getSHCoefficients(degree) {
+        return (degree + 1) * (degree + 1) - 1;
+    }
+}
+
+// Export for use
+window.SplatWriter = SplatWriter;
@@ -0,0 +1,249 @@
+/**
+ * Stereo Splitter
+ * Splits side-by-side, over/under and JPS stereo images into left/right views
+ */
+
+class StereoSplitter {
+    constructor() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        // Supported layouts - which half holds which eye
+        this.LAYOUTS = ['sbs-parallel', 'sbs-cross', 'over-under', 'under-over'];
+
+        // Width the image is scaled to for layout detection
+        this.analysisWidth = 512;
+
+        // Minimum correlation between halves to call an image stereo, and how
+        // far it has to stand above shifts away from it - a photo whose halves
+        // merely share lighting or texture has no clear peak
+        this.minCorrelation = 0.75;
+        this.minPeakMargin = 0.1;
+
+        // Shifts within this fraction of the search range of the best one
+        // count as the same peak
+        this.peakWidth = 0.4;
+    }
+
+    /**
+     * Guess the stereo layout of a single image
+     * Compares the two halves of each possible split - stereo halves are nearly
+     * identical apart from a horizontal shift, so their correlation peaks
+     * sharply at that shift. Which half is the left eye is
+     * decided from disparity increasing toward the bottom of the frame (the
+     * ground is usually closer), which is a heuristic - hence the manual override.
+     * @param {HTMLImageElement|HTMLCanvasElement} img
+     * @returns {string} One of this.LAYOUTS, or 'mono'
+     */
+    detectLayout(img) {
+        const width = Math.min(this.analysisWidth, img.width);
+        const height = Math.max(2, Math.round(img.height * width / img.width));
+        const gray = this.getGrayscale(img, width, height);
+
+        const halfW = Math.floor(width / 2);
+        const halfH = Math.floor(height / 2);
+
+        const sbs = this.compareHalves(
+            this.crop(gray, width, 0, 0, halfW, height),
+            this.crop(gray, width, halfW, 0, halfW, height),
+            halfW, height
+        );
+        const ou = this.compareHalves(
+            this.crop(gray, width, 0, 0, width, halfH),
+            this.crop(gray, width, 0, halfH, width, halfH),
+            width, halfH
+        );
+
+        console.log(`Layout detection: SBS r=${sbs.score.toFixed(2)} peak +${sbs.margin.toFixed(2)} shift ${sbs.direction}, ` +
+            `O/U r=${ou.score.toFixed(2)} peak +${ou.margin.toFixed(2)} shift ${ou.direction}`);
+
+        const best = sbs.score >= ou.score ? sbs : ou;
+        if (best.score < this.minCorrelation || best.margin < this.minPeakMargin) {
+            return 'mono';
+        }
+
+        const firstIsLeft = best.direction >= 0;
+        if (best === sbs) {
+            return firstIsLeft ? 'sbs-parallel' : 'sbs-cross';
+        }
+        return firstIsLeft ? 'over-under' : 'under-over';
+    }
+
+    /**
+     * Split a stereo image into left and right views
+     * @param {HTMLImageElement|HTMLCanvasElement} img
+     * @param {string} layout - One of this.LAYOUTS
+     * @param {Object} options
+     * @param {boolean} [options.halfWidth] - Views were squeezed horizontally (stretch back)
+     * @param {boolean} [options.halfHeight] - Views were squeezed vertically (stretch back)
+     * @returns {{left: HTMLCanvasElement, right: HTMLCanvasElement}}
+     */
+    split(img, layout, options = {}) {
+        const { halfWidth = false, halfHeight = false } = options;
+
+        if (!this.LAYOUTS.includes(layout)) {
+            throw new Error(`Unknown stereo layout: ${layout}`);
+        }
+
+        const sideBySide = layout.startsWith('sbs');
+        const viewW = sideBySide ? Math.floor(img.width / 2) : img.width;
+        const viewH = sideBySide ? img.height : Math.floor(img.height / 2);
+
+        const first = this.cropImage(img, 0, 0, viewW, viewH, halfWidth, halfHeight);
+        const second = sideBySide
+            ? this.cropImage(img, viewW, 0, viewW, viewH, halfWidth, halfHeight)
+            : this.cropImage(img, 0, viewH, viewW, viewH, halfWidth, halfHeight);
+
+        // Cross-eyed and under-over put the right eye first
+        const firstIsLeft = layout === 'sbs-parallel' || layout === 'over-under';
+
+        return firstIsLeft
+            ? { left: first, right: second }
+            : { left: second, right: first };
+    }
+
+    /**
+     * Copy a region of an image to its own canvas, undoing any squeeze
+     */
+    cropImage(img, x, y, width, height, halfWidth, halfHeight) {
+        const canvas = document.createElement('canvas');
+        canvas.width = halfWidth ? width * 2 : width;
+        canvas.height = halfHeight ? height * 2 : height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, x, y, width, height, 0, 0, canvas.width, canvas.height);
+
+        return canvas;
+    }
+
+    /**
+     * Draw an image at analysis size and convert to grayscale
+     */
+    getGrayscale(img, width, height) {
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx.drawImage(img, 0, 0, width, height);
+
+        const data = this.ctx.getImageData(0, 0, width, height).data;
+        const gray = new Float32Array(width * height);
+
+        for (let i = 0; i < gray.length; i++) {
+            const idx = i * 4;
+            gray[i] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+        }
+
+        return gray;
+    }
+
+    /**
+     * Copy a rectangle out of a grayscale array
+     */
+    crop(gray, stride, x, y, width, height) {
+        const result = new Float32Array(width * height);
+
+        for (let row = 0; row < height; row++) {
+            const src = (y + row) * stride + x;
+            result.set(gray.subarray(src, src + width), row * width);
+        }
+
+        return result;
+    }
+
+    /**
+     * Measure how alike two halves are, and which way they are shifted
+     * @returns {{score: number, margin: number, direction: number}} Best
+     *          correlation, how far it stands above the best shift outside its
+     *          peak, and a positive direction if the first half looks like the left eye
+     */
+    compareHalves(a, b, width, height) {
+        const maxShift = Math.max(2, Math.round(width * 0.1));
+        const third = Math.floor(height / 3);
+
+        this.centerRows(a, width, height);
+        this.centerRows(b, width, height);
+
+        const all = this.bestShift(a, b, width, 0, height, maxShift);
+        const top = this.bestShift(a, b, width, 0, third, maxShift);
+        const bottom = this.bestShift(a, b, width, height - third, height, maxShift);
+
+        // Disparity grows toward the (usually closer) bottom of the frame when
+        // the first half is the left eye. Fall back to the overall shift sign
+        // when there's no slope to go on.
+        const slope = bottom.shift - top.shift;
+        const direction = slope !== 0 ? slope : all.shift;
+
+        return { score: all.score, margin: all.score - all.runnerUp, direction };
+    }
+
+    /**
+     * Subtract each row's mean, in place
+     * Otherwise a shared sky-to-ground falloff or vignette alone makes two
+     * unrelated halves correlate.
+     */
+    centerRows(data, width, height) {
+        for (let y = 0; y < height; y++) {
+            const row = data.subarray(y * width, (y + 1) * width);
+            const mean = row.reduce((sum, value) => sum + value, 0) / width;
+            for (let x = 0; x < width; x++) {
+                row[x] -= mean;
+            }
+        }
+    }
+
+    /**
+     * Find the horizontal shift s maximizing correlation of a(x) with b(x - s)
+     * over a band of rows
+     * @returns {{shift: number, score: number, runnerUp: number}} runnerUp is the
+     *          best score outside the peak (see peakWidth)
+     */
+    bestShift(a, b, width, rowStart, rowEnd, maxShift) {
+        const scores = [];
+
+        for (let s = -maxShift; s <= maxShift; s++) {
+            const xStart = Math.max(0, s);
+            const xEnd = Math.min(width, width + s);
+
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0, n = 0;
+
+            for (let y = rowStart; y < rowEnd; y++) {
+                const row = y * width;
+                for (let x = xStart; x < xEnd; x++) {
+                    const va = a[row + x];
+                    const vb = b[row + x - s];
+                    sumA += va;
+                    sumB += vb;
+                    sumAA += va * va;
+                    sumBB += vb * vb;
+                    sumAB += va * vb;
+                    n++;
+                }
+            }
+
+            if (n === 0) continue;
+
+            // Normalized cross-correlation
+            const cov = sumAB - sumA * sumB / n;
+            const varA = sumAA - sumA * sumA / n;
+            const varB = sumBB - sumB * sumB / n;
+            scores.push({ shift: s, score: cov / (Math.sqrt(varA * varB) || 1) });
+        }
+
+        let best = { shift: 0, score: -Infinity };
+        scores.forEach(entry => {
+            if (entry.score > best.score) best = entry;
+        });
+
+        const peakWidth = Math.max(1, Math.round(maxShift * this.peakWidth));
+        let runnerUp = -1;
+        scores.forEach(({ shift, score }) => {
+            if (Math.abs(shift - best.shift) > peakWidth) {
+                runnerUp = Math.max(runnerUp, score);
+            }
+        });
+
+        return { ...best, runnerUp };
+    }
+}
+
+// Export for use
+window.StereoSplitter = StereoSplitter;
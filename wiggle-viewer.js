@@ -12,6 +12,31 @@ class WiggleViewer {
         this.depthIntensity = options.depthIntensity || 0.8;
         this.sensitivity = options.sensitivity || 1.5;
         this.smoothing = options.smoothing || 0.85;
+        this.viewMode = options.viewMode || 'depth';  // 'depth', 'step' or 'blend'
+
+        // Tear the depth mesh at depth edges and show an inpainted background
+        // layer through the tears, rather than stretching edges across them
+        this.layeredDepth = options.layeredDepth !== false;
+        this.depthLayers = new DepthLayers();
+
+        // Depth edits come in bursts; layers are rebuilt once they settle
+        this.layerRebuildDelay = 300;
+        this.layerRebuildTimer = null;
+
+        // What the depth mesh is painted with - the photo, or the depth map
+        // itself for checking stereo matches. Index is the shader's displayMode.
+        this.DISPLAY_MODES = ['color', 'depth', 'false-color', 'validity', 'split'];
+        this.displayMode = options.displayMode || 'color';
+
+        // Where the split view's wipe is, as a fraction of the viewer width
+        this.splitPosition = 0.5;
+
+        // Per-image depth adjustments start from these: no curve, no clipping,
+        // and the farthest depth holding still while nearer content swings
+        this.DEFAULT_DEPTH_ADJUSTMENT = { gamma: 1, near: 1, far: 0, focus: 0 };
+
+        // Smallest gap kept between the near and far clip points
+        this.minDepthRange = 0.02;
 
         // Three.js components
         this.scene = null;
@@ -19,6 +44,7 @@ class WiggleViewer {
         this.renderer = null;
         this.mesh = null;
         this.material = null;
+        this.backgroundMesh = null;
 
         // Image sets
         this.imageSets = [];
@@ -35,6 +61,9 @@ class WiggleViewer {
         this.hasGyroPermission = false;
         this.gyroAvailable = false;
 
+        // Set while something else (e.g. the depth editor) needs the view held still
+        this.inputPaused = false;
+
         // Calibration
         this.calibrationBeta = 0;
         this.calibrationGamma = 0;
@@ -80,6 +109,10 @@ class WiggleViewer {
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
         this.container.appendChild(this.renderer.domElement);
 
+        // Stand-in validity mask for depth maps without one - every pixel trusted
+        this.fullValidityTexture = new THREE.DataTexture(new Uint8Array([255, 255, 255, 255]), 1, 1);
+        this.fullValidityTexture.needsUpdate = true;
+
         // Event listeners
         window.addEventListener('resize', this.handleResize);
 
@@ -91,48 +124,78 @@ class WiggleViewer {
 
     /**
      * Create the depth-displaced mesh for an image
+     * The validity mask marks where stereo matching was reliable; elsewhere
+     * the UV parallax is damped so guessed depth smears less. Depth goes
+     * through the image's clip/gamma adjustment, and parallax is measured
+     * from the focal depth so that depth holds still. With layers (see
+     * DepthLayers) the mesh is torn at depth edges, and a second mesh with
+     * the inpainted background is drawn behind it to show through.
      */
-    createMesh(colorTexture, depthTexture, aspectRatio) {
-        // Remove existing mesh
-        if (this.mesh) {
-            this.scene.remove(this.mesh);
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        }
+    createMesh(colorTexture, depthTexture, aspectRatio, validityTexture = null, layers = null) {
+        this.removeMesh();
 
         // Create plane geometry with subdivisions
-        const baseSize = 1.8;
-        const width = aspectRatio > 1 ? baseSize : baseSize * aspectRatio;
-        const height = aspectRatio > 1 ? baseSize / aspectRatio : baseSize;
+        const { width, height } = this.getPlaneSize(aspectRatio);
 
         const segmentsX = this.meshResolution;
         const segmentsY = Math.max(1, Math.floor(this.meshResolution / aspectRatio));
 
         const geometry = new THREE.PlaneGeometry(width, height, segmentsX, segmentsY);
+        const torn = layers ? this.depthLayers.tearGeometry(geometry, layers) : 0;
+        if (!geometry.getAttribute('layerDepth')) {
+            this.addUntornDepth(geometry);
+        }
 
         // Custom shader material with improved parallax
         this.material = new THREE.ShaderMaterial({
             uniforms: {
                 colorMap: { value: colorTexture },
                 depthMap: { value: depthTexture },
+                validityMap: { value: validityTexture || this.fullValidityTexture },
                 depthScale: { value: this.depthIntensity * 0.1 },
                 parallaxOffset: { value: new THREE.Vector2(0, 0) },
+                depthGamma: { value: this.DEFAULT_DEPTH_ADJUSTMENT.gamma },
+                depthNear: { value: this.DEFAULT_DEPTH_ADJUSTMENT.near },
+                depthFar: { value: this.DEFAULT_DEPTH_ADJUSTMENT.far },
+                focalDepth: { value: this.DEFAULT_DEPTH_ADJUSTMENT.focus },
+                displayMode: { value: this.DISPLAY_MODES.indexOf(this.displayMode) },
+                splitX: { value: 0 },
+                tearThreshold: { value: this.depthLayers.tearThreshold },
                 time: { value: 0 }
             },
             vertexShader: `
+                attribute float layerDepth;
+                
                 uniform sampler2D depthMap;
                 uniform float depthScale;
                 uniform vec2 parallaxOffset;
+                uniform float depthGamma;
+                uniform float depthNear;
+                uniform float depthFar;
+                uniform float focalDepth;
                 
                 varying vec2 vUv;
                 varying float vDepth;
+                varying float vFocus;
+                varying float vLayerDepth;
+                
+                // Clip to the near/far range, stretch to 0-1 and apply the curve
+                float remapDepth(float d) {
+                    d = clamp((d - depthFar) / max(depthNear - depthFar, 0.001), 0.0, 1.0);
+                    return pow(d, depthGamma);
+                }
                 
                 void main() {
                     vUv = uv;
                     
-                    // Sample depth at this UV
-                    float depth = texture2D(depthMap, uv).r;
+                    // Sample depth at this UV, unless the vertex is part of a
+                    // torn edge, which holds its foreground depth instead
+                    float mapDepth = layerDepth >= 0.0 ? layerDepth : texture2D(depthMap, uv).r;
+                    float depth = remapDepth(mapDepth);
+                    float focus = remapDepth(focalDepth);
                     vDepth = depth;
+                    vFocus = focus;
+                    vLayerDepth = layerDepth;
                     
                     // Create displaced position
                     vec3 pos = position;
@@ -141,8 +204,9 @@ class WiggleViewer {
                     pos.z = depth * depthScale * 0.5;
                     
                     // Apply parallax displacement based on depth
-                    // Objects with more depth move more
-                    float parallaxAmount = depth * depthScale * 2.0;
+                    // Objects move more the further they are from the focal plane,
+                    // nearer ones against the tilt and farther ones with it
+                    float parallaxAmount = (depth - focus) * depthScale * 2.0;
                     pos.x += parallaxOffset.x * parallaxAmount;
                     pos.y += parallaxOffset.y * parallaxAmount;
                     
@@ -152,18 +216,51 @@ class WiggleViewer {
             fragmentShader: `
                 uniform sampler2D colorMap;
                 uniform sampler2D depthMap;
+                uniform sampler2D validityMap;
                 uniform vec2 parallaxOffset;
                 uniform float depthScale;
+                uniform int displayMode;
+                uniform float splitX;
+                uniform float tearThreshold;
                 
                 varying vec2 vUv;
                 varying float vDepth;
+                varying float vFocus;
+                varying float vLayerDepth;
+                
+                // Turbo colormap, polynomial approximation (far = blue, near = red)
+                vec3 falseColor(float x) {
+                    const vec4 kRed4 = vec4(0.13572138, 4.61539260, -42.66032258, 132.13108234);
+                    const vec4 kGreen4 = vec4(0.09140261, 2.19418839, 4.84296658, -14.18503333);
+                    const vec4 kBlue4 = vec4(0.10667330, 12.64194608, -60.58204836, 110.36276771);
+                    const vec2 kRed2 = vec2(-152.94239396, 59.28637943);
+                    const vec2 kGreen2 = vec2(4.27729857, 2.82956604);
+                    const vec2 kBlue2 = vec2(-89.90310912, 27.34824973);
+                    
+                    x = clamp(x, 0.0, 1.0);
+                    vec4 v4 = vec4(1.0, x, x * x, x * x * x);
+                    vec2 v2 = v4.zw * v4.z;
+                    return vec3(
+                        dot(v4, kRed4) + dot(v2, kRed2),
+                        dot(v4, kGreen4) + dot(v2, kGreen2),
+                        dot(v4, kBlue4) + dot(v2, kBlue2)
+                    );
+                }
                 
                 void main() {
+                    // Torn edges only draw their foreground; the background
+                    // in them is left to the layer behind
+                    if (vLayerDepth >= 0.0 && texture2D(depthMap, vUv).r < vLayerDepth - tearThreshold) {
+                        discard;
+                    }
+                    
                     // Sample depth for additional UV parallax
                     float depth = vDepth;
+                    float validity = texture2D(validityMap, vUv).r;
                     
-                    // Apply subtle UV-based parallax for smoother effect
-                    vec2 uvOffset = parallaxOffset * depth * 0.02;
+                    // Apply subtle UV-based parallax for smoother effect,
+                    // halved where the depth was filled in rather than matched
+                    vec2 uvOffset = parallaxOffset * (depth - vFocus) * 0.02 * mix(0.5, 1.0, validity);
                     vec2 finalUv = vUv + uvOffset;
                     
                     // Clamp UV to prevent edge artifacts
@@ -176,6 +273,28 @@ class WiggleViewer {
                     float shade = 0.92 + depth * 0.08;
                     color.rgb *= shade;
                     
+                    // Diagnostic modes show the depth map as computed (before
+                    // the curve and clipping), at full texture resolution
+                    float mapDepth = texture2D(depthMap, finalUv).r;
+                    
+                    if (displayMode == 1) {
+                        color.rgb = vec3(mapDepth);
+                    } else if (displayMode == 2) {
+                        color.rgb = falseColor(mapDepth);
+                    } else if (displayMode == 3) {
+                        // Mismatched red, occluded amber, matched untouched
+                        vec3 tint = validity < 0.25 ? vec3(1.0, 0.15, 0.1) : vec3(1.0, 0.7, 0.1);
+                        color.rgb = validity < 0.75 ? mix(color.rgb, tint, 0.6) : color.rgb;
+                    } else if (displayMode == 4) {
+                        // Photo left of the wipe, depth right of it, with a line between
+                        if (gl_FragCoord.x > splitX) {
+                            color.rgb = vec3(mapDepth);
+                        }
+                        if (abs(gl_FragCoord.x - splitX) < 1.0) {
+                            color.rgb = vec3(1.0);
+                        }
+                    }
+                    
                     gl_FragColor = color;
                 }
             `,
@@ -185,16 +304,202 @@ class WiggleViewer {
         this.mesh = new THREE.Mesh(geometry, this.material);
         this.scene.add(this.mesh);
 
+        if (layers) {
+            this.createBackgroundMesh(layers, width, height, segmentsX, segmentsY);
+        }
+        this.updateSplitUniform();
+
         // Adjust camera based on aspect
         this.camera.position.z = aspectRatio > 1 ? 1.4 : 1.6;
 
-        console.log('Created mesh with resolution', segmentsX, 'x', segmentsY);
+        console.log('Created mesh with resolution', segmentsX, 'x', segmentsY,
+            layers ? `(${torn} triangles torn at depth edges)` : '');
+    }
+
+    /**
+     * Create the background layer's mesh, behind the depth mesh
+     * It shares the depth mesh's uniforms - parallax, depth adjustment,
+     * display mode - with the inpainted color and depth swapped in. It's
+     * drawn first without writing depth, so the depth mesh covers it
+     * everywhere except through its tears.
+     */
+    createBackgroundMesh(layers, width, height, segmentsX, segmentsY) {
+        const geometry = new THREE.PlaneGeometry(width, height, segmentsX, segmentsY);
+        this.addUntornDepth(geometry);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                ...this.material.uniforms,
+                colorMap: { value: layers.colorTexture },
+                depthMap: { value: layers.depthTexture }
+            },
+            vertexShader: this.material.vertexShader,
+            fragmentShader: this.material.fragmentShader,
+            depthWrite: false,
+            side: THREE.FrontSide
+        });
+
+        this.backgroundMesh = new THREE.Mesh(geometry, material);
+        this.backgroundMesh.renderOrder = -1;
+        this.scene.add(this.backgroundMesh);
+    }
+
+    /**
+     * Mark every vertex of a depth mesh as following the depth map
+     */
+    addUntornDepth(geometry) {
+        const count = geometry.getAttribute('position').count;
+        geometry.setAttribute('layerDepth', new THREE.BufferAttribute(new Float32Array(count).fill(-1), 1));
+    }
+
+    /**
+     * An image set's background layer, built the first time it's needed
+     * @param {Object} set
+     * @returns {Object} DepthLayers.build's result, with colorTexture and depthTexture
+     */
+    getLayers(set) {
+        if (!set.layers) {
+            const layers = this.depthLayers.build(set.colorTexture.image, set.depthTexture.image);
+
+            layers.colorTexture = new THREE.Texture(layers.colorCanvas);
+            layers.depthTexture = new THREE.Texture(layers.depthCanvas);
+            [layers.colorTexture, layers.depthTexture].forEach(texture => {
+                texture.needsUpdate = true;
+                texture.minFilter = THREE.LinearFilter;
+                texture.magFilter = THREE.LinearFilter;
+            });
+
+            set.layers = layers;
+        }
+        return set.layers;
+    }
+
+    /**
+     * Drop an image set's background layer, e.g. after its depth changed
+     */
+    disposeLayers(set) {
+        if (set.layers) {
+            set.layers.colorTexture.dispose();
+            set.layers.depthTexture.dispose();
+            set.layers = null;
+        }
+    }
+
+    /**
+     * Create a flat plane that shows the captured views of a multi-view image
+     * Tilting picks (step) or cross-fades between (blend) neighbouring views,
+     * so the wiggle comes from real viewpoints instead of displaced depth
+     */
+    createViewsMesh(viewTextures, aspectRatio) {
+        this.removeMesh();
+
+        const { width, height } = this.getPlaneSize(aspectRatio);
+        const geometry = new THREE.PlaneGeometry(width, height, 1, 1);
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                viewA: { value: viewTextures[0] },
+                viewB: { value: viewTextures[Math.min(1, viewTextures.length - 1)] },
+                viewBlend: { value: 0 }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+
+                void main() {
+                    vUv = uv;
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform sampler2D viewA;
+                uniform sampler2D viewB;
+                uniform float viewBlend;
+
+                varying vec2 vUv;
+
+                void main() {
+                    gl_FragColor = mix(texture2D(viewA, vUv), texture2D(viewB, vUv), viewBlend);
+                }
+            `,
+            side: THREE.FrontSide
+        });
+
+        this.mesh = new THREE.Mesh(geometry, this.material);
+        this.scene.add(this.mesh);
+
+        this.camera.position.z = aspectRatio > 1 ? 1.4 : 1.6;
+
+        console.log(`Created ${this.viewMode} view mesh with ${viewTextures.length} views`);
+    }
+
+    /**
+     * Remove and dispose the current mesh
+     */
+    removeMesh() {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh.geometry.dispose();
+            this.mesh.material.dispose();
+            this.mesh = null;
+            this.material = null;
+        }
+        if (this.backgroundMesh) {
+            this.scene.remove(this.backgroundMesh);
+            this.backgroundMesh.geometry.dispose();
+            this.backgroundMesh.material.dispose();
+            this.backgroundMesh = null;
+        }
+    }
+
+    /**
+     * Size of the image plane in world units for a given aspect ratio
+     */
+    getPlaneSize(aspectRatio) {
+        const baseSize = 1.8;
+        return {
+            width: aspectRatio > 1 ? baseSize : baseSize * aspectRatio,
+            height: aspectRatio > 1 ? baseSize / aspectRatio : baseSize
+        };
+    }
+
+    /**
+     * Pick the two views and blend factor for the current horizontal tilt
+     */
+    updateViewBlend() {
+        const set = this.imageSets[this.currentIndex];
+        const views = set.viewTextures;
+        const uniforms = this.material.uniforms;
+
+        // Map tilt (-1..1) onto the view positions (0..n-1), left to right
+        const tilt = Math.max(-1, Math.min(1, this.currentRotationY));
+        const position = (tilt + 1) / 2 * (views.length - 1);
+
+        if (this.viewMode === 'step') {
+            const index = Math.round(position);
+            uniforms.viewA.value = views[index];
+            uniforms.viewB.value = views[index];
+            uniforms.viewBlend.value = 0;
+        } else {
+            const index = Math.min(Math.floor(position), views.length - 2);
+            uniforms.viewA.value = views[index];
+            uniforms.viewB.value = views[index + 1];
+            uniforms.viewBlend.value = position - index;
+        }
     }
 
     /**
      * Load an image set (color image + depth map)
+     * @param {HTMLImageElement} colorImg
+     * @param {HTMLCanvasElement} depthCanvas
+     * @param {Object} options
+     * @param {Object} [options.metadata] - Camera/stereo metadata from MPOParser
+     * @param {HTMLImageElement[]} [options.views] - Captured viewpoints, left to right
+     * @param {HTMLCanvasElement} [options.validityMask] - Where the depth is reliable (white)
+     * @param {{near: number, far: number, unit: string}} [options.depthRange] - What
+     *        depth 1 and 0 stand for, e.g. disparity in pixels, for legends
+     * @param {string} [options.name] - Source file name, for naming exports
      */
-    async addImageSet(colorImg, depthCanvas) {
+    async addImageSet(colorImg, depthCanvas, options = {}) {
         // Create textures
         const colorTexture = new THREE.Texture(colorImg);
         colorTexture.needsUpdate = true;
@@ -206,6 +511,22 @@ class WiggleViewer {
         depthTexture.minFilter = THREE.LinearFilter;
         depthTexture.magFilter = THREE.LinearFilter;
 
+        const viewTextures = (options.views || []).map(view => {
+            const texture = new THREE.Texture(view);
+            texture.needsUpdate = true;
+            texture.minFilter = THREE.LinearFilter;
+            texture.magFilter = THREE.LinearFilter;
+            return texture;
+        });
+
+        let validityTexture = null;
+        if (options.validityMask) {
+            validityTexture = new THREE.Texture(options.validityMask);
+            validityTexture.needsUpdate = true;
+            validityTexture.minFilter = THREE.LinearFilter;
+            validityTexture.magFilter = THREE.LinearFilter;
+        }
+
         const aspectRatio = colorImg.width / colorImg.height;
 
         this.imageSets.push({
@@ -213,7 +534,14 @@ class WiggleViewer {
             depthTexture,
             aspectRatio,
             width: colorImg.width,
-            height: colorImg.height
+            height: colorImg.height,
+            metadata: options.metadata || null,
+            name: options.name || null,
+            viewTextures,
+            validityTexture,
+            depthRange: options.depthRange || null,
+            depthAdjustment: { ...this.DEFAULT_DEPTH_ADJUSTMENT },
+            layers: null
         });
 
         // Show first image
@@ -233,7 +561,122 @@ class WiggleViewer {
         this.currentIndex = index;
         const set = this.imageSets[index];
 
-        this.createMesh(set.colorTexture, set.depthTexture, set.aspectRatio);
+        if (this.viewMode !== 'depth' && set.viewTextures.length >= 2) {
+            this.createViewsMesh(set.viewTextures, set.aspectRatio);
+        } else {
+            this.createMesh(set.colorTexture, set.depthTexture, set.aspectRatio,
+                set.validityTexture, this.layeredDepth ? this.getLayers(set) : null);
+            this.applyDepthAdjustment();
+        }
+    }
+
+    /**
+     * Change the current image's depth curve, clipping or focal plane
+     * Clip points are kept in order, at least minDepthRange apart.
+     * @param {Object} changes
+     * @param {number} [changes.gamma] - Curve exponent; above 1 compresses near depth
+     * @param {number} [changes.near] - Depth (0-1) at and above which everything is nearest
+     * @param {number} [changes.far] - Depth (0-1) at and below which everything is farthest
+     * @param {number} [changes.focus] - Depth (0-1) that holds still while wiggling
+     */
+    setDepthAdjustment(changes) {
+        const set = this.getCurrentImageSet();
+        if (!set) return;
+
+        const adjustment = Object.assign(set.depthAdjustment, changes);
+        if ('far' in changes) {
+            adjustment.far = Math.min(adjustment.far, 1 - this.minDepthRange);
+            adjustment.near = Math.max(adjustment.near, adjustment.far + this.minDepthRange);
+        } else {
+            adjustment.near = Math.max(adjustment.near, this.minDepthRange);
+            adjustment.far = Math.min(adjustment.far, adjustment.near - this.minDepthRange);
+        }
+
+        this.applyDepthAdjustment();
+    }
+
+    /**
+     * The current image's depth adjustment
+     * @returns {{gamma: number, near: number, far: number, focus: number}}
+     */
+    getDepthAdjustment() {
+        const set = this.getCurrentImageSet();
+        return set ? { ...set.depthAdjustment } : { ...this.DEFAULT_DEPTH_ADJUSTMENT };
+    }
+
+    /**
+     * Copy the current image's depth adjustment to the shader
+     */
+    applyDepthAdjustment() {
+        const set = this.getCurrentImageSet();
+        const uniforms = this.material ? this.material.uniforms : null;
+        if (!set || !uniforms || !uniforms.focalDepth) return;
+
+        const { gamma, near, far, focus } = set.depthAdjustment;
+        uniforms.depthGamma.value = gamma;
+        uniforms.depthNear.value = near;
+        uniforms.depthFar.value = far;
+        uniforms.focalDepth.value = focus;
+    }
+
+    /**
+     * Apply the current image's clip range and curve to a depth, as the shader does
+     * @param {number} depth - Depth map value, 0-1
+     * @returns {number}
+     */
+    remapDepth(depth) {
+        const { gamma, near, far } = this.getCurrentImageSet()?.depthAdjustment || this.DEFAULT_DEPTH_ADJUSTMENT;
+        const t = Math.max(0, Math.min(1, (depth - far) / Math.max(near - far, 0.001)));
+        return Math.pow(t, gamma);
+    }
+
+    /**
+     * Make the depth under a screen point the focal plane
+     * Uses the median of a small window, so a tap near an edge still picks the
+     * subject rather than whatever is beside it.
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {number|null} The new focal depth, or null if the point is off the image
+     */
+    setFocusAt(clientX, clientY) {
+        const set = this.getCurrentImageSet();
+        if (!set || !this.material || !this.material.uniforms.focalDepth) return null;
+
+        const uv = this.screenToUV(clientX, clientY, (u, v) => this.sampleDepth(set, u, v));
+        if (!uv || uv.u < 0 || uv.u > 1 || uv.v < 0 || uv.v > 1) return null;
+
+        const focus = this.sampleDepth(set, uv.u, uv.v, 2);
+        this.setDepthAdjustment({ focus });
+        return focus;
+    }
+
+    /**
+     * Read depth from an image set's depth map
+     * @param {Object} set
+     * @param {number} u
+     * @param {number} v - 1 at the top of the image
+     * @param {number} [radius] - Take the median of a (2r+1)² window
+     * @returns {number} Depth 0-1
+     */
+    sampleDepth(set, u, v, radius = 0) {
+        const image = set.depthTexture.image;
+        const ctx = image.getContext('2d', { willReadFrequently: true });
+
+        const x = Math.round(u * (image.width - 1));
+        const y = Math.round((1 - v) * (image.height - 1));
+        const x0 = Math.max(0, x - radius);
+        const y0 = Math.max(0, y - radius);
+        const x1 = Math.min(image.width - 1, x + radius);
+        const y1 = Math.min(image.height - 1, y + radius);
+
+        const data = ctx.getImageData(x0, y0, x1 - x0 + 1, y1 - y0 + 1).data;
+        const values = [];
+        for (let i = 0; i < data.length; i += 4) {
+            values.push(data[i]);
+        }
+        values.sort((a, b) => a - b);
+
+        return values[values.length >> 1] / 255;
     }
 
     /**
@@ -252,6 +695,120 @@ class WiggleViewer {
         this.showImageSet(newIndex);
     }
 
+    /**
+     * The image set being shown
+     */
+    getCurrentImageSet() {
+        return this.imageSets[this.currentIndex] || null;
+    }
+
+    /**
+     * Re-upload an image set's depth texture after its canvas was drawn on
+     * Its background layer is stale too, and is rebuilt once the edits pause.
+     * @param {Object} [set] - Defaults to the current image set
+     */
+    updateDepthTexture(set = this.getCurrentImageSet()) {
+        if (!set) return;
+
+        set.depthTexture.needsUpdate = true;
+
+        if (set.layers) {
+            clearTimeout(this.layerRebuildTimer);
+            this.layerRebuildTimer = setTimeout(() => {
+                this.layerRebuildTimer = null;
+                this.disposeLayers(set);
+                if (set === this.getCurrentImageSet() && this.backgroundMesh) {
+                    this.showImageSet(this.currentIndex);
+                }
+            }, this.layerRebuildDelay);
+        }
+    }
+
+    /**
+     * Current displacement of the depth mesh: a vertex at remapped depth d
+     * moves offset * (d - focus) * amount sideways and d * amount / 4 toward
+     * the camera
+     * @returns {{offset: THREE.Vector2, amount: number, focus: number}}
+     */
+    getDisplacement() {
+        const uniforms = this.material ? this.material.uniforms : {};
+        return {
+            offset: uniforms.parallaxOffset ? uniforms.parallaxOffset.value : new THREE.Vector2(0, 0),
+            amount: uniforms.depthScale ? uniforms.depthScale.value * 2 : 0,
+            focus: uniforms.focalDepth ? this.remapDepth(uniforms.focalDepth.value) : 0
+        };
+    }
+
+    /**
+     * Find the image position under a screen point
+     * The depth mesh moves each point by its depth, so the hit on the flat
+     * plane is refined by looking up the depth there until it settles.
+     * @param {number} clientX
+     * @param {number} clientY
+     * @param {function(number, number): number} [sampleDepth] - Depth map value (0-1) at a UV
+     * @returns {{u: number, v: number}|null} UV with v = 1 at the top of the image,
+     *          outside 0-1 when off the image; null with nothing shown
+     */
+    screenToUV(clientX, clientY, sampleDepth = null) {
+        if (!this.mesh) return null;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            (clientX - rect.left) / rect.width * 2 - 1,
+            -(clientY - rect.top) / rect.height * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        const { origin, direction } = raycaster.ray;
+
+        const { width, height } = this.mesh.geometry.parameters;
+        const { offset, amount, focus } = this.getDisplacement();
+
+        let depth = 0;
+        let u = 0.5;
+        let v = 0.5;
+
+        for (let i = 0; i < 6; i++) {
+            const t = (depth * amount / 4 - origin.z) / direction.z;
+            const shift = (depth - focus) * amount;
+            u = (origin.x + direction.x * t - offset.x * shift) / width + 0.5;
+            v = (origin.y + direction.y * t - offset.y * shift) / height + 0.5;
+
+            if (!sampleDepth) break;
+            depth = this.remapDepth(sampleDepth(Math.max(0, Math.min(1, u)), Math.max(0, Math.min(1, v))));
+        }
+
+        return { u, v };
+    }
+
+    /**
+     * Screen position of an image point, the inverse of screenToUV
+     * @param {number} u
+     * @param {number} v
+     * @param {number} [depth] - Depth map value (0-1) at the point
+     * @returns {{x: number, y: number}|null} Client coordinates
+     */
+    uvToScreen(u, v, depth = 0) {
+        if (!this.mesh) return null;
+
+        const { width, height } = this.mesh.geometry.parameters;
+        const { offset, amount, focus } = this.getDisplacement();
+        const d = this.remapDepth(depth);
+        const shift = (d - focus) * amount;
+
+        const point = new THREE.Vector3(
+            (u - 0.5) * width + offset.x * shift,
+            (v - 0.5) * height + offset.y * shift,
+            d * amount / 4
+        ).project(this.camera);
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        return {
+            x: rect.left + (point.x + 1) / 2 * rect.width,
+            y: rect.top + (1 - point.y) / 2 * rect.height
+        };
+    }
+
     /**
      * Start input handling and animation
      */
@@ -318,7 +875,7 @@ class WiggleViewer {
     handleDeviceOrientation(event) {
         const { beta, gamma } = event;
 
-        if (beta === null || gamma === null) {
+        if (this.inputPaused || beta === null || gamma === null) {
             return;
         }
 
@@ -350,7 +907,7 @@ class WiggleViewer {
      * Handle mouse movement
      */
     handleMouseMove(event) {
-        if (this.useGyroscope && this.gyroAvailable) return;
+        if (this.inputPaused || (this.useGyroscope && this.gyroAvailable)) return;
 
         const centerX = window.innerWidth / 2;
         const centerY = window.innerHeight / 2;
@@ -367,7 +924,7 @@ class WiggleViewer {
      * Handle touch movement
      */
     handleTouchMove(event) {
-        if (this.useGyroscope && this.gyroAvailable) return;
+        if (this.inputPaused || (this.useGyroscope && this.gyroAvailable)) return;
 
         const touch = event.touches[0];
         if (!touch) return;
@@ -412,7 +969,9 @@ class WiggleViewer {
         this.currentRotationY = Math.max(-1.5, Math.min(1.5, this.currentRotationY));
 
         // Update shader uniforms
-        if (this.material) {
+        if (this.material && this.material.uniforms.viewBlend) {
+            this.updateViewBlend();
+        } else if (this.material) {
             this.material.uniforms.parallaxOffset.value.set(
                 this.currentRotationY,
                 -this.currentRotationX
@@ -454,6 +1013,7 @@ class WiggleViewer {
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(width, height);
+        this.updateSplitUniform();
     }
 
     /**
@@ -461,7 +1021,7 @@ class WiggleViewer {
      */
     setDepthIntensity(value) {
         this.depthIntensity = value;
-        if (this.material) {
+        if (this.material && this.material.uniforms.depthScale) {
             this.material.uniforms.depthScale.value = value * 0.1;
         }
     }
@@ -474,6 +1034,92 @@ class WiggleViewer {
         this.smoothing = value;
     }
 
+    setViewMode(mode) {
+        this.viewMode = mode;
+        if (this.imageSets.length > 0) {
+            this.showImageSet(this.currentIndex);
+        }
+    }
+
+    /**
+     * Paint the depth mesh with the photo or a view of its depth map
+     * @param {string} mode - One of this.DISPLAY_MODES
+     */
+    setDisplayMode(mode) {
+        if (!this.DISPLAY_MODES.includes(mode)) {
+            throw new Error(`Unknown display mode: ${mode}`);
+        }
+
+        this.displayMode = mode;
+        if (this.material && this.material.uniforms.displayMode) {
+            this.material.uniforms.displayMode.value = this.DISPLAY_MODES.indexOf(mode);
+        }
+    }
+
+    /**
+     * Move the split view's wipe
+     * @param {number} position - Fraction of the viewer width, 0 (left) to 1
+     */
+    setSplitPosition(position) {
+        this.splitPosition = Math.max(0, Math.min(1, position));
+        this.updateSplitUniform();
+    }
+
+    /**
+     * Convert the wipe position to drawing buffer pixels for the shader
+     */
+    updateSplitUniform() {
+        if (this.material && this.material.uniforms.splitX) {
+            const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+            this.material.uniforms.splitX.value = this.splitPosition * size.x;
+        }
+    }
+
+    /**
+     * Turbo false-color for a depth, matching the shader
+     * @param {number} t - Depth 0 (far) to 1 (near)
+     * @returns {number[]} [r, g, b], 0-255
+     */
+    falseColor(t) {
+        const x = Math.max(0, Math.min(1, t));
+        const x2 = x * x;
+        const x3 = x2 * x;
+        const x4 = x2 * x2;
+        const x5 = x4 * x;
+
+        const r = 0.13572138 + 4.61539260 * x - 42.66032258 * x2 + 132.13108234 * x3 - 152.94239396 * x4 + 59.28637943 * x5;
+        const g = 0.09140261 + 2.19418839 * x + 4.84296658 * x2 - 14.18503333 * x3 + 4.27729857 * x4 + 2.82956604 * x5;
+        const b = 0.10667330 + 12.64194608 * x - 60.58204836 * x2 + 110.36276771 * x3 - 89.90310912 * x4 + 27.34824973 * x5;
+
+        return [r, g, b].map(c => Math.round(Math.max(0, Math.min(1, c)) * 255));
+    }
+
+    /**
+     * CSS gradient of the false-color scale, far on the left, for a legend
+     * @param {number} [stops]
+     * @returns {string}
+     */
+    getFalseColorGradient(stops = 16) {
+        const colors = [];
+        for (let i = 0; i <= stops; i++) {
+            const t = i / stops;
+            const [r, g, b] = this.falseColor(t);
+            colors.push(`rgb(${r}, ${g}, ${b}) ${(t * 100).toFixed(1)}%`);
+        }
+        return `linear-gradient(to right, ${colors.join(', ')})`;
+    }
+
+    /**
+     * Tear the depth mesh at depth edges over an inpainted background, or not
+     * @param {boolean} enabled
+     */
+    setLayeredDepth(enabled) {
+        this.layeredDepth = enabled;
+        if (this.imageSets.length > 0) {
+            this.showImageSet(this.currentIndex);
+        }
+    }
+
     setMeshResolution(value) {
         this.meshResolution = value;
         // Recreate mesh if one exists
@@ -504,6 +1150,11 @@ class WiggleViewer {
      */
     getCurrentIndex() { return this.currentIndex; }
     getTotalCount() { return this.imageSets.length; }
+    getCurrentMetadata() { return this.imageSets[this.currentIndex]?.metadata || null; }
+    getCurrentViewCount() { return this.imageSets[this.currentIndex]?.viewTextures.length || 0; }
+    getCurrentDepthRange() { return this.imageSets[this.currentIndex]?.depthRange || null; }
+    hasCurrentValidity() { return !!this.imageSets[this.currentIndex]?.validityTexture; }
+    isShowingDepthMesh() { return !!this.material?.uniforms.depthMap; }
     isGyroMode() { return this.useGyroscope; }
 
     /**
@@ -512,17 +1163,19 @@ class WiggleViewer {
     destroy() {
         this.stop();
         window.removeEventListener('resize', this.handleResize);
+        clearTimeout(this.layerRebuildTimer);
 
         // Dispose Three.js resources
-        if (this.mesh) {
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        }
+        this.removeMesh();
 
         this.imageSets.forEach(set => {
             set.colorTexture.dispose();
             set.depthTexture.dispose();
+            set.viewTextures.forEach(texture => texture.dispose());
+            if (set.validityTexture) set.validityTexture.dispose();
+            this.disposeLayers(set);
         });
+        this.fullValidityTexture.dispose();
 
         this.renderer.dispose();
         this.container.removeChild(this.renderer.domElement);